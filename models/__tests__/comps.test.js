@@ -0,0 +1,73 @@
+const { calculateComps, companyFromMarketData } = require('../comps');
+
+// Peers with EV 1,200 on EBITDA of 200, 150, 120 and 100: EV / EBITDA of 6x, 8x, 10x and 12x
+const peer = (symbol, ebitdaLTM, epsLTM) => ({
+    symbol, sharePrice: 10, sharesOutstanding: 100, netDebt: 200,
+    revenueLTM: 2400, ebitdaLTM, epsLTM
+});
+const PARAMS = {
+    target: { symbol: "TGT", sharePrice: 30, sharesOutstanding: 10, netDebt: 50, revenueLTM: 200, ebitdaLTM: 50, epsLTM: 2 },
+    peers: [peer("PA", 200, 1), peer("PB", 150, 0.5), peer("PC", 120, 0.8), peer("PD", 100, -0.4)]
+};
+
+describe('calculateComps', () => {
+    test('calculates market cap, enterprise value and multiples for each peer', () => {
+        const { peers } = calculateComps(PARAMS);
+        
+        expect(peers[0].marketCap).toBe(1000);
+        expect(peers[0].enterpriseValue).toBe(1200);
+        expect(peers.map(item => item.evEbitdaLTM)).toEqual([6, 8, 10, 12]);
+        expect(peers[0].evRevenueLTM).toBe(0.5);
+    });
+    
+    test('summarizes multiples with Excel QUARTILE and leaves negative earnings out', () => {
+        const { statistics, peers } = calculateComps(PARAMS);
+        
+        expect(statistics.evEbitdaLTM).toEqual({ max: 12, q3: 10.5, mean: 9, median: 9, q1: 7.5, min: 6 });
+        expect(peers[3].peLTM).toBeNull();
+        expect(statistics.peLTM.max).toBe(20);
+        expect(statistics.peLTM.min).toBe(10);
+    });
+    
+    test('applies the peer quartiles to the target metrics', () => {
+        const { impliedValuation } = calculateComps(PARAMS);
+        const evEbitda = impliedValuation.find(row => row.multiple === "EV / EBITDA LTM");
+        
+        expect(evEbitda.enterpriseValue).toEqual({ q1: 375, median: 450, q3: 525 });
+        expect(evEbitda.sharePrice.median).toBeCloseTo((450 - 50) / 10, 8);
+    });
+    
+    test('rejects an empty peer set', () => {
+        expect(() => calculateComps({ ...PARAMS, peers: [] })).toThrow('peers must contain at least one comparable company');
+    });
+});
+
+describe('companyFromMarketData', () => {
+    const income = ['2024-03-31', '2024-06-30', '2024-09-30', '2024-12-31', '2023-12-31']
+        .map(date => ({ date, revenue: 100, ebitda: 20, eps: 0.5 }));
+    const balance = [{ date: '2024-12-31', totalDebt: 300, cashAndCashEquivalents: 120 }];
+    
+    test('sums the last four quarters and nets cash against debt', () => {
+        const company = companyFromMarketData("ABC", { price: 12, sharesOutstanding: 50 }, { income, balance });
+        
+        expect(company.revenueLTM).toBe(400);
+        expect(company.ebitdaLTM).toBe(80);
+        expect(company.epsLTM).toBe(2);
+        expect(company.netDebt).toBe(180);
+        expect(company.sharePrice).toBe(12);
+    });
+    
+    test('falls back to the quote when the metrics have no share price', () => {
+        const company = companyFromMarketData("ABC", { sharesOutstanding: 50 }, { income, balance, quote: { price: 14.5 } });
+        
+        expect(company.sharePrice).toBe(14.5);
+    });
+    
+    test('falls back to the symbol when there are no metrics', () => {
+        const company = companyFromMarketData("ABC", null, { income, balance, quote: { price: 14.5 } });
+        
+        expect(company.name).toBe("ABC");
+        expect(company.sharePrice).toBe(14.5);
+        expect(company.sharesOutstanding).toBeNull();
+    });
+});
@@ -0,0 +1,119 @@
+const { calculateDCF, withMarketSharePrice } = require('../dcf');
+const marketDataService = require('../../services/market-data');
+
+// Two projection years valued at the fiscal year end, so every period is a full year
+const PARAMS = {
+    historicalYears: 1,
+    projectionYears: 2,
+    historicals: { revenue: [1000] },
+    revenueGrowthRate: 0.10,
+    ebitdaMargin: 0.30,
+    taxRate: 0.25,
+    depreciationRate: 0.05,
+    capexPercentOfRevenue: 0.05,
+    workingCapitalPercentOfRevenue: 0.10,
+    discountRate: 0.10,
+    perpetualGrowthRate: 0.02,
+    exitMultiple: 8,
+    terminalValueMethod: 'perpetuity-growth',
+    valuationDate: '2024-12-31',
+    fiscalYearEnd: '12-31',
+    midYearConvention: false,
+    debt: 200,
+    cash: 50,
+    sharesOutstanding: 100
+};
+
+describe('calculateDCF', () => {
+    test('projects unlevered free cash flow from the assumptions', () => {
+        const result = calculateDCF(PARAMS);
+        
+        expect(result.projection.years).toEqual(['FY 2025', 'FY 2026']);
+        expect(result.projection.revenue[0]).toBeCloseTo(1100, 8);
+        expect(result.projection.revenue[1]).toBeCloseTo(1210, 8);
+        // Year 1: NOPAT 206.25 + D&A 55 - capex 55 - change in working capital 10
+        expect(result.projection.unleveredFreeCashFlow[0]).toBeCloseTo(196.25, 8);
+        // Year 2: NOPAT 226.875 + D&A 60.5 - capex 60.5 - change in working capital 11
+        expect(result.projection.unleveredFreeCashFlow[1]).toBeCloseTo(215.875, 8);
+    });
+    
+    test('discounts cash flows and the perpetuity growth terminal value at the end of each year', () => {
+        const result = calculateDCF(PARAMS);
+        const terminalValue = 215.875 * 1.02 / (0.10 - 0.02);
+        const enterpriseValue = 196.25 / 1.1 + 215.875 / 1.21 + terminalValue / 1.21;
+        
+        expect(result.discounting.stubFraction).toBe(1);
+        expect(result.discounting.discountPeriods).toEqual([1, 2]);
+        expect(result.terminalValue.perpetuityGrowth).toBeCloseTo(terminalValue, 8);
+        expect(result.valuation.enterpriseValue).toBeCloseTo(enterpriseValue, 8);
+        expect(result.valuation.equityValue).toBeCloseTo(enterpriseValue - 200 + 50, 8);
+        expect(result.perShare.impliedSharePrice).toBeCloseTo((enterpriseValue - 150) / 100, 8);
+    });
+    
+    test('values the exit multiple on next-year EBITDA and cross-checks the implied growth rate', () => {
+        const result = calculateDCF({ ...PARAMS, terminalValueMethod: 'exit-multiple' });
+        const exitValue = 1210 * 0.30 * 1.02 * 8;
+        
+        expect(result.terminalValue.selected).toBeCloseTo(exitValue, 8);
+        expect(result.terminalValue.presentValue).toBeCloseTo(exitValue / 1.21, 8);
+        // The perpetuity growth rate that reproduces the exit value
+        const g = result.terminalValue.impliedPerpetualGrowth;
+        expect(215.875 * (1 + g) / (0.10 - g)).toBeCloseTo(exitValue, 6);
+    });
+    
+    test('discounts at mid-year when the convention is on', () => {
+        const result = calculateDCF({ ...PARAMS, midYearConvention: true });
+        
+        expect(result.discounting.discountPeriods).toEqual([0.5, 1.5]);
+        expect(result.discounting.presentValues[0]).toBeCloseTo(196.25 / Math.sqrt(1.1), 8);
+    });
+    
+    test('dilutes the share count for in-the-money options by the treasury stock method', () => {
+        const result = calculateDCF({ ...PARAMS, optionsOutstanding: 10, optionStrikePrice: 5, currentSharePrice: 20 });
+        const { impliedSharePrice, dilutiveOptionShares, dilutedShares } = result.perShare;
+        
+        expect(dilutiveOptionShares).toBeCloseTo(10 * (1 - 5 / impliedSharePrice), 8);
+        expect(impliedSharePrice * dilutedShares).toBeCloseTo(result.valuation.equityValue, 8);
+        expect(result.perShare.impliedPremium).toBeCloseTo(impliedSharePrice / 20 - 1, 8);
+        expect(result.perShare.currentSharePriceSource).toBe('input');
+    });
+    
+    test('starts the projection after the last historical fiscal year', () => {
+        const result = calculateDCF({ ...PARAMS, historicals: { years: [2023, 2024], revenue: [900, 1000] } });
+        
+        expect(result.projection.years).toEqual(['FY 2025', 'FY 2026']);
+        expect(result.discounting.stubFraction).toBe(1);
+    });
+    
+    test('rejects historical years that end a year or more before the valuation date', () => {
+        expect(() => calculateDCF({ ...PARAMS, historicals: { years: [2018, 2019], revenue: [100, 110] } }))
+            .toThrow('valuationDate must be before the end of FY 2020, the first year after the last historical year');
+    });
+    
+    test('rejects a discount rate at or below the perpetual growth rate', () => {
+        expect(() => calculateDCF({ ...PARAMS, discountRate: 0.02 }))
+            .toThrow('discountRate must be greater than perpetualGrowthRate');
+    });
+});
+
+describe('withMarketSharePrice', () => {
+    afterEach(() => jest.restoreAllMocks());
+    
+    test('uses the quoted price for the ticker', async () => {
+        jest.spyOn(marketDataService, 'getQuote').mockResolvedValue({ symbol: 'ABC', price: 25 });
+        const result = calculateDCF(await withMarketSharePrice({ ...PARAMS, ticker: 'ABC' }));
+        
+        expect(result.perShare.currentSharePrice).toBe(25);
+        expect(result.perShare.currentSharePriceSource).toBe('market-data');
+    });
+    
+    test('reports a failed quote lookup instead of failing the valuation', async () => {
+        jest.spyOn(marketDataService, 'getQuote').mockRejectedValue(new Error('Request failed with status code 503'));
+        const result = calculateDCF(await withMarketSharePrice({ ...PARAMS, ticker: 'ABC' }));
+        
+        expect(result.perShare.currentSharePrice).toBeNull();
+        expect(result.perShare.impliedPremium).toBeNull();
+        expect(result.perShare.currentSharePriceSource).toBe('unavailable');
+        expect(result.perShare.currentSharePriceError).toBe('Request failed with status code 503');
+    });
+});
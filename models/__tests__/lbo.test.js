@@ -0,0 +1,79 @@
+const { calculateLBO } = require('../lbo');
+
+// Flat business: EBITDA 100 on revenue 400, D&A equal to capex and no working capital build
+const PARAMS = {
+    ltmEbitda: 100,
+    entryMultiple: 8,
+    exitMultiple: 8,
+    projectionYears: 3,
+    closingDate: '2024-12-31',
+    revenueGrowthRate: 0,
+    ebitdaMargin: 0.25,
+    taxRate: 0.25,
+    depreciationPercentOfRevenue: 0.03,
+    capexPercentOfRevenue: 0.03,
+    transactionFeePercent: 0.02,
+    tranches: [{ name: "Term Loan B", ebitdaMultiple: 4, interestRate: 0.05, cashSweep: true }]
+};
+
+describe('calculateLBO', () => {
+    test('balances sources and uses with sponsor equity as the plug', () => {
+        const { sourcesAndUses, transaction } = calculateLBO(PARAMS);
+        
+        expect(transaction.enterpriseValue).toBe(800);
+        expect(sourcesAndUses.uses.total).toBeCloseTo(816, 8);
+        expect(sourcesAndUses.sources.tranches[0].amount).toBe(400);
+        expect(sourcesAndUses.sources.sponsorEquity).toBeCloseTo(416, 8);
+    });
+    
+    test('sweeps free cash flow against the term loan', () => {
+        const { debtSchedule } = calculateLBO(PARAMS);
+        const tranche = debtSchedule.tranches[0];
+        
+        // Year 1: EBITDA 100 - D&A 12 - interest 20 = EBT 68, net income 51, free cash flow 51
+        expect(tranche.cashInterest[1]).toBeCloseTo(20, 8);
+        expect(tranche.sweep[1]).toBeCloseTo(51, 8);
+        expect(tranche.ending[1]).toBeCloseTo(349, 8);
+        // Year 2: interest 17.45 on 349, net income 52.9125
+        expect(tranche.ending[2]).toBeCloseTo(296.0875, 8);
+        expect(debtSchedule.cash.ending).toEqual([0, 0, 0, 0]);
+    });
+    
+    test('returns match the exit equity value, and the IRR discounts the cash flows to zero', () => {
+        const { returns, debtSchedule } = calculateLBO(PARAMS);
+        const exit = returns.sponsor.find(item => item.exitYear === 3);
+        const exitEquity = 800 - debtSchedule.totals.debt[3];
+        
+        expect(exit.cashFlows[3]).toBeCloseTo(exitEquity, 8);
+        expect(exit.multipleOfMoney).toBeCloseTo(exitEquity / 416, 8);
+        
+        // XIRR uses actual/365 from the closing date
+        const days = returns.waterfall.dates.map(date => (new Date(date) - new Date('2024-12-31')) / 86400000);
+        const npv = exit.cashFlows.reduce((sum, value, i) => sum + value / Math.pow(1 + exit.irr, days[i] / 365), 0);
+        expect(npv).toBeCloseTo(0, 6);
+    });
+    
+    test('pays mandatory amortization only from cash above the minimum balance', () => {
+        const { debtSchedule } = calculateLBO({
+            ...PARAMS,
+            minimumCash: 10,
+            tranches: [{ name: "Term Loan A", ebitdaMultiple: 5, interestRate: 0.06, amortization: 0.20, cashSweep: false }]
+        });
+        const tranche = debtSchedule.tranches[0];
+        
+        debtSchedule.cash.ending.forEach(balance => expect(balance).toBeCloseTo(10, 8));
+        tranche.mandatory.slice(1).forEach((payment, i) => {
+            expect(payment).toBeLessThan(100);
+            expect(payment).toBeCloseTo(debtSchedule.cash.available[i + 1], 8);
+        });
+    });
+    
+    test('needs LTM EBITDA for an offer-price purchase', () => {
+        expect(() => calculateLBO({ purchasePriceMethod: 'offer-price', offerPricePerShare: 10, sharesOutstanding: 100 }))
+            .toThrow('The offer-price method needs a positive ltmEbitda');
+    });
+    
+    test('rejects financing that leaves a negative sponsor equity plug', () => {
+        expect(() => calculateLBO({ ...PARAMS, managementRollover: 2000 })).toThrow(/Sponsor equity plug is negative/);
+    });
+});
@@ -0,0 +1,93 @@
+const { calculateMerger } = require('../merger');
+
+// Defaults: $30 target at a 30% premium for 50M shares, 40% cash, $900M book equity,
+// PP&E written up $100M over 10 years and intangibles $200M over 8 years, 25% tax
+describe('calculateMerger', () => {
+    test('sizes the consideration and the shares issued', () => {
+        const { transaction } = calculateMerger();
+        
+        expect(transaction.offerPrice).toBeCloseTo(39, 10);
+        expect(transaction.equityPurchasePrice).toBeCloseTo(1950, 10);
+        expect(transaction.cashConsideration).toBeCloseTo(780, 10);
+        expect(transaction.newSharesIssued).toBeCloseTo(23.4, 10);
+        expect(transaction.proFormaShares).toBeCloseTo(123.4, 10);
+    });
+    
+    test('allocates the excess purchase price to write-ups, deferred taxes and goodwill', () => {
+        const { purchasePriceAllocation } = calculateMerger({ targetExistingGoodwill: 50 });
+        
+        expect(purchasePriceAllocation.excessPurchasePrice).toBeCloseTo(1100, 10); // 1,950 - 900 + 50
+        expect(purchasePriceAllocation.deferredTaxLiability).toBeCloseTo(75, 10);
+        expect(purchasePriceAllocation.goodwill).toBeCloseTo(875, 10); // 1,100 - 300 + 75
+        expect(purchasePriceAllocation.totalAnnualDA).toBeCloseTo(35, 10);
+    });
+    
+    test('computes accretion / (dilution) for each projection year', () => {
+        const { proForma } = calculateMerger();
+        
+        // Year 1: 367.5 + 105 + 0 synergies net of integration costs - 830 x 5% x 0.75 interest - 35 x 0.75 D&A
+        expect(proForma.proFormaNetIncome[0]).toBeCloseTo(415.125, 10);
+        expect(proForma.accretion[0]).toBeCloseTo(415.125 / 123.4 - 3.675, 10);
+        // Year 3: full run-rate synergies of 100, taxed at 25%
+        expect(proForma.afterTaxSynergies[2]).toBeCloseTo(75, 10);
+        expect(proForma.accretionPercent[2]).toBeCloseTo((538.55625 / 123.4) / 4.0516875 - 1, 10);
+    });
+    
+    test('uses projected net income and stops write-up D&A after the useful life', () => {
+        const { proForma } = calculateMerger({
+            acquirerNetIncome: [400, 420, 440],
+            targetNetIncome: [100, 110, 120],
+            ppeUsefulLife: 2
+        });
+        
+        expect(proForma.standaloneEPS).toEqual([4, 4.2, 4.4]);
+        expect(proForma.writeUpDA).toEqual([75, 75, 25]);
+    });
+    
+    test('finds the synergies and offer premium at which each year breaks even', () => {
+        const { breakeven, parameters } = calculateMerger();
+        
+        breakeven.years.forEach((_, i) => {
+            // Run-rate synergies that deliver the breakeven amount in year i after the phase-in
+            const atBreakevenSynergies = calculateMerger({ synergies: breakeven.breakevenSynergies[i] / parameters.synergyPhaseIn[i] });
+            const atMaximumPremium = calculateMerger({ offerPremium: breakeven.maximumOfferPremium[i] });
+            
+            expect(atBreakevenSynergies.proForma.accretion[i]).toBeCloseTo(0, 10);
+            expect(atMaximumPremium.proForma.accretion[i]).toBeCloseTo(0, 10);
+        });
+        expect(breakeven.breakevenSynergiesPercent[0]).toBeCloseTo(breakeven.breakevenSynergies[0] / 100, 10);
+    });
+    
+    test('compares contribution with pro forma ownership', () => {
+        const { contribution } = calculateMerger();
+        
+        expect(contribution.revenue.targetPercent).toBeCloseTo(900 / 3400, 10);
+        expect(contribution.marketCap.acquirerPercent).toBeCloseTo(5000 / 6500, 10);
+        expect(contribution.ownership.targetPercent).toBeCloseTo(23.4 / 123.4, 10);
+    });
+    
+    test('computes pro forma credit metrics and flags leverage above the maximum', () => {
+        const { creditMetrics, companies } = calculateMerger({ maxLeverage: 1.2 });
+        
+        // Net debt 500 + 200 + 830 of new debt on EBITDA of 800 + 250 + 100 run-rate synergies
+        expect(creditMetrics.netDebtToEbitda).toBeCloseTo(1530 / 1150, 10);
+        expect(creditMetrics.interestCoverage).toBeCloseTo(1150 / (700 * 0.05 + 830 * 0.05), 10);
+        expect(creditMetrics.leverageCheck).toBe("Above Maximum");
+        expect(companies.proForma.evToEbitda).toBeCloseTo(8030 / 1050, 10);
+    });
+    
+    test('matches the base case in the consideration mix grids', () => {
+        const { considerationMix, proForma, creditMetrics } = calculateMerger({
+            cashConsiderationValues: [0, 0.4, 1], maxLeverage: 2
+        });
+        
+        expect(considerationMix.premiums[2]).toBeCloseTo(0.3, 10);
+        expect(considerationMix.accretion[2][1]).toBeCloseTo(proForma.accretionPercent[0], 10);
+        expect(considerationMix.leverage[2][1]).toBeCloseTo(creditMetrics.netDebtToEbitda, 10);
+        expect(considerationMix.aboveMaxLeverage[2]).toEqual([false, false, true]);
+    });
+    
+    test('rejects non-positive share prices', () => {
+        expect(() => calculateMerger({ acquirerSharePrice: 0 })).toThrow('acquirerSharePrice must be a positive number');
+    });
+});
@@ -0,0 +1,71 @@
+const { calculatePrecedentTransactions, transactionsFromRows } = require('../precedents');
+
+// EV / EBITDA of 6x, 8x, 10x and 12x; the last deal has negative EBITDA
+const PARAMS = {
+    target: { name: "Target Co", revenueLTM: 500, ebitdaLTM: 100, netDebt: 200, sharesOutstanding: 50 },
+    transactions: [
+        { date: "2024-01-15", acquirer: "A", target: "T1", enterpriseValue: 600, revenueLTM: 300, ebitdaLTM: 100 },
+        { date: "2023-06-30", acquirer: "B", target: "T2", enterpriseValue: 800, revenueLTM: 400, ebitdaLTM: 100 },
+        { date: "2023-02-01", acquirer: "C", target: "T3", enterpriseValue: 1000, revenueLTM: 400, ebitdaLTM: 100 },
+        { date: "2022-09-12", acquirer: "D", target: "T4", enterpriseValue: 1200, revenueLTM: 600, ebitdaLTM: 100 },
+        { date: "2022-03-03", acquirer: "E", target: "T5", enterpriseValue: 500, revenueLTM: 250, ebitdaLTM: -10 }
+    ],
+    selectedRange: { low: 'q1', high: 'q3' }
+};
+
+describe('calculatePrecedentTransactions', () => {
+    test('summarizes deal multiples and leaves out negative EBITDA', () => {
+        const { transactions, statistics } = calculatePrecedentTransactions(PARAMS);
+        
+        expect(transactions[4].evEbitda).toBeNull();
+        expect(statistics.evEbitda).toEqual({ max: 12, q3: 10.5, mean: 9, median: 9, q1: 7.5, min: 6 });
+        expect(statistics.evRevenue.median).toBe(2);
+    });
+    
+    test('applies the selected range to the target and bridges to equity value per share', () => {
+        const { impliedValuation, summary } = calculatePrecedentTransactions(PARAMS);
+        
+        expect(impliedValuation[1].enterpriseValue).toEqual({ low: 750, high: 1050 });
+        // EV / Revenue multiples are 2.0x, 2.0x, 2.5x, 2.0x and 2.0x: both quartiles are 2.0x
+        expect(impliedValuation[0].enterpriseValue).toEqual({ low: 1000, high: 1000 });
+        expect(summary.enterpriseValue).toEqual({ low: 750, high: 1050 });
+        expect(summary.sharePrice.low).toBeCloseTo((750 - 200) / 50, 8);
+    });
+    
+    test('rejects a statistic outside the summary rows', () => {
+        expect(() => calculatePrecedentTransactions({ ...PARAMS, selectedRange: { low: 'p10', high: 'q3' } }))
+            .toThrow(/selectedRange.low must be one of/);
+    });
+});
+
+describe('transactionsFromRows', () => {
+    test('matches EV headers with units and skips multiple columns', () => {
+        const { transactions, skippedRows } = transactionsFromRows([
+            ["Announced", "Acquirer", "Target", "Target EV ($m)", "EV / EBITDA", "LTM EBITDA", "Revenue"],
+            ["2024-01-15", "A", "T1", "1,200", 12, 100, 600],
+            ["2023-06-30", "B", "", 800, 8, 100, 400]
+        ]);
+        
+        expect(transactions).toEqual([
+            { date: "2024-01-15", acquirer: "A", target: "T1", enterpriseValue: 1200, revenueLTM: 600, ebitdaLTM: 100 }
+        ]);
+        expect(skippedRows).toEqual([3]);
+    });
+    
+    test('scales unit-suffixed amounts to millions and skips unreadable values', () => {
+        const { transactions, skippedRows } = transactionsFromRows([
+            ["Target", "Enterprise Value", "Revenue", "EBITDA"],
+            ["T1", "1.2bn", "450m", "$ 75,000k"],
+            ["T2", "$(1,500)", "1e2", "n/a"],
+            ["T3", "1.2x", 100, 10]
+        ]);
+        
+        expect(transactions.map(deal => [deal.enterpriseValue, deal.revenueLTM, deal.ebitdaLTM]))
+            .toEqual([[1200, 450, 75], [-1500, 100, null]]);
+        expect(skippedRows).toEqual([4]);
+    });
+    
+    test('reports a missing enterprise value column', () => {
+        expect(() => transactionsFromRows([["Target", "EV / EBITDA"]])).toThrow('Missing required column(s): enterpriseValue');
+    });
+});
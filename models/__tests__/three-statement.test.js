@@ -0,0 +1,37 @@
+const { calculateThreeStatement } = require('../three-statement');
+
+describe('calculateThreeStatement', () => {
+    test('balances in every year', () => {
+        const { balanceSheet, years } = calculateThreeStatement({ baseYear: 2024 });
+        
+        expect(years).toEqual(['FY2024A', 'FY2025E', 'FY2026E', 'FY2027E', 'FY2028E', 'FY2029E']);
+        expect(balanceSheet.balanceCheck).toEqual([0, 0, 0, 0, 0, 0]);
+    });
+    
+    test('balances when the revolver funds a cash shortfall and repays it', () => {
+        const { balanceSheet, debt, cashFlow } = calculateThreeStatement({
+            baseYear: 2024,
+            openingRevolver: 40,
+            capexPercentOfRevenue: [0.05, 0.20, 0.05],
+            revenueGrowthRate: [0.10, -0.05, 0.03],
+            dividendPayoutRatio: 0.25
+        });
+        
+        expect(balanceSheet.balanceCheck).toEqual([0, 0, 0, 0, 0, 0]);
+        expect(debt.revolver.drawRepayment[1]).toBeCloseTo(-40, 8); // Opening balance repaid
+        expect(debt.revolver.drawRepayment[2]).toBeGreaterThan(0); // Capex spike funded
+        expect(balanceSheet.cash[2]).toBeCloseTo(25, 8); // Held at the minimum cash balance
+        expect(balanceSheet.revolver[4]).toBeCloseTo(0, 8);
+        expect(cashFlow.endingCash.slice(1)).toEqual(balanceSheet.cash.slice(1));
+    });
+    
+    test('drives working capital from DSO, DIO and DPO', () => {
+        const { workingCapital, incomeStatement } = calculateThreeStatement({ baseYear: 2024 });
+        
+        // Base year: revenue 1,000, COGS 600
+        expect(workingCapital.accountsReceivable[0]).toBeCloseTo(1000 * 45 / 365, 10);
+        expect(workingCapital.inventory[0]).toBeCloseTo(600 * 60 / 365, 10);
+        expect(workingCapital.accountsPayable[0]).toBeCloseTo(600 * 40 / 365, 10);
+        expect(incomeStatement.depreciation[1]).toBeCloseTo(40, 10); // 10% of opening PP&E
+    });
+});
@@ -0,0 +1,34 @@
+const { calculateWACC } = require('../wacc');
+
+describe('calculateWACC', () => {
+    test('relevers the median comparable unlevered beta at the target capital structure', () => {
+        const result = calculateWACC({
+            riskFreeRate: 0.04,
+            equityRiskPremium: 0.055,
+            preTaxCostOfDebt: 0.06,
+            debtToCapital: 0.30,
+            comparables: [
+                { name: "A", beta: 1.2, debtToEquity: 0.5 },
+                { name: "B", beta: 0.9, debtToEquity: 0.2, taxRate: 0.30 },
+                { name: "C", beta: 1.5, debtToEquity: 1.0 }
+            ]
+        }, 0.25);
+        const unleveredBeta = 1.5 / (1 + 0.75 * 1.0); // Median of 0.8727, 0.7895 and 0.8571
+        const beta = unleveredBeta * (1 + 0.75 * 0.3 / 0.7);
+        
+        expect(result.relevering.unleveredBeta).toBeCloseTo(unleveredBeta, 10);
+        expect(result.beta).toBeCloseTo(beta, 10);
+        expect(result.wacc).toBeCloseTo(0.7 * (0.04 + beta * 0.055) + 0.3 * 0.06 * 0.75, 10);
+    });
+    
+    test('rejects comparables without a numeric beta or debt / equity', () => {
+        expect(() => calculateWACC({ comparables: [{ name: "A", debtToEquity: 0.5 }] }))
+            .toThrow('Comparable A must have a numeric beta and debtToEquity');
+        expect(() => calculateWACC({ comparables: [{ name: "B", beta: 1.1, debtToEquity: "n/a" }] }))
+            .toThrow('Comparable B must have a numeric beta and debtToEquity');
+    });
+    
+    test('rejects a debt-to-capital ratio outside [0, 1)', () => {
+        expect(() => calculateWACC({ debtToCapital: 1 })).toThrow('debtToCapital must be at least 0 and less than 1');
+    });
+});
@@ -0,0 +1,560 @@
+// comps.js - Trading Comparables (Comps) Model Template
+
+const { ValidationError } = require('./errors');
+
+// Default parameters: a sample target and peer set, in millions except per-share figures
+const DEFAULTS = {
+    target: {
+        symbol: "TGT",
+        name: "Target Co",
+        sharePrice: 42.00,
+        sharesOutstanding: 120,
+        netDebt: 600,
+        revenueLTM: 2400,
+        revenueNTM: 2600,
+        ebitdaLTM: 480,
+        ebitdaNTM: 530,
+        epsLTM: 2.30,
+        epsNTM: 2.60
+    },
+    peers: [
+        { symbol: "PRA", name: "Peer A", sharePrice: 65.00, sharesOutstanding: 200, netDebt: 1500, revenueLTM: 6000, revenueNTM: 6400, ebitdaLTM: 1300, ebitdaNTM: 1420, epsLTM: 3.40, epsNTM: 3.80 },
+        { symbol: "PRB", name: "Peer B", sharePrice: 38.00, sharesOutstanding: 150, netDebt: 400, revenueLTM: 2900, revenueNTM: 3150, ebitdaLTM: 560, ebitdaNTM: 620, epsLTM: 2.10, epsNTM: 2.35 },
+        { symbol: "PRC", name: "Peer C", sharePrice: 27.50, sharesOutstanding: 90, netDebt: 250, revenueLTM: 1500, revenueNTM: 1580, ebitdaLTM: 270, ebitdaNTM: 290, epsLTM: 1.45, epsNTM: 1.60 },
+        { symbol: "PRD", name: "Peer D", sharePrice: 81.00, sharesOutstanding: 110, netDebt: 900, revenueLTM: 4100, revenueNTM: 4500, ebitdaLTM: 950, ebitdaNTM: 1060, epsLTM: 4.20, epsNTM: 4.75 },
+        { symbol: "PRE", name: "Peer E", sharePrice: 19.00, sharesOutstanding: 80, netDebt: 150, revenueLTM: 900, revenueNTM: 960, ebitdaLTM: 140, ebitdaNTM: 160, epsLTM: -0.20, epsNTM: 0.55 }
+    ]
+};
+
+// Company table columns (A-S)
+const COMPANY_COLUMNS = [
+    { key: 'name', label: "Company" },
+    { key: 'symbol', label: "Ticker" },
+    { key: 'sharePrice', label: "Share Price", format: "$0.00", input: true },
+    { key: 'sharesOutstanding', label: "Shares Outstanding", format: "#,##0.0", input: true },
+    { key: 'marketCap', label: "Market Cap", format: "$#,##0.0" },
+    { key: 'netDebt', label: "Net Debt", format: "$#,##0.0", input: true },
+    { key: 'enterpriseValue', label: "Enterprise Value", format: "$#,##0.0" },
+    { key: 'revenueLTM', label: "Revenue LTM", format: "$#,##0.0", input: true },
+    { key: 'revenueNTM', label: "Revenue NTM", format: "$#,##0.0", input: true },
+    { key: 'ebitdaLTM', label: "EBITDA LTM", format: "$#,##0.0", input: true },
+    { key: 'ebitdaNTM', label: "EBITDA NTM", format: "$#,##0.0", input: true },
+    { key: 'epsLTM', label: "EPS LTM", format: "$0.00", input: true },
+    { key: 'epsNTM', label: "EPS NTM", format: "$0.00", input: true },
+    { key: 'evRevenueLTM', label: "EV / Revenue LTM", format: "0.0x" },
+    { key: 'evRevenueNTM', label: "EV / Revenue NTM", format: "0.0x" },
+    { key: 'evEbitdaLTM', label: "EV / EBITDA LTM", format: "0.0x" },
+    { key: 'evEbitdaNTM', label: "EV / EBITDA NTM", format: "0.0x" },
+    { key: 'peLTM', label: "P / E LTM", format: "0.0x" },
+    { key: 'peNTM', label: "P / E NTM", format: "0.0x" }
+];
+
+// Multiples, the target metric column they apply to and whether they value the enterprise or the equity
+const MULTIPLES = [
+    { key: 'evRevenueLTM', label: "EV / Revenue LTM", metric: 'revenueLTM', column: "N", metricColumn: "H", basis: 'enterprise' },
+    { key: 'evRevenueNTM', label: "EV / Revenue NTM", metric: 'revenueNTM', column: "O", metricColumn: "I", basis: 'enterprise' },
+    { key: 'evEbitdaLTM', label: "EV / EBITDA LTM", metric: 'ebitdaLTM', column: "P", metricColumn: "J", basis: 'enterprise' },
+    { key: 'evEbitdaNTM', label: "EV / EBITDA NTM", metric: 'ebitdaNTM', column: "Q", metricColumn: "K", basis: 'enterprise' },
+    { key: 'peLTM', label: "P / E LTM", metric: 'epsLTM', column: "R", metricColumn: "L", basis: 'equity' },
+    { key: 'peNTM', label: "P / E NTM", metric: 'epsNTM', column: "S", metricColumn: "M", basis: 'equity' }
+];
+
+// Summary statistics rows below the peer table
+const STATISTICS = [
+    { key: 'max', label: "Maximum", formula: range => `MAX(${range})` },
+    { key: 'q3', label: "75th Percentile", formula: range => `QUARTILE(${range},3)` },
+    { key: 'mean', label: "Mean", formula: range => `AVERAGE(${range})` },
+    { key: 'median', label: "Median", formula: range => `MEDIAN(${range})` },
+    { key: 'q1', label: "25th Percentile", formula: range => `QUARTILE(${range},1)` },
+    { key: 'min', label: "Minimum", formula: range => `MIN(${range})` }
+];
+
+/**
+ * Creates a trading comparables model in Excel
+ * Multiples with a zero or negative denominator show as "NM" and are left out of the statistics.
+ * The implied valuation range applies the peer 25th-75th percentile multiples to the target's metrics.
+ * @param {object} context - The Excel context
+ * @param {object} params - Target and peer company data (see DEFAULTS)
+ * @returns {Promise<object>} - Information about the created model
+ */
+async function createCompsModel(context, params = {}) {
+    // Merge defaults with provided parameters
+    const modelParams = resolveParams({ ...DEFAULTS, ...params });
+    const layout = getLayout(modelParams);
+    
+    // Create a new worksheet for the model if it doesn't exist
+    let sheet;
+    try {
+        sheet = context.workbook.worksheets.getItem("Trading Comps");
+    } catch (error) {
+        sheet = context.workbook.worksheets.add("Trading Comps");
+    }
+    
+    // Activate the worksheet
+    sheet.activate();
+    
+    // Setup the model structure
+    await setupModelStructure(sheet, modelParams);
+    
+    // Create peer table and summary statistics
+    await createPeerSection(sheet, modelParams, layout);
+    
+    // Create target company row
+    await createTargetSection(sheet, modelParams, layout);
+    
+    // Create implied valuation range
+    await createImpliedValuationSection(sheet, modelParams, layout);
+    
+    // Format the worksheet
+    await formatWorksheet(sheet, modelParams, layout);
+    
+    return {
+        sheetName: sheet.name,
+        modelType: "Comps",
+        parameters: modelParams
+    };
+}
+
+/**
+ * Sets up the basic structure of the comps model
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function setupModelStructure(sheet, params) {
+    // Clear the sheet
+    sheet.getRange().clear();
+    
+    // Set column widths
+    sheet.getRange("A:A").columnWidth = 200; // Company names and labels
+    sheet.getRange("B:S").columnWidth = 90; // Data columns
+    
+    // Set title
+    sheet.getRange("A1:E1").values = [[`${params.target.name} - Trading Comparables`, "", "", "", ""]];
+    sheet.getRange("A1:E1").format.font.bold = true;
+    sheet.getRange("A1:E1").format.font.size = 16;
+    sheet.getRange("A1:E1").merge();
+}
+
+/**
+ * Writes one company row: hard inputs, then market cap, EV and multiples as formulas
+ * @param {object} sheet - The Excel worksheet
+ * @param {number} row - Worksheet row
+ * @param {object} company - Company data
+ */
+function writeCompanyRow(sheet, row, company) {
+    sheet.getRange(`A${row}:D${row}`).values = [[company.name, company.symbol, company.sharePrice, company.sharesOutstanding]];
+    sheet.getRange(`F${row}`).values = [[company.netDebt]];
+    sheet.getRange(`H${row}:M${row}`).values = [[
+        company.revenueLTM,
+        company.revenueNTM,
+        company.ebitdaLTM,
+        company.ebitdaNTM,
+        company.epsLTM,
+        company.epsNTM
+    ]];
+    
+    sheet.getRange(`E${row}`).formulas = [[`=C${row}*D${row}`]];
+    sheet.getRange(`G${row}`).formulas = [[`=E${row}+F${row}`]];
+    sheet.getRange(`N${row}:S${row}`).formulas = [[
+        `=IF(H${row}>0,G${row}/H${row},"NM")`,
+        `=IF(I${row}>0,G${row}/I${row},"NM")`,
+        `=IF(J${row}>0,G${row}/J${row},"NM")`,
+        `=IF(K${row}>0,G${row}/K${row},"NM")`,
+        `=IF(L${row}>0,C${row}/L${row},"NM")`,
+        `=IF(M${row}>0,C${row}/M${row},"NM")`
+    ]];
+    
+    COMPANY_COLUMNS.forEach((column, i) => {
+        const cell = sheet.getRange(row, i + 1);
+        if (column.format) {
+            cell.numberFormat = column.format;
+        }
+        if (column.input) {
+            cell.format.font.color = "#0000FF"; // Blue for hard inputs
+        }
+    });
+    sheet.getRange(`N${row}:S${row}`).format.horizontalAlignment = "Right";
+}
+
+/**
+ * Creates the peer table with the summary statistics of each multiple
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout
+ */
+async function createPeerSection(sheet, params, layout) {
+    const { headerRow, firstPeerRow, lastPeerRow, statsRow } = layout;
+    
+    sheet.getRange(`A${headerRow - 1}`).values = [["Comparable Companies"]];
+    sheet.getRange(`A${headerRow}:S${headerRow}`).values = [COMPANY_COLUMNS.map(column => column.label)];
+    sheet.getRange(`A${headerRow}:S${headerRow}`).format.wrapText = true;
+    
+    params.peers.forEach((peer, i) => {
+        writeCompanyRow(sheet, firstPeerRow + i, peer);
+    });
+    
+    // Statistics ignore the "NM" text cells
+    STATISTICS.forEach((statistic, i) => {
+        const row = statsRow + i;
+        sheet.getRange(`A${row}`).values = [[statistic.label]];
+        
+        MULTIPLES.forEach(({ column }) => {
+            const range = `${column}${firstPeerRow}:${column}${lastPeerRow}`;
+            sheet.getRange(`${column}${row}`).formulas = [[`=IF(COUNT(${range})=0,"NM",${statistic.formula(range)})`]];
+        });
+    });
+    
+    sheet.getRange(`N${statsRow}:S${statsRow + STATISTICS.length - 1}`).numberFormat = "0.0x";
+    sheet.getRange(`N${statsRow}:S${statsRow + STATISTICS.length - 1}`).format.horizontalAlignment = "Right";
+}
+
+/**
+ * Creates the target company row, laid out like the peer table
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout
+ */
+async function createTargetSection(sheet, params, layout) {
+    sheet.getRange(`A${layout.targetRow - 1}`).values = [["Target Company"]];
+    writeCompanyRow(sheet, layout.targetRow, params.target);
+}
+
+/**
+ * Creates the implied valuation range for the target
+ * Enterprise value multiples give an implied EV, which is bridged to a share price through the target's
+ * net debt and shares outstanding; P/E multiples give the share price directly.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout
+ */
+async function createImpliedValuationSection(sheet, params, layout) {
+    const { valuationRow, statsRow, targetRow } = layout;
+    const headerRow = valuationRow + 1;
+    const firstRow = valuationRow + 2;
+    const lastRow = firstRow + MULTIPLES.length - 1;
+    const q1Row = statsRow + STATISTICS.findIndex(statistic => statistic.key === 'q1');
+    const medianRow = statsRow + STATISTICS.findIndex(statistic => statistic.key === 'median');
+    const q3Row = statsRow + STATISTICS.findIndex(statistic => statistic.key === 'q3');
+    
+    sheet.getRange(`A${valuationRow}`).values = [["Implied Valuation"]];
+    sheet.getRange(`A${headerRow}:K${headerRow}`).values = [[
+        "Multiple",
+        "Target Metric",
+        "25th Percentile",
+        "Median",
+        "75th Percentile",
+        "Implied EV (25th)",
+        "Implied EV (Median)",
+        "Implied EV (75th)",
+        "Implied Share Price (25th)",
+        "Implied Share Price (Median)",
+        "Implied Share Price (75th)"
+    ]];
+    sheet.getRange(`A${headerRow}:K${headerRow}`).format.wrapText = true;
+    
+    MULTIPLES.forEach((multiple, i) => {
+        const row = firstRow + i;
+        
+        sheet.getRange(`A${row}`).values = [[multiple.label]];
+        sheet.getRange(`B${row}:E${row}`).formulas = [[
+            `=$${multiple.metricColumn}$${targetRow}`,
+            `=${multiple.column}${q1Row}`,
+            `=${multiple.column}${medianRow}`,
+            `=${multiple.column}${q3Row}`
+        ]];
+        
+        ["C", "D", "E"].forEach((multipleCol, j) => {
+            const evCol = ["F", "G", "H"][j];
+            const priceCol = ["I", "J", "K"][j];
+            
+            if (multiple.basis === 'enterprise') {
+                sheet.getRange(`${evCol}${row}`).formulas = [[`=IF(AND(ISNUMBER(${multipleCol}${row}),$B${row}>0),$B${row}*${multipleCol}${row},"NM")`]];
+                sheet.getRange(`${priceCol}${row}`).formulas = [[`=IF(ISNUMBER(${evCol}${row}),(${evCol}${row}-$F$${targetRow})/$D$${targetRow},"NM")`]];
+            } else {
+                sheet.getRange(`${priceCol}${row}`).formulas = [[`=IF(AND(ISNUMBER(${multipleCol}${row}),$B${row}>0),$B${row}*${multipleCol}${row},"NM")`]];
+                sheet.getRange(`${evCol}${row}`).formulas = [[`=IF(ISNUMBER(${priceCol}${row}),${priceCol}${row}*$D$${targetRow}+$F$${targetRow},"NM")`]];
+            }
+        });
+        
+        sheet.getRange(`B${row}`).numberFormat = multiple.basis === 'enterprise' ? "$#,##0.0" : "$0.00";
+    });
+    
+    // Overall range across the multiples
+    const summaryRow = lastRow + 2;
+    sheet.getRange(`A${summaryRow}:A${summaryRow + 4}`).values = [
+        ["Current Share Price"],
+        ["Implied Share Price - Low"],
+        ["Implied Share Price - Median"],
+        ["Implied Share Price - High"],
+        ["Premium / (Discount) to Current at Median"]
+    ];
+    sheet.getRange(`B${summaryRow}:B${summaryRow + 4}`).formulas = [
+        [`=C${targetRow}`],
+        [`=IF(COUNT(I${firstRow}:I${lastRow})=0,"NM",MIN(I${firstRow}:I${lastRow}))`],
+        [`=IF(COUNT(J${firstRow}:J${lastRow})=0,"NM",MEDIAN(J${firstRow}:J${lastRow}))`],
+        [`=IF(COUNT(K${firstRow}:K${lastRow})=0,"NM",MAX(K${firstRow}:K${lastRow}))`],
+        [`=IF(ISNUMBER(B${summaryRow + 2}),B${summaryRow + 2}/B${summaryRow}-1,"NM")`]
+    ];
+    
+    sheet.getRange(`C${firstRow}:E${lastRow}`).numberFormat = "0.0x";
+    sheet.getRange(`F${firstRow}:H${lastRow}`).numberFormat = "$#,##0.0";
+    sheet.getRange(`I${firstRow}:K${lastRow}`).numberFormat = "$0.00";
+    sheet.getRange(`B${firstRow}:K${lastRow}`).format.horizontalAlignment = "Right";
+    sheet.getRange(`B${summaryRow}:B${summaryRow + 3}`).numberFormat = "$0.00";
+    sheet.getRange(`B${summaryRow + 4}`).numberFormat = "0.0%";
+}
+
+/**
+ * Applies formatting to the worksheet
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout
+ */
+async function formatWorksheet(sheet, params, layout) {
+    const summaryRow = layout.valuationRow + MULTIPLES.length + 3;
+    
+    // Section headers
+    [layout.headerRow - 1, layout.targetRow - 1, layout.valuationRow].forEach(row => {
+        sheet.getRange(`A${row}`).format.font.bold = true;
+        sheet.getRange(`A${row}`).format.font.size = 14;
+    });
+    
+    // Column headers
+    [layout.headerRow, layout.valuationRow + 1].forEach(row => {
+        const lastCol = row === layout.headerRow ? "S" : "K";
+        sheet.getRange(`A${row}:${lastCol}${row}`).format.font.bold = true;
+        sheet.getRange(`A${row}:${lastCol}${row}`).format.borders.bottom.style = "Continuous";
+    });
+    
+    // Statistics block
+    sheet.getRange(`A${layout.statsRow}:S${layout.statsRow}`).format.borders.top.style = "Continuous";
+    sheet.getRange(`A${layout.statsRow}:A${layout.statsRow + STATISTICS.length - 1}`).format.font.italic = true;
+    
+    // Highlight the target and the implied share price range
+    sheet.getRange(`A${layout.targetRow}:S${layout.targetRow}`).format.fill.color = "#E6F0FF";
+    sheet.getRange(`A${summaryRow + 1}:B${summaryRow + 3}`).format.fill.color = "#E6F0FF";
+    sheet.getRange(`A${summaryRow + 1}:B${summaryRow + 3}`).format.font.bold = true;
+}
+
+/**
+ * Works out the row layout from the number of peers
+ * @param {object} params - Model parameters
+ * @returns {object} - Header, peer, statistics, target and valuation rows
+ */
+function getLayout(params) {
+    const headerRow = 4;
+    const firstPeerRow = headerRow + 1;
+    const lastPeerRow = firstPeerRow + params.peers.length - 1;
+    const statsRow = lastPeerRow + 2;
+    const targetRow = statsRow + STATISTICS.length + 2;
+    
+    return {
+        headerRow,
+        firstPeerRow,
+        lastPeerRow,
+        statsRow,
+        targetRow,
+        valuationRow: targetRow + 2
+    };
+}
+
+/**
+ * Checks the target and peer data and fills in names and net debt
+ * @param {object} params - Model parameters merged with the defaults
+ * @returns {object} - Resolved model parameters
+ */
+function resolveParams(params) {
+    if (!Array.isArray(params.peers) || params.peers.length === 0) {
+        throw new ValidationError('peers must contain at least one comparable company');
+    }
+    
+    return {
+        ...params,
+        target: resolveCompany(params.target, 'target'),
+        peers: params.peers.map((peer, i) => resolveCompany(peer, `peers[${i}]`))
+    };
+}
+
+/**
+ * Checks one company's data; net debt defaults to total debt less cash
+ * @param {object} company - Company data
+ * @param {string} name - Parameter name used in error messages
+ * @returns {object} - Resolved company data
+ */
+function resolveCompany(company, name) {
+    if (!company || typeof company.sharePrice !== 'number' || typeof company.sharesOutstanding !== 'number') {
+        throw new ValidationError(`${name} must have a numeric sharePrice and sharesOutstanding`);
+    }
+    
+    let netDebt = company.netDebt;
+    if (typeof netDebt !== 'number') {
+        netDebt = (company.totalDebt || 0) - (company.cash || 0);
+    }
+    
+    const resolved = { ...company, netDebt, name: company.name || company.symbol || name };
+    if (!resolved.symbol) {
+        resolved.symbol = "";
+    }
+    ['revenueLTM', 'revenueNTM', 'ebitdaLTM', 'ebitdaNTM', 'epsLTM', 'epsNTM'].forEach(key => {
+        if (typeof resolved[key] !== 'number') {
+            resolved[key] = null;
+        }
+    });
+    
+    return resolved;
+}
+
+/**
+ * Calculates the comps without Excel, mirroring the formulas written by createCompsModel
+ * @param {object} params - Target and peer company data (see DEFAULTS)
+ * @returns {object} - Company multiples, summary statistics and the implied valuation range
+ */
+function calculateComps(params = {}) {
+    const modelParams = resolveParams({ ...DEFAULTS, ...params });
+    const target = calculateCompanyMultiples(modelParams.target);
+    const peers = modelParams.peers.map(calculateCompanyMultiples);
+    
+    const statistics = {};
+    MULTIPLES.forEach(({ key }) => {
+        const values = peers.map(peer => peer[key]).filter(value => value !== null);
+        statistics[key] = values.length === 0 ? null : {
+            max: Math.max(...values),
+            q3: quartile(values, 3),
+            mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+            median: quartile(values, 2),
+            q1: quartile(values, 1),
+            min: Math.min(...values)
+        };
+    });
+    
+    const impliedValuation = MULTIPLES.map(multiple => {
+        const metric = target[multiple.metric];
+        const implied = { multiple: multiple.label, metric, multiples: {}, enterpriseValue: {}, sharePrice: {} };
+        
+        ['q1', 'median', 'q3'].forEach(point => {
+            const value = statistics[multiple.key] ? statistics[multiple.key][point] : null;
+            implied.multiples[point] = value;
+            
+            if (value === null || !(metric > 0)) {
+                implied.enterpriseValue[point] = null;
+                implied.sharePrice[point] = null;
+            } else if (multiple.basis === 'enterprise') {
+                implied.enterpriseValue[point] = metric * value;
+                implied.sharePrice[point] = (metric * value - target.netDebt) / target.sharesOutstanding;
+            } else {
+                implied.sharePrice[point] = metric * value;
+                implied.enterpriseValue[point] = metric * value * target.sharesOutstanding + target.netDebt;
+            }
+        });
+        
+        return implied;
+    });
+    
+    const prices = point => impliedValuation.map(row => row.sharePrice[point]).filter(value => value !== null);
+    const medianPrices = prices('median');
+    const medianPrice = medianPrices.length === 0 ? null : quartile(medianPrices, 2);
+    
+    return {
+        modelType: "Comps",
+        parameters: modelParams,
+        target,
+        peers,
+        statistics,
+        impliedValuation,
+        summary: {
+            currentSharePrice: target.sharePrice,
+            low: prices('q1').length === 0 ? null : Math.min(...prices('q1')),
+            median: medianPrice,
+            high: prices('q3').length === 0 ? null : Math.max(...prices('q3')),
+            premiumToCurrent: medianPrice === null ? null : medianPrice / target.sharePrice - 1
+        }
+    };
+}
+
+/**
+ * Calculates market cap, enterprise value and trading multiples for one company
+ * Multiples with a zero, negative or missing denominator are null ("NM" in Excel).
+ * @param {object} company - Resolved company data
+ * @returns {object} - Company data with market cap, EV and multiples
+ */
+function calculateCompanyMultiples(company) {
+    const marketCap = company.sharePrice * company.sharesOutstanding;
+    const enterpriseValue = marketCap + company.netDebt;
+    const multiple = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+    
+    return {
+        ...company,
+        marketCap,
+        enterpriseValue,
+        evRevenueLTM: multiple(enterpriseValue, company.revenueLTM),
+        evRevenueNTM: multiple(enterpriseValue, company.revenueNTM),
+        evEbitdaLTM: multiple(enterpriseValue, company.ebitdaLTM),
+        evEbitdaNTM: multiple(enterpriseValue, company.ebitdaNTM),
+        peLTM: multiple(company.sharePrice, company.epsLTM),
+        peNTM: multiple(company.sharePrice, company.epsNTM)
+    };
+}
+
+/**
+ * Quartile of an array of numbers with linear interpolation (matches Excel's QUARTILE)
+ * @param {Array<number>} values - Numbers
+ * @param {number} quart - Quartile (1, 2 or 3)
+ * @returns {number} - Quartile value
+ */
+function quartile(values, quart) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * quart / 4;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
+
+/**
+ * Converts market data (see marketDataService.getCompanyMetrics and getFinancialStatement) into
+ * comps company data. LTM figures sum the four most recent quarters; net debt comes from the latest
+ * quarterly balance sheet and forward (NTM) figures from the consensus estimates in the metrics.
+ * The share price falls back to the latest quote when the metrics have none.
+ * @param {string} symbol - Stock symbol
+ * @param {object} metrics - Company metrics
+ * @param {object} statements - Quarterly `income` and `balance` statement arrays, and the `quote`
+ * @returns {object} - Company data for the `target` or `peers` parameters
+ */
+function companyFromMarketData(symbol, metrics, statements) {
+    const latestFirst = periods => [...(periods || [])].sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+    const value = (source, ...keys) => {
+        if (!source) return null;
+        const key = keys.find(k => typeof source[k] === 'number');
+        return key ? source[key] : null;
+    };
+    const lastFourQuarters = (...keys) => {
+        const quarters = latestFirst(statements.income).slice(0, 4).map(period => value(period, ...keys));
+        return quarters.length === 4 && quarters.every(item => item !== null) ?
+            quarters.reduce((sum, item) => sum + item, 0) : null;
+    };
+    
+    const balance = latestFirst(statements.balance)[0];
+    const totalDebt = value(balance, 'totalDebt');
+    const cash = value(balance, 'cashAndCashEquivalents', 'cashAndEquivalents', 'cash');
+    const netDebt = value(metrics, 'netDebt');
+    const sharePrice = value(metrics, 'price', 'sharePrice');
+    
+    return {
+        symbol,
+        name: (metrics && (metrics.name || metrics.companyName)) || symbol,
+        sharePrice: sharePrice !== null ? sharePrice : value(statements.quote, 'price'),
+        sharesOutstanding: value(metrics, 'sharesOutstanding'),
+        netDebt: netDebt !== null ? netDebt : (totalDebt || 0) - (cash || 0),
+        revenueLTM: lastFourQuarters('revenue', 'totalRevenue'),
+        revenueNTM: value(metrics, 'revenueEstimateNTM', 'forwardRevenue'),
+        ebitdaLTM: lastFourQuarters('ebitda'),
+        ebitdaNTM: value(metrics, 'ebitdaEstimateNTM', 'forwardEbitda'),
+        epsLTM: lastFourQuarters('eps', 'epsDiluted'),
+        epsNTM: value(metrics, 'epsEstimateNTM', 'forwardEps')
+    };
+}
+
+module.exports = {
+    createCompsModel,
+    calculateComps,
+    companyFromMarketData
+};
\ No newline at end of file
@@ -1,5 +1,58 @@
 // dcf.js - Discounted Cash Flow Model Template
 
+const { createWACCSchedule, calculateWACC } = require('./wacc');
+const { ValidationError } = require('./errors');
+
+// Default parameters, shared by the Excel builder and the headless engine
+const DEFAULTS = {
+    companyName: "Sample Company",
+    historicalYears: 3,
+    projectionYears: 5,
+    revenueGrowthRate: 0.05,
+    ebitdaMargin: 0.25,
+    taxRate: 0.25,
+    depreciationRate: 0.05,
+    capexPercentOfRevenue: 0.1,
+    workingCapitalPercentOfRevenue: 0.15,
+    discountRate: 0.10,
+    perpetualGrowthRate: 0.02,
+    exitMultiple: 8,
+    terminalValueMethod: 'exit-multiple', // exit-multiple, perpetuity-growth or blended
+    valuationDate: null, // 'YYYY-MM-DD' or Date; defaults to today
+    fiscalYearEnd: '12-31', // 'MM-DD'
+    midYearConvention: true, // false discounts cash flows at the end of each period
+    debt: 0,
+    cash: 0,
+    minorityInterest: 0,
+    preferredStock: 0,
+    investmentsInAssociates: 0,
+    sharesOutstanding: 100, // in millions
+    optionsOutstanding: 0, // in millions
+    optionStrikePrice: 0,
+    restrictedStockUnits: 0, // in millions
+    currentSharePrice: null, // pulled from market data when a ticker is supplied
+    ticker: null,
+    sharePriceSource: null, // 'market-data' when currentSharePrice came from a quote for the ticker, 'unavailable' when the lookup failed
+    sharePriceError: null, // Why the quote lookup failed, when sharePriceSource is 'unavailable'
+    wacc: null, // WACC build-up inputs (see models/wacc.js); replaces discountRate when set
+    sensitivity: null // Sensitivity table options (see SENSITIVITY_DEFAULTS); true for defaults
+};
+
+// Terminal value methods and their labels in the model's method switch
+const TERMINAL_VALUE_METHODS = {
+    'exit-multiple': "Exit Multiple",
+    'perpetuity-growth': "Perpetuity Growth",
+    'blended': "Blended"
+};
+
+// Default sensitivity table options
+const SENSITIVITY_DEFAULTS = {
+    steps: 2,             // Steps either side of the base case (5 x 5 grid)
+    waccStep: 0.01,
+    growthStep: 0.005,
+    multipleStep: 1.0
+};
+
 /**
  * Creates a Discounted Cash Flow (DCF) model in Excel
  * @param {object} context - The Excel context
@@ -7,24 +60,8 @@
  * @returns {Promise<object>} - Information about the created model
  */
 async function createDCFModel(context, params = {}) {
-    // Default parameters
-    const defaults = {
-        companyName: "Sample Company",
-        historicalYears: 3,
-        projectionYears: 5,
-        revenueGrowthRate: 0.05,
-        ebitdaMargin: 0.25,
-        taxRate: 0.25,
-        depreciationRate: 0.05,
-        capexPercentOfRevenue: 0.1,
-        workingCapitalPercentOfRevenue: 0.15,
-        discountRate: 0.10,
-        perpetualGrowthRate: 0.02,
-        exitMultiple: 8
-    };
-
-    // Merge defaults with provided parameters
-    const modelParams = { ...defaults, ...params };
+    // Merge defaults with provided parameters, pulling comparable betas and the current share price
+    const modelParams = resolveParams(await withMarketSharePrice(await withComparableBetas(params)));
     
     // Create a new worksheet for the model if it doesn't exist
     let sheet;
@@ -43,6 +80,17 @@ async function createDCFModel(context, params = {}) {
     // Add headers and labels
     await addHeadersAndLabels(sheet, modelParams);
     
+    // Build the WACC schedule and link the discount rate to it
+    let waccSchedule = null;
+    if (modelParams.wacc) {
+        waccSchedule = await createWACCSchedule(context, getWACCParams(modelParams), {
+            companyName: modelParams.companyName,
+            taxRate: modelParams.taxRate,
+            taxRateCell: `'${sheet.name}'!$B$6`
+        });
+        sheet.getRange("B7").formulas = [[`=${waccSchedule.resultCell}`]];
+    }
+    
     // Create historical data section
     await createHistoricalSection(sheet, modelParams);
     
@@ -52,16 +100,61 @@ async function createDCFModel(context, params = {}) {
     // Create DCF valuation section
     await createValuationSection(sheet, modelParams);
     
+    // Create sensitivity tables under the valuation section
+    if (modelParams.sensitivity) {
+        await createSensitivitySection(sheet, modelParams, 76);
+    }
+    
     // Format the worksheet
     await formatWorksheet(sheet, modelParams);
     
     return {
         sheetName: sheet.name,
+        waccSheetName: waccSchedule ? waccSchedule.sheetName : null,
         modelType: "DCF",
         parameters: modelParams
     };
 }
 
+/**
+ * Looks up levered betas and leverage for the WACC build-up when only `wacc.comparableSymbols` are given
+ * @param {object} params - Parameters for the DCF model
+ * @returns {Promise<object>} - Parameters, with wacc.comparables filled from market data
+ */
+async function withComparableBetas(params) {
+    if (!params.wacc || !Array.isArray(params.wacc.comparableSymbols) || params.wacc.comparables) {
+        return params;
+    }
+    
+    const marketDataService = require('../services/market-data');
+    const comparables = await marketDataService.getComparableBetas(params.wacc.comparableSymbols);
+    return { ...params, wacc: { ...params.wacc, comparables } };
+}
+
+/**
+ * Looks up the current share price for params.ticker when no price is supplied. A failed lookup
+ * leaves the price unset, so the implied premium / (discount) shows "n/a" instead of failing the model,
+ * and is reported through sharePriceSource 'unavailable' and sharePriceError for the caller to log.
+ * @param {object} params - Parameters for the DCF model
+ * @returns {Promise<object>} - Parameters, with currentSharePrice and sharePriceSource set from the quote
+ */
+async function withMarketSharePrice(params) {
+    if (!params.ticker || typeof params.currentSharePrice === 'number') {
+        return params;
+    }
+    
+    try {
+        const marketDataService = require('../services/market-data');
+        const quote = await marketDataService.getQuote(params.ticker);
+        if (quote && typeof quote.price === 'number') {
+            return { ...params, currentSharePrice: quote.price, sharePriceSource: 'market-data' };
+        }
+        return { ...params, sharePriceSource: 'unavailable', sharePriceError: `Quote for ${params.ticker} has no price` };
+    } catch (error) {
+        return { ...params, sharePriceSource: 'unavailable', sharePriceError: error.message };
+    }
+}
+
 /**
  * Sets up the basic structure of the DCF model
  * @param {object} sheet - The Excel worksheet
@@ -86,13 +179,13 @@ async function setupModelStructure(sheet, params) {
     sheet.getRange("A3").format.font.bold = true;
     sheet.getRange("A3").format.font.size = 14;
     
-    sheet.getRange("A10").values = [["Historical & Projected Financials"]];
-    sheet.getRange("A10").format.font.bold = true;
-    sheet.getRange("A10").format.font.size = 14;
+    sheet.getRange("A14").values = [["Historical & Projected Financials"]];
+    sheet.getRange("A14").format.font.bold = true;
+    sheet.getRange("A14").format.font.size = 14;
     
-    sheet.getRange("A30").values = [["DCF Valuation"]];
-    sheet.getRange("A30").format.font.bold = true;
-    sheet.getRange("A30").format.font.size = 14;
+    sheet.getRange("A34").values = [["DCF Valuation"]];
+    sheet.getRange("A34").format.font.bold = true;
+    sheet.getRange("A34").format.font.size = 14;
 }
 
 /**
@@ -102,29 +195,35 @@ async function setupModelStructure(sheet, params) {
  */
 async function addHeadersAndLabels(sheet, params) {
     // Assumption labels
-    sheet.getRange("A4:A9").values = [
+    sheet.getRange("A4:A12").values = [
         ["Revenue Growth Rate"],
         ["EBITDA Margin"],
         ["Tax Rate"],
         ["Discount Rate (WACC)"],
         ["Perpetual Growth Rate"],
-        ["Exit Multiple (EV/EBITDA)"]
+        ["Exit Multiple (EV/EBITDA)"],
+        ["D&A (% of Revenue)"],
+        ["Capex (% of Revenue)"],
+        ["Working Capital (% of Revenue Change)"]
     ];
     
-    // Assumption values
-    sheet.getRange("B4:B9").values = [
-        [params.revenueGrowthRate],
-        [params.ebitdaMargin],
+    // Assumption values (column B holds the base case; per-year rows are filled in below)
+    sheet.getRange("B4:B12").values = [
+        [getAssumptionVector(params.revenueGrowthRate, 1)[0]],
+        [getAssumptionVector(params.ebitdaMargin, 1)[0]],
         [params.taxRate],
         [params.discountRate],
         [params.perpetualGrowthRate],
-        [params.exitMultiple]
+        [params.exitMultiple],
+        [getAssumptionVector(params.depreciationRate, 1)[0]],
+        [getAssumptionVector(params.capexPercentOfRevenue, 1)[0]],
+        [getAssumptionVector(params.workingCapitalPercentOfRevenue, 1)[0]]
     ];
-    sheet.getRange("B4:B9").numberFormat = "0.0%";
+    sheet.getRange("B4:B12").numberFormat = "0.0%";
     sheet.getRange("B9").numberFormat = "0.0";
     
     // Financial statement labels
-    sheet.getRange("A12:A29").values = [
+    sheet.getRange("A16:A33").values = [
         ["Income Statement"],
         ["Revenue"],
         ["Growth Rate"],
@@ -146,19 +245,45 @@ async function addHeadersAndLabels(sheet, params) {
     ];
     
     // DCF valuation labels
-    sheet.getRange("A32:A43").values = [
-        ["Unlevered Free Cash Flow"],
+    sheet.getRange("A36:A73").values = [
+        ["Valuation Date"],
+        ["Fiscal Year End"],
+        ["Discounting Convention"],
+        ["Stub Period (Fraction of First Year)"],
+        [""],
+        ["Period Fraction"],
+        ["Unlevered Free Cash Flow (Period)"],
         ["Discount Period"],
         ["Discount Factor"],
         ["Present Value of FCF"],
         [""],
         ["Sum of PV of FCF"],
-        ["Terminal Value"],
+        ["Terminal Value Method"],
+        ["Terminal Year EBITDA"],
+        ["Terminal Value - Exit Multiple"],
+        ["Terminal Value - Perpetuity Growth"],
+        ["Terminal Value (Selected Method)"],
         ["PV of Terminal Value"],
+        ["Implied EV/EBITDA (Perpetuity Growth Method)"],
+        ["Implied Perpetual Growth (Exit Multiple Method)"],
         [""],
         ["Enterprise Value"],
-        ["Less: Net Debt"],
-        ["Equity Value"]
+        ["Less: Total Debt"],
+        ["Plus: Cash & Equivalents"],
+        ["Less: Minority Interest"],
+        ["Less: Preferred Stock"],
+        ["Plus: Investments in Associates"],
+        ["Equity Value"],
+        [""],
+        ["Basic Shares Outstanding (M)"],
+        ["Options Outstanding (M)"],
+        ["Weighted Average Option Strike Price"],
+        ["Dilutive Shares from Options (TSM)"],
+        ["Restricted Stock Units (M)"],
+        ["Diluted Shares Outstanding (M)"],
+        ["Implied Share Price"],
+        ["Current Share Price"],
+        ["Implied Premium / (Discount)"]
     ];
 }
 
@@ -168,78 +293,84 @@ async function addHeadersAndLabels(sheet, params) {
  * @param {object} params - Model parameters
  */
 async function createHistoricalSection(sheet, params) {
-    // Create year headers for historical data
-    const currentYear = new Date().getFullYear();
-    const yearHeaders = [];
+    // Historical series (shared with the headless engine so both agree)
+    const historicals = getHistoricalSeries(params);
     
-    for (let i = 0; i < params.historicalYears; i++) {
-        yearHeaders.push([`FY ${currentYear - params.historicalYears + i}`]);
-    }
-    
-    // Add headers to the sheet
-    sheet.getRange(11, 2, 1, params.historicalYears).values = [yearHeaders.map(item => item[0])];
-    sheet.getRange(11, 2, 1, params.historicalYears).format.font.bold = true;
+    // Add year headers to the sheet
+    sheet.getRange(15, 2, 1, params.historicalYears).values = [historicals.years.map(year => `FY ${year}`)];
+    sheet.getRange(15, 2, 1, params.historicalYears).format.font.bold = true;
     
-    // Simulate historical data (in a real implementation, this would come from user input or data source)
-    let baseRevenue = 1000; // Starting revenue in millions
+    // Note where the historical figures came from
+    sheet.getRange("A15").values = [[`Source: ${historicals.source}`]];
+    sheet.getRange("A15").format.font.italic = true;
+    sheet.getRange("A15").format.font.color = "#666666";
     
     for (let year = 0; year < params.historicalYears; year++) {
         const col = year + 2; // Column B is index 2
-        const growthRate = 0.08 + Math.random() * 0.04; // Random growth between 8-12%
-        
-        if (year > 0) {
-            baseRevenue = baseRevenue * (1 + growthRate);
-        }
         
         // Revenue
-        sheet.getRange(13, col).values = [[baseRevenue]];
+        writeHistoricalInput(sheet, 17, col, historicals.revenue[year], null);
         
         // Growth Rate (not applicable for first historical year)
         if (year > 0) {
-            sheet.getRange(14, col).formulas = [[`=(${getColumnLetter(col)}13/${getColumnLetter(col-1)}13-1)`]];
+            sheet.getRange(18, col).formulas = [[`=(${getColumnLetter(col)}17/${getColumnLetter(col-1)}17-1)`]];
         }
         
-        // EBITDA
-        const ebitdaMargin = 0.2 + Math.random() * 0.1; // Random margin between 20-30%
-        sheet.getRange(15, col).formulas = [[`=${getColumnLetter(col)}13*${ebitdaMargin}`]];
+        // EBITDA (falls back to the margin assumption when not reported)
+        writeHistoricalInput(sheet, 19, col, historicals.ebitda[year], `=${getColumnLetter(col)}17*$B$5`);
         
         // EBITDA Margin
-        sheet.getRange(16, col).formulas = [[`=${getColumnLetter(col)}15/${getColumnLetter(col)}13`]];
+        sheet.getRange(20, col).formulas = [[`=${getColumnLetter(col)}19/${getColumnLetter(col)}17`]];
         
         // Depreciation & Amortization
-        sheet.getRange(17, col).formulas = [[`=${getColumnLetter(col)}13*${params.depreciationRate}`]];
+        writeHistoricalInput(sheet, 21, col, historicals.depreciation[year], `=${getColumnLetter(col)}17*$B$10`);
         
         // EBIT
-        sheet.getRange(18, col).formulas = [[`=${getColumnLetter(col)}15-${getColumnLetter(col)}17`]];
+        sheet.getRange(22, col).formulas = [[`=${getColumnLetter(col)}19-${getColumnLetter(col)}21`]];
         
         // EBIT Margin
-        sheet.getRange(19, col).formulas = [[`=${getColumnLetter(col)}18/${getColumnLetter(col)}13`]];
+        sheet.getRange(23, col).formulas = [[`=${getColumnLetter(col)}22/${getColumnLetter(col)}17`]];
         
         // Taxes
-        sheet.getRange(20, col).formulas = [[`=IF(${getColumnLetter(col)}18>0,${getColumnLetter(col)}18*$B$6,0)`]];
+        sheet.getRange(24, col).formulas = [[`=IF(${getColumnLetter(col)}22>0,${getColumnLetter(col)}22*$B$6,0)`]];
         
         // NOPAT
-        sheet.getRange(21, col).formulas = [[`=${getColumnLetter(col)}18-${getColumnLetter(col)}20`]];
+        sheet.getRange(25, col).formulas = [[`=${getColumnLetter(col)}22-${getColumnLetter(col)}24`]];
         
         // Cash Flow items
         // NOPAT (same as above)
-        sheet.getRange(24, col).formulas = [[`=${getColumnLetter(col)}21`]];
+        sheet.getRange(28, col).formulas = [[`=${getColumnLetter(col)}25`]];
         
         // Add: Depreciation & Amortization
-        sheet.getRange(25, col).formulas = [[`=${getColumnLetter(col)}17`]];
+        sheet.getRange(29, col).formulas = [[`=${getColumnLetter(col)}21`]];
         
         // Less: Capital Expenditures
-        sheet.getRange(26, col).formulas = [[`=${getColumnLetter(col)}13*${params.capexPercentOfRevenue}`]];
+        writeHistoricalInput(sheet, 30, col, historicals.capex[year], `=${getColumnLetter(col)}17*$B$11`);
         
         // Less: Change in Working Capital
-        if (year > 0) {
-            sheet.getRange(27, col).formulas = [[`=(${getColumnLetter(col)}13-${getColumnLetter(col-1)}13)*${params.workingCapitalPercentOfRevenue}`]];
-        } else {
-            sheet.getRange(27, col).values = [[0]];
-        }
+        const workingCapitalFormula = year > 0 ?
+            `=(${getColumnLetter(col)}17-${getColumnLetter(col-1)}17)*$B$12` : "=0";
+        writeHistoricalInput(sheet, 31, col, historicals.changeInWorkingCapital[year], workingCapitalFormula);
         
         // Unlevered Free Cash Flow
-        sheet.getRange(28, col).formulas = [[`=${getColumnLetter(col)}24+${getColumnLetter(col)}25-${getColumnLetter(col)}26-${getColumnLetter(col)}27`]];
+        sheet.getRange(32, col).formulas = [[`=${getColumnLetter(col)}28+${getColumnLetter(col)}29-${getColumnLetter(col)}30-${getColumnLetter(col)}31`]];
+    }
+}
+
+/**
+ * Writes a historical figure as a hardcoded input, or the fallback formula when it is missing
+ * @param {object} sheet - The Excel worksheet
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {number|null} value - Reported figure
+ * @param {string|null} fallbackFormula - Formula to use when no figure was reported
+ */
+function writeHistoricalInput(sheet, row, col, value, fallbackFormula) {
+    if (value !== null && value !== undefined) {
+        sheet.getRange(row, col).values = [[value]];
+        sheet.getRange(row, col).format.font.color = "#0000FF"; // Blue for hard inputs
+    } else if (fallbackFormula) {
+        sheet.getRange(row, col).formulas = [[fallbackFormula]];
     }
 }
 
@@ -250,74 +381,106 @@ async function createHistoricalSection(sheet, params) {
  */
 async function createProjectionSection(sheet, params) {
     // Create year headers for projections
-    const currentYear = new Date().getFullYear();
+    const firstProjectionYear = getFiscalCalendar(params).firstProjectionYear;
     const yearHeaders = [];
     
     for (let i = 0; i < params.projectionYears; i++) {
-        yearHeaders.push([`FY ${currentYear + i + 1}`]);
+        yearHeaders.push([`FY ${firstProjectionYear + i}`]);
     }
     
     // Add headers to the sheet
     const startCol = 2 + params.historicalYears; // Column after historical data
-    sheet.getRange(11, startCol, 1, params.projectionYears).values = [yearHeaders.map(item => item[0])];
-    sheet.getRange(11, startCol, 1, params.projectionYears).format.font.bold = true;
+    sheet.getRange(15, startCol, 1, params.projectionYears).values = [yearHeaders.map(item => item[0])];
+    sheet.getRange(15, startCol, 1, params.projectionYears).format.font.bold = true;
+    
+    // Per-year assumption rows above the projection columns
+    await createAssumptionRows(sheet, params, yearHeaders.map(item => item[0]));
     
     // Create projection formulas
     for (let year = 0; year < params.projectionYears; year++) {
         const col = startCol + year;
         const prevCol = col - 1;
         
-        // Revenue
-        if (year === 0) {
-            // First projection year based on last historical year
-            sheet.getRange(13, col).formulas = [[`=${getColumnLetter(prevCol)}13*(1+$B$4)`]];
-        } else {
-            // Subsequent projection years
-            sheet.getRange(13, col).formulas = [[`=${getColumnLetter(prevCol)}13*(1+$B$4)`]];
-        }
+        // Revenue (first projection year grows off the last historical year)
+        sheet.getRange(17, col).formulas = [[`=${getColumnLetter(prevCol)}17*(1+${getColumnLetter(col)}$4)`]];
         
         // Growth Rate
-        sheet.getRange(14, col).formulas = [[`=(${getColumnLetter(col)}13/${getColumnLetter(prevCol)}13)-1`]];
+        sheet.getRange(18, col).formulas = [[`=(${getColumnLetter(col)}17/${getColumnLetter(prevCol)}17)-1`]];
         
         // EBITDA
-        sheet.getRange(15, col).formulas = [[`=${getColumnLetter(col)}13*$B$5`]];
+        sheet.getRange(19, col).formulas = [[`=${getColumnLetter(col)}17*${getColumnLetter(col)}$5`]];
         
         // EBITDA Margin
-        sheet.getRange(16, col).formulas = [[`=${getColumnLetter(col)}15/${getColumnLetter(col)}13`]];
+        sheet.getRange(20, col).formulas = [[`=${getColumnLetter(col)}19/${getColumnLetter(col)}17`]];
         
         // Depreciation & Amortization
-        sheet.getRange(17, col).formulas = [[`=${getColumnLetter(col)}13*${params.depreciationRate}`]];
+        sheet.getRange(21, col).formulas = [[`=${getColumnLetter(col)}17*${getColumnLetter(col)}$10`]];
         
         // EBIT
-        sheet.getRange(18, col).formulas = [[`=${getColumnLetter(col)}15-${getColumnLetter(col)}17`]];
+        sheet.getRange(22, col).formulas = [[`=${getColumnLetter(col)}19-${getColumnLetter(col)}21`]];
         
         // EBIT Margin
-        sheet.getRange(19, col).formulas = [[`=${getColumnLetter(col)}18/${getColumnLetter(col)}13`]];
+        sheet.getRange(23, col).formulas = [[`=${getColumnLetter(col)}22/${getColumnLetter(col)}17`]];
         
         // Taxes
-        sheet.getRange(20, col).formulas = [[`=IF(${getColumnLetter(col)}18>0,${getColumnLetter(col)}18*$B$6,0)`]];
+        sheet.getRange(24, col).formulas = [[`=IF(${getColumnLetter(col)}22>0,${getColumnLetter(col)}22*$B$6,0)`]];
         
         // NOPAT
-        sheet.getRange(21, col).formulas = [[`=${getColumnLetter(col)}18-${getColumnLetter(col)}20`]];
+        sheet.getRange(25, col).formulas = [[`=${getColumnLetter(col)}22-${getColumnLetter(col)}24`]];
         
         // Cash Flow items
         // NOPAT (same as above)
-        sheet.getRange(24, col).formulas = [[`=${getColumnLetter(col)}21`]];
+        sheet.getRange(28, col).formulas = [[`=${getColumnLetter(col)}25`]];
         
         // Add: Depreciation & Amortization
-        sheet.getRange(25, col).formulas = [[`=${getColumnLetter(col)}17`]];
+        sheet.getRange(29, col).formulas = [[`=${getColumnLetter(col)}21`]];
         
         // Less: Capital Expenditures
-        sheet.getRange(26, col).formulas = [[`=${getColumnLetter(col)}13*${params.capexPercentOfRevenue}`]];
+        sheet.getRange(30, col).formulas = [[`=${getColumnLetter(col)}17*${getColumnLetter(col)}$11`]];
         
         // Less: Change in Working Capital
-        sheet.getRange(27, col).formulas = [[`=(${getColumnLetter(col)}13-${getColumnLetter(prevCol)}13)*${params.workingCapitalPercentOfRevenue}`]];
+        sheet.getRange(31, col).formulas = [[`=(${getColumnLetter(col)}17-${getColumnLetter(prevCol)}17)*${getColumnLetter(col)}$12`]];
         
         // Unlevered Free Cash Flow
-        sheet.getRange(28, col).formulas = [[`=${getColumnLetter(col)}24+${getColumnLetter(col)}25-${getColumnLetter(col)}26-${getColumnLetter(col)}27`]];
+        sheet.getRange(32, col).formulas = [[`=${getColumnLetter(col)}28+${getColumnLetter(col)}29-${getColumnLetter(col)}30-${getColumnLetter(col)}31`]];
     }
 }
 
+/**
+ * Writes the year-by-year assumption rows referenced by the projection formulas
+ * Years without a supplied value link back to the base assumption in column B.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {Array<string>} yearLabels - Projection year headers
+ */
+async function createAssumptionRows(sheet, params, yearLabels) {
+    const startCol = 2 + params.historicalYears; // Column after historical data
+    const rows = [
+        { row: 4, value: params.revenueGrowthRate },
+        { row: 5, value: params.ebitdaMargin },
+        { row: 10, value: params.depreciationRate },
+        { row: 11, value: params.capexPercentOfRevenue },
+        { row: 12, value: params.workingCapitalPercentOfRevenue }
+    ];
+    
+    // Year headers for the assumption block
+    sheet.getRange(3, startCol, 1, params.projectionYears).values = [yearLabels];
+    sheet.getRange(3, startCol, 1, params.projectionYears).format.font.bold = true;
+    
+    rows.forEach(({ row, value }) => {
+        const range = sheet.getRange(row, startCol, 1, params.projectionYears);
+        
+        if (Array.isArray(value)) {
+            range.values = [getAssumptionVector(value, params.projectionYears)];
+            range.format.font.color = "#0000FF"; // Blue for hard inputs
+        } else {
+            range.formulas = [new Array(params.projectionYears).fill(`=$B$${row}`)];
+        }
+        
+        range.numberFormat = "0.0%";
+    });
+}
+
 /**
  * Creates the DCF valuation section of the model
  * @param {object} sheet - The Excel worksheet
@@ -327,57 +490,274 @@ async function createValuationSection(sheet, params) {
     const startCol = 2 + params.historicalYears; // Column after historical data
     const endCol = startCol + params.projectionYears - 1;
     
+    const calendar = getFiscalCalendar(params);
+    
+    // Valuation date, fiscal year end and discounting convention
+    sheet.getRange("B36:B37").values = [
+        [toExcelDate(calendar.valuationDate)],
+        [toExcelDate(calendar.fiscalYearEnd)]
+    ];
+    sheet.getRange("B36:B37").numberFormat = "yyyy-mm-dd";
+    sheet.getRange(37, 3).values = [[`<-- End of FY ${calendar.firstProjectionYear} (first projection year)`]];
+    sheet.getRange(37, 3).format.font.italic = true;
+    sheet.getRange(37, 3).format.font.color = "#666666";
+    
+    sheet.getRange(38, 2).values = [[params.midYearConvention ? "Mid-Year" : "End of Year"]];
+    sheet.getRange(38, 2).dataValidation.rule = {
+        list: { inCellDropDown: true, source: "Mid-Year,End of Year" }
+    };
+    sheet.getRange("B36:B38").format.font.color = "#0000FF"; // Blue for hard inputs
+    
+    // Stub: share of the first projection year remaining after the valuation date
+    sheet.getRange(39, 2).formulas = [["=MAX(0,MIN(1,($B$37-$B$36)/($B$37-EDATE($B$37,-12))))"]];
+    sheet.getRange(39, 2).numberFormat = "0.000";
+    
     // Copy unlevered FCF from above
     for (let year = 0; year < params.projectionYears; year++) {
         const col = startCol + year;
+        const prevCol = getColumnLetter(col - 1);
+        
+        // Period Fraction (the first projection year is a stub)
+        if (year === 0) {
+            sheet.getRange(41, col).formulas = [["=$B$39"]];
+        } else {
+            sheet.getRange(41, col).values = [[1]];
+        }
         
-        // Unlevered FCF
-        sheet.getRange(32, col).formulas = [[`=${getColumnLetter(col)}28`]];
+        // Unlevered FCF earned after the valuation date
+        sheet.getRange(42, col).formulas = [[`=${getColumnLetter(col)}32*${getColumnLetter(col)}41`]];
         
-        // Discount Period (midyear convention)
-        sheet.getRange(33, col).values = [[year + 0.5]];
+        // Discount Period (middle or end of each period, measured from the valuation date)
+        const elapsed = year === 0 ? "" : `${prevCol}43+IF($B$38="Mid-Year",${prevCol}41/2,0)+`;
+        sheet.getRange(43, col).formulas = [[
+            `=${elapsed}IF($B$38="Mid-Year",${getColumnLetter(col)}41/2,${getColumnLetter(col)}41)`
+        ]];
         
         // Discount Factor
-        sheet.getRange(34, col).formulas = [[`=1/POWER(1+$B$7,${getColumnLetter(col)}33)`]];
+        sheet.getRange(44, col).formulas = [[`=1/POWER(1+$B$7,${getColumnLetter(col)}43)`]];
         
         // Present Value of FCF
-        sheet.getRange(35, col).formulas = [[`=${getColumnLetter(col)}32*${getColumnLetter(col)}34`]];
+        sheet.getRange(45, col).formulas = [[`=${getColumnLetter(col)}42*${getColumnLetter(col)}44`]];
     }
     
     // Sum of PV of FCF
-    sheet.getRange(37, 2).formulas = [[`=SUM(${getColumnLetter(startCol)}35:${getColumnLetter(endCol)}35)`]];
+    sheet.getRange(47, 2).formulas = [[`=SUM(${getColumnLetter(startCol)}45:${getColumnLetter(endCol)}45)`]];
+    
+    // Terminal value method switch (drives enterprise value)
+    sheet.getRange(48, 2).values = [[TERMINAL_VALUE_METHODS[params.terminalValueMethod]]];
+    sheet.getRange(48, 2).dataValidation.rule = {
+        list: { inCellDropDown: true, source: Object.values(TERMINAL_VALUE_METHODS).join(",") }
+    };
+    sheet.getRange(48, 2).format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange(48, 3).values = [["<-- Exit Multiple, Perpetuity Growth or Blended (average)"]];
+    sheet.getRange(48, 3).format.font.italic = true;
+    sheet.getRange(48, 3).format.font.color = "#666666";
     
     // Last year EBITDA for terminal value calculation
-    sheet.getRange(38, 2).formulas = [[`=${getColumnLetter(endCol)}15*(1+$B$8)`]];
+    sheet.getRange(49, 2).formulas = [[`=${getColumnLetter(endCol)}19*(1+$B$8)`]];
     
     // Terminal Value - Exit Multiple Method
-    sheet.getRange(38, 3).formulas = [[`=$B38*$B$9`]];
+    sheet.getRange(50, 2).formulas = [[`=$B$49*$B$9`]];
     
     // Terminal Value - Perpetuity Growth Method
-    sheet.getRange(38, 4).formulas = [[`=${getColumnLetter(endCol)}28*(1+$B$8)/(($B$7-$B$8))`]];
+    sheet.getRange(51, 2).formulas = [[`=${getColumnLetter(endCol)}32*(1+$B$8)/($B$7-$B$8)`]];
+    
+    // Terminal Value from the selected method
+    sheet.getRange(52, 2).formulas = [[
+        `=IF($B$48="${TERMINAL_VALUE_METHODS['perpetuity-growth']}",$B$51,IF($B$48="${TERMINAL_VALUE_METHODS.blended}",AVERAGE($B$50:$B$51),$B$50))`
+    ]];
     
     // PV of Terminal Value
-    sheet.getRange(39, 2).formulas = [[`=$C$38*${getColumnLetter(endCol)}34`]];
+    sheet.getRange(53, 2).formulas = [[`=$B$52*${getColumnLetter(endCol)}44`]];
+    
+    // Cross-checks: the multiple implied by the perpetuity growth value, and the
+    // growth rate implied by the exit multiple value
+    sheet.getRange(54, 2).formulas = [["=$B$51/$B$49"]];
+    sheet.getRange(55, 2).formulas = [[`=($B$50*$B$7-${getColumnLetter(endCol)}32)/($B$50+${getColumnLetter(endCol)}32)`]];
     
     // Enterprise Value
-    sheet.getRange(41, 2).formulas = [[`=$B$37+$B$39`]];
+    sheet.getRange(57, 2).formulas = [[`=$B$47+$B$53`]];
     
-    // Net Debt placeholder (to be filled by user)
-    sheet.getRange(42, 2).values = [[0]];
+    // Enterprise value to equity value bridge inputs
+    sheet.getRange("B58:B62").values = [
+        [params.debt],
+        [params.cash],
+        [params.minorityInterest],
+        [params.preferredStock],
+        [params.investmentsInAssociates]
+    ];
     
     // Equity Value
-    sheet.getRange(43, 2).formulas = [[`=$B$41-$B$42`]];
+    sheet.getRange(63, 2).formulas = [[`=$B$57-$B$58+$B$59-$B$60-$B$61+$B$62`]];
+    
+    // Share count inputs
+    sheet.getRange("B65:B67").values = [
+        [params.sharesOutstanding],
+        [params.optionsOutstanding],
+        [params.optionStrikePrice]
+    ];
+    sheet.getRange("B69").values = [[params.restrictedStockUnits]];
     
-    // Add terminal value method note
-    sheet.getRange(38, 5).values = [["<-- Terminal Value Calculations"]];
-    sheet.getRange(38, 5).format.font.italic = true;
-    sheet.getRange(38, 5).format.font.color = "#666666";
+    // Treasury stock method, solved at the implied share price:
+    // P = (Equity + Options * Strike) / (Basic + RSUs + Options) when options are in the money
+    const tsmPrice = "(($B$63+$B$66*$B$67)/($B$65+$B$69+$B$66))";
+    sheet.getRange(68, 2).formulas = [[`=IF(AND($B$66>0,${tsmPrice}>$B$67),$B$66*(1-$B$67/${tsmPrice}),0)`]];
     
-    sheet.getRange(39, 3).values = [["Exit Multiple Method"]];
-    sheet.getRange(39, 3).format.font.italic = true;
+    // Diluted Shares Outstanding
+    sheet.getRange(70, 2).formulas = [["=$B$65+$B$68+$B$69"]];
     
-    sheet.getRange(39, 4).values = [["Perpetuity Growth Method"]];
-    sheet.getRange(39, 4).format.font.italic = true;
+    // Implied Share Price
+    sheet.getRange(71, 2).formulas = [["=$B$63/$B$70"]];
+    
+    // Current Share Price (from market data when a ticker is supplied)
+    if (typeof params.currentSharePrice === 'number') {
+        sheet.getRange(72, 2).values = [[params.currentSharePrice]];
+    }
+    if (params.sharePriceSource === 'market-data' && typeof params.currentSharePrice === 'number') {
+        sheet.getRange(72, 3).values = [[`Source: market data (${params.ticker})`]];
+        sheet.getRange(72, 3).format.font.italic = true;
+        sheet.getRange(72, 3).format.font.color = "#666666";
+    } else if (params.sharePriceSource === 'unavailable') {
+        sheet.getRange(72, 3).values = [[`Source: market data unavailable (${params.ticker})`]];
+        sheet.getRange(72, 3).format.font.italic = true;
+        sheet.getRange(72, 3).format.font.color = "#666666";
+    }
+    
+    // Implied Premium / (Discount)
+    sheet.getRange(73, 2).formulas = [['=IF($B$72>0,$B$71/$B$72-1,"n/a")']];
+    
+    sheet.getRange("B58:B62").format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange("B65:B67").format.font.color = "#0000FF";
+    sheet.getRange("B69").format.font.color = "#0000FF";
+    sheet.getRange("B72").format.font.color = "#0000FF";
+}
+
+/**
+ * Creates the two-way equity value sensitivity tables (WACC vs. terminal growth and
+ * WACC vs. exit multiple). Each cell is a live formula that re-discounts the projected
+ * free cash flows, so the grids update with the model.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {number} startRow - First row of the section
+ */
+async function createSensitivitySection(sheet, params, startRow) {
+    const options = getSensitivityOptions(params);
+    const size = options.steps * 2 + 1;
+    const startCol = 2 + params.historicalYears; // Column after historical data
+    const endCol = startCol + params.projectionYears - 1;
+    const first = getColumnLetter(startCol);
+    const last = getColumnLetter(endCol);
+    
+    // Section header and step inputs
+    sheet.getRange(startRow, 1).values = [["Sensitivity Analysis"]];
+    sheet.getRange(startRow, 1).format.font.bold = true;
+    sheet.getRange(startRow, 1).format.font.size = 14;
+    sheet.getRange(startRow + 1, 1, 3, 2).values = [
+        ["WACC Step", options.waccStep],
+        ["Terminal Growth Step", options.growthStep],
+        ["Exit Multiple Step", options.multipleStep]
+    ];
+    sheet.getRange(startRow + 1, 2, 2, 1).numberFormat = "0.00%";
+    sheet.getRange(startRow + 3, 2).numberFormat = "0.0x";
+    sheet.getRange(startRow + 1, 2, 3, 1).format.font.color = "#0000FF"; // Blue for hard inputs
+    
+    // Present value of the projected cash flows at the row's WACC
+    const pvOfCashFlows = (wacc) => `SUMPRODUCT(${first}$42:${last}$42/(1+${wacc})^${first}$43:${last}$43)`;
+    // Adjustments from enterprise value to equity value, as in the valuation section
+    const equityAdjustments = "($B$63-$B$57)";
+    
+    const tables = [
+        {
+            title: "Equity Value - WACC vs. Terminal Growth Rate (Perpetuity Growth Method)",
+            columnBase: "$B$8",
+            columnStep: `$B$${startRow + 2}`,
+            columnFormat: "0.0%",
+            formula: (wacc, growth) => `=IF(${wacc}>${growth},${pvOfCashFlows(wacc)}+${last}$32*(1+${growth})/(${wacc}-${growth})/(1+${wacc})^${last}$43+${equityAdjustments},"n/a")`
+        },
+        {
+            title: "Equity Value - WACC vs. Exit Multiple (Exit Multiple Method)",
+            columnBase: "$B$9",
+            columnStep: `$B$${startRow + 3}`,
+            columnFormat: "0.0x",
+            formula: (wacc, multiple) => `=${pvOfCashFlows(wacc)}+${last}$19*(1+$B$8)*${multiple}/(1+${wacc})^${last}$43+${equityAdjustments}`
+        }
+    ];
+    
+    let row = startRow + 5;
+    tables.forEach(table => {
+        const headerRow = row + 1;
+        const firstGridRow = row + 2;
+        
+        sheet.getRange(row, 1).values = [[table.title]];
+        sheet.getRange(row, 1).format.font.bold = true;
+        sheet.getRange(headerRow, 1).values = [["WACC (down) / Assumption (across)"]];
+        sheet.getRange(headerRow, 1).format.font.italic = true;
+        
+        // Column axis centred on the live assumption
+        for (let j = 0; j < size; j++) {
+            sheet.getRange(headerRow, 3 + j).formulas = [[offsetFormula(table.columnBase, j - options.steps, table.columnStep)]];
+        }
+        sheet.getRange(headerRow, 3, 1, size).numberFormat = table.columnFormat;
+        sheet.getRange(headerRow, 3, 1, size).format.font.bold = true;
+        
+        for (let i = 0; i < size; i++) {
+            const gridRow = firstGridRow + i;
+            
+            // Row axis centred on the live WACC
+            sheet.getRange(gridRow, 2).formulas = [[offsetFormula("$B$7", i - options.steps, `$B$${startRow + 1}`)]];
+            
+            for (let j = 0; j < size; j++) {
+                const colLetter = getColumnLetter(3 + j);
+                sheet.getRange(gridRow, 3 + j).formulas = [[table.formula(`$B${gridRow}`, `${colLetter}$${headerRow}`)]];
+            }
+        }
+        
+        const grid = sheet.getRange(firstGridRow, 3, size, size);
+        grid.numberFormat = "$#,##0.0,, \"M\"";
+        sheet.getRange(firstGridRow, 2, size, 1).numberFormat = "0.0%";
+        sheet.getRange(firstGridRow, 2, size, 1).format.font.bold = true;
+        
+        // Heatmap from red (low) through yellow to green (high)
+        const heatmap = grid.conditionalFormats.add("ColorScale");
+        heatmap.colorScale.criteria = {
+            minimum: { formula: null, type: "LowestValue", color: "#F8696B" },
+            midpoint: { formula: "50", type: "Percentile", color: "#FFEB84" },
+            maximum: { formula: null, type: "HighestValue", color: "#63BE7B" }
+        };
+        
+        // Outline the base case
+        const baseCase = sheet.getRange(firstGridRow + options.steps, 3 + options.steps);
+        baseCase.format.font.bold = true;
+        ["EdgeTop", "EdgeBottom", "EdgeLeft", "EdgeRight"].forEach(edge => {
+            baseCase.format.borders.getItem(edge).style = "Continuous";
+        });
+        
+        row = firstGridRow + size + 1;
+    });
+}
+
+/**
+ * Builds an axis formula offset from a base cell by a number of steps
+ * @param {string} baseCell - Cell holding the base case value
+ * @param {number} steps - Number of steps from the base case (negative for below)
+ * @param {string} stepCell - Cell holding the step size
+ * @returns {string} - Excel formula
+ */
+function offsetFormula(baseCell, steps, stepCell) {
+    if (steps === 0) {
+        return `=${baseCell}`;
+    }
+    
+    return `=${baseCell}${steps < 0 ? '-' : '+'}${Math.abs(steps)}*${stepCell}`;
+}
+
+/**
+ * Returns the sensitivity table options (`sensitivity: true` uses the defaults)
+ * @param {object} params - Model parameters
+ * @returns {object} - Sensitivity options
+ */
+function getSensitivityOptions(params) {
+    return { ...SENSITIVITY_DEFAULTS, ...(typeof params.sensitivity === 'object' ? params.sensitivity : {}) };
 }
 
 /**
@@ -386,57 +766,663 @@ async function createValuationSection(sheet, params) {
  * @param {object} params - Model parameters
  */
 async function formatWorksheet(sheet, params) {
-    const lastCol = 2 + params.historicalYears + params.projectionYears - 1;
+    const startCol = 2 + params.historicalYears; // First projection column
+    const lastCol = startCol + params.projectionYears - 1;
     
     // Format headers
-    sheet.getRange(11, 2, 1, lastCol - 1).format.font.bold = true;
+    sheet.getRange(15, 2, 1, lastCol - 1).format.font.bold = true;
     
     // Format numbers
     // Currency formatting for monetary values
-    sheet.getRange(13, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
-    sheet.getRange(15, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
     sheet.getRange(17, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
-    sheet.getRange(18, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
-    sheet.getRange(20, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange(19, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
     sheet.getRange(21, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange(22, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
     sheet.getRange(24, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
     sheet.getRange(25, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
-    sheet.getRange(26, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
-    sheet.getRange(27, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
     sheet.getRange(28, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange(29, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange(30, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange(31, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
     sheet.getRange(32, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
-    sheet.getRange(35, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange(42, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange(45, 2, 1, lastCol - 1).numberFormat = "$#,##0.0,, \"M\"";
     
     // Percentage formatting
-    sheet.getRange(14, 2, 1, lastCol - 1).numberFormat = "0.0%";
-    sheet.getRange(16, 2, 1, lastCol - 1).numberFormat = "0.0%";
-    sheet.getRange(19, 2, 1, lastCol - 1).numberFormat = "0.0%";
-    sheet.getRange(34, 2, 1, lastCol - 1).numberFormat = "0.000";
+    sheet.getRange(18, 2, 1, lastCol - 1).numberFormat = "0.0%";
+    sheet.getRange(20, 2, 1, lastCol - 1).numberFormat = "0.0%";
+    sheet.getRange(23, 2, 1, lastCol - 1).numberFormat = "0.0%";
+    sheet.getRange(41, 2, 1, lastCol - 1).numberFormat = "0.000";
+    sheet.getRange(43, 2, 1, lastCol - 1).numberFormat = "0.000";
+    sheet.getRange(44, 2, 1, lastCol - 1).numberFormat = "0.000";
     
     // Format valuation section
-    sheet.getRange("B37:B43").numberFormat = "$#,##0.0,, \"M\"";
-    sheet.getRange("B38").numberFormat = "$#,##0.0,, \"M\"";
-    sheet.getRange("C38:D38").numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange("B47:B63").numberFormat = "$#,##0.0,, \"M\"";
+    sheet.getRange("B65:B66").numberFormat = "#,##0.0";
+    sheet.getRange("B67").numberFormat = "$0.00";
+    sheet.getRange("B68:B70").numberFormat = "#,##0.0";
+    sheet.getRange("B71:B72").numberFormat = "$0.00";
+    sheet.getRange("B73").numberFormat = "0.0%";
+    sheet.getRange("B48").numberFormat = "General";
+    sheet.getRange("B54").numberFormat = "0.0x";
+    sheet.getRange("B55").numberFormat = "0.0%";
     
     // Highlight important cells
-    sheet.getRange("B41").format.fill.color = "#E6F0FF";
-    sheet.getRange("B43").format.fill.color = "#E6F0FF";
-    sheet.getRange("B41").format.font.bold = true;
-    sheet.getRange("B43").format.font.bold = true;
+    sheet.getRange("B57").format.fill.color = "#E6F0FF";
+    sheet.getRange("B63").format.fill.color = "#E6F0FF";
+    sheet.getRange("B71").format.fill.color = "#E6F0FF";
+    sheet.getRange("B57").format.font.bold = true;
+    sheet.getRange("B63").format.font.bold = true;
+    sheet.getRange("B71").format.font.bold = true;
     
     // Add section borders
-    sheet.getRange(10, 1, 1, lastCol).format.borders.bottom.style = "Continuous";
-    sheet.getRange(30, 1, 1, lastCol).format.borders.bottom.style = "Continuous";
+    sheet.getRange(14, 1, 1, lastCol).format.borders.bottom.style = "Continuous";
+    sheet.getRange(34, 1, 1, lastCol).format.borders.bottom.style = "Continuous";
     
     // Add title and subtitle for historical and projection sections
-    sheet.getRange(11, 2, 1, params.historicalYears).format.fill.color = "#F0F0F0";
-    sheet.getRange(11, startCol, 1, params.projectionYears).format.fill.color = "#E6F0FF";
+    sheet.getRange(15, 2, 1, params.historicalYears).format.fill.color = "#F0F0F0";
+    sheet.getRange(15, startCol, 1, params.projectionYears).format.fill.color = "#E6F0FF";
     
     // Add historical/projection labels
-    sheet.getRange("B10").values = [["Historical"]];
-    sheet.getRange("B10").format.font.italic = true;
-    sheet.getRange(`${getColumnLetter(2 + params.historicalYears)}10`).values = [["Projection"]];
-    sheet.getRange(`${getColumnLetter(2 + params.historicalYears)}10`).format.font.italic = true;
+    sheet.getRange("B14").values = [["Historical"]];
+    sheet.getRange("B14").format.font.italic = true;
+    sheet.getRange(`${getColumnLetter(2 + params.historicalYears)}14`).values = [["Projection"]];
+    sheet.getRange(`${getColumnLetter(2 + params.historicalYears)}14`).format.font.italic = true;
+}
+
+/**
+ * Merges parameters with defaults and sizes the historical period to any supplied historicals
+ * @param {object} params - Parameters for the DCF model
+ * @returns {object} - Resolved model parameters
+ */
+function resolveParams(params) {
+    const modelParams = { ...DEFAULTS, ...params };
+    
+    if (modelParams.historicals && Array.isArray(modelParams.historicals.revenue)) {
+        modelParams.historicalYears = modelParams.historicals.revenue.length;
+    }
+    
+    if (!TERMINAL_VALUE_METHODS[modelParams.terminalValueMethod]) {
+        throw new ValidationError(`terminalValueMethod must be one of: ${Object.keys(TERMINAL_VALUE_METHODS).join(', ')}`);
+    }
+    
+    // The WACC build-up drives the discount rate when supplied
+    if (modelParams.wacc) {
+        modelParams.discountRate = calculateWACC(getWACCParams(modelParams), modelParams.taxRate).wacc;
+    }
+    
+    return modelParams;
+}
+
+/**
+ * Returns the WACC build-up inputs (`wacc: true` uses the schedule defaults)
+ * @param {object} params - Model parameters
+ * @returns {object} - WACC inputs
+ */
+function getWACCParams(params) {
+    return typeof params.wacc === 'object' ? params.wacc : {};
+}
+
+/**
+ * Builds the historical series for the historical columns
+ * Missing items are returned as null so the model falls back to its assumptions.
+ * @param {object} params - Model parameters
+ * @returns {object} - Years, revenue, EBITDA, D&A, capex and change in working capital arrays
+ *                     (oldest year first) plus a description of the source
+ */
+function getHistoricalSeries(params) {
+    const historicals = params.historicals;
+    const count = params.historicalYears;
+    const lastHistoricalYear = getFiscalCalendar(params).firstProjectionYear - 1;
+    
+    if (!historicals || !Array.isArray(historicals.revenue) || historicals.revenue.length === 0) {
+        // Illustrative history so the template still calculates until actuals are supplied
+        const revenue = [];
+        let baseRevenue = 1000; // Starting revenue in millions
+        
+        for (let year = 0; year < count; year++) {
+            if (year > 0) {
+                baseRevenue = baseRevenue * 1.10;
+            }
+            revenue.push(baseRevenue);
+        }
+        
+        return {
+            years: revenue.map((_, i) => lastHistoricalYear - count + 1 + i),
+            revenue,
+            ebitda: new Array(count).fill(null),
+            depreciation: new Array(count).fill(null),
+            capex: new Array(count).fill(null),
+            changeInWorkingCapital: new Array(count).fill(null),
+            source: "Illustrative placeholder - replace with actual historicals"
+        };
+    }
+    
+    const series = (values) => {
+        const result = new Array(count).fill(null);
+        (values || []).slice(0, count).forEach((value, i) => {
+            result[i] = typeof value === 'number' && isFinite(value) ? value : null;
+        });
+        return result;
+    };
+    
+    // Derive changes from working capital balances when changes were not supplied
+    let changeInWorkingCapital = series(historicals.changeInWorkingCapital);
+    if (!historicals.changeInWorkingCapital && Array.isArray(historicals.workingCapital)) {
+        const balances = series(historicals.workingCapital);
+        changeInWorkingCapital = balances.map((balance, i) =>
+            i > 0 && balance !== null && balances[i - 1] !== null ? balance - balances[i - 1] : null
+        );
+    }
+    
+    const revenue = series(historicals.revenue);
+    if (revenue.includes(null)) {
+        throw new ValidationError('Historical revenue is required for every historical year');
+    }
+    
+    return {
+        years: Array.isArray(historicals.years) && historicals.years.length === count ?
+            historicals.years.map(year => parseInt(year, 10)) :
+            historicals.revenue.map((_, i) => lastHistoricalYear - count + 1 + i),
+        revenue,
+        ebitda: series(historicals.ebitda),
+        depreciation: series(historicals.depreciation),
+        capex: series(historicals.capex).map(value => value === null ? null : Math.abs(value)),
+        changeInWorkingCapital,
+        source: historicals.source || "User input"
+    };
+}
+
+/**
+ * Expands a scalar or per-year assumption into one value per projection year
+ * Short vectors hold their last value for the remaining years.
+ * @param {number|Array<number>} value - Scalar assumption or per-year values
+ * @param {number} years - Number of projection years
+ * @returns {Array<number>} - One value per projection year
+ */
+function getAssumptionVector(value, years) {
+    if (!Array.isArray(value)) {
+        return new Array(years).fill(value);
+    }
+    
+    if (value.length === 0) {
+        throw new ValidationError('Assumption vectors must contain at least one value');
+    }
+    
+    return Array.from({ length: years }, (_, i) => value[Math.min(i, value.length - 1)]);
+}
+
+/**
+ * Works out the fiscal calendar from the valuation date and fiscal year end
+ * Fiscal years are labelled by the calendar year they end in. The first projection year is the
+ * fiscal year after the last supplied historical year, or else the fiscal year containing the
+ * valuation date; the stub is the share of that year remaining after the valuation date. Historical
+ * years ending a full year or more before the valuation date are rejected.
+ * @param {object} params - Model parameters
+ * @returns {object} - Valuation date, first projection fiscal year and its end date, stub fraction
+ */
+function getFiscalCalendar(params) {
+    const valuationDate = parseValuationDate(params.valuationDate);
+    const match = String(params.fiscalYearEnd || '').match(/^(\d{1,2})-(\d{1,2})$/);
+    if (!match || match[1] < 1 || match[1] > 12 || match[2] < 1 || match[2] > 31) {
+        throw new ValidationError('fiscalYearEnd must be in MM-DD format');
+    }
+    const month = parseInt(match[1], 10) - 1;
+    const day = parseInt(match[2], 10);
+    
+    let firstProjectionYear;
+    if (params.historicals && Array.isArray(params.historicals.years) && params.historicals.years.length > 0) {
+        firstProjectionYear = parseInt(params.historicals.years[params.historicals.years.length - 1], 10) + 1;
+    } else {
+        const year = valuationDate.getUTCFullYear();
+        firstProjectionYear = valuationDate < createDate(year, month, day) ? year : year + 1;
+    }
+    
+    // Prior year end mirrors EDATE(fiscal year end, -12) in the sheet
+    const fiscalYearEnd = createDate(firstProjectionYear, month, day);
+    if (valuationDate >= fiscalYearEnd) {
+        // Historicals end more than a year before the valuation date, so there is no stub to discount
+        throw new ValidationError(`valuationDate must be before the end of FY ${firstProjectionYear}, ` +
+            `the first year after the last historical year`);
+    }
+    const priorFiscalYearEnd = createDate(firstProjectionYear - 1, month, fiscalYearEnd.getUTCDate());
+    const stubFraction = (fiscalYearEnd - valuationDate) / (fiscalYearEnd - priorFiscalYearEnd);
+    
+    return {
+        valuationDate,
+        fiscalYearEnd,
+        firstProjectionYear,
+        stubFraction: Math.max(0, Math.min(1, stubFraction))
+    };
+}
+
+/**
+ * Parses the valuation date parameter (defaults to today)
+ * @param {string|Date|null} value - 'YYYY-MM-DD' string or Date
+ * @returns {Date} - Valuation date at midnight UTC
+ */
+function parseValuationDate(value) {
+    if (!value) {
+        const today = new Date();
+        return createDate(today.getFullYear(), today.getMonth(), today.getDate());
+    }
+    
+    if (value instanceof Date && !isNaN(value)) {
+        return createDate(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+    
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+        throw new ValidationError('valuationDate must be a Date or a YYYY-MM-DD string');
+    }
+    
+    return createDate(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+}
+
+/**
+ * Creates a UTC date, clamping the day to the end of the month (e.g. 02-29 in a non-leap year)
+ * @param {number} year - Calendar year
+ * @param {number} month - Zero-based month
+ * @param {number} day - Day of the month
+ * @returns {Date} - Date at midnight UTC
+ */
+function createDate(year, month, day) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(day, daysInMonth)));
+}
+
+/**
+ * Converts a date to an Excel serial date number
+ * @param {Date} date - Date at midnight UTC
+ * @returns {number} - Days since 1899-12-30
+ */
+function toExcelDate(date) {
+    return Math.round((date - Date.UTC(1899, 11, 30)) / 86400000);
+}
+
+/**
+ * Converts PDF extraction results (see pdfService.extractFinancialData) into DCF historicals
+ * @param {Array|object} extractions - One extraction per fiscal year, oldest first
+ * @returns {object} - Historicals for the `historicals` parameter
+ */
+function historicalsFromPdfData(extractions) {
+    const periods = Array.isArray(extractions) ? extractions : [extractions];
+    const item = (group, key) => periods.map(data =>
+        data.financial_data && data.financial_data[group] ? data.financial_data[group][key] : null
+    );
+    
+    const years = periods.map(data => {
+        const match = String(data.period || '').match(/\d{4}/);
+        return match ? parseInt(match[0], 10) : null;
+    });
+    
+    return {
+        years: years.every(year => year !== null) ? years : undefined,
+        revenue: item('income_statement', 'revenue'),
+        ebitda: item('income_statement', 'ebitda'),
+        depreciation: item('cash_flow', 'depreciation'),
+        capex: item('cash_flow', 'capital_expenditures'),
+        workingCapital: item('balance_sheet', 'working_capital'),
+        source: `PDF extraction (${periods[0].company || 'Unknown Company'})`
+    };
+}
+
+/**
+ * Converts market data financial statements (see marketDataService.getFinancialStatement)
+ * into DCF historicals. Periods are matched across statements by fiscal year.
+ * @param {object} statements - Annual `income`, `cash` and `balance` statement arrays
+ * @param {string} symbol - Stock symbol, used in the source note
+ * @returns {object} - Historicals for the `historicals` parameter
+ */
+function historicalsFromFinancialStatements(statements, symbol) {
+    const fiscalYear = (period) => parseInt(period.fiscalYear || String(period.date || '').slice(0, 4), 10);
+    const byYear = (periods) => {
+        const map = {};
+        (periods || []).forEach(period => { map[fiscalYear(period)] = period; });
+        return map;
+    };
+    
+    const income = byYear(statements.income);
+    const cash = byYear(statements.cash);
+    const balance = byYear(statements.balance);
+    const years = Object.keys(income).map(Number).sort((a, b) => a - b);
+    const value = (map, year, ...keys) => {
+        const period = map[year];
+        if (!period) return null;
+        const key = keys.find(k => typeof period[k] === 'number');
+        return key ? period[key] : null;
+    };
+    
+    return {
+        years,
+        revenue: years.map(year => value(income, year, 'revenue', 'totalRevenue')),
+        ebitda: years.map(year => value(income, year, 'ebitda')),
+        depreciation: years.map(year => {
+            const fromCashFlow = value(cash, year, 'depreciationAndAmortization', 'depreciation');
+            return fromCashFlow !== null ? fromCashFlow : value(income, year, 'depreciationAndAmortization');
+        }),
+        capex: years.map(year => value(cash, year, 'capitalExpenditure', 'capitalExpenditures')),
+        workingCapital: years.map(year => {
+            const currentAssets = value(balance, year, 'totalCurrentAssets', 'currentAssets');
+            const currentLiabilities = value(balance, year, 'totalCurrentLiabilities', 'currentLiabilities');
+            return currentAssets !== null && currentLiabilities !== null ? currentAssets - currentLiabilities : null;
+        }),
+        source: `Market data financial statements${symbol ? ` (${symbol})` : ''}`
+    };
+}
+
+/**
+ * Converts a user-selected Excel range into DCF historicals.
+ * The first row holds fiscal years and the first column holds line item labels.
+ * @param {Array<Array>} values - Range values
+ * @param {string} address - Range address, used in the source note
+ * @returns {object} - Historicals for the `historicals` parameter
+ */
+function historicalsFromRange(values, address) {
+    const [header, ...rows] = values;
+    const labels = {
+        revenue: /revenue|sales/i,
+        ebitda: /ebitda/i,
+        depreciation: /depreciation|d&a/i,
+        capex: /capex|capital expenditure/i,
+        changeInWorkingCapital: /change in (net )?working capital/i,
+        workingCapital: /working capital/i
+    };
+    
+    const historicals = {
+        years: header.slice(1).map(cell => parseInt(String(cell).match(/\d{4}/), 10)),
+        source: `Selected range${address ? ` ${address}` : ''}`
+    };
+    
+    rows.forEach(row => {
+        const label = String(row[0]);
+        const key = Object.keys(labels).find(name => labels[name].test(label) && !historicals[name]);
+        if (key) {
+            historicals[key] = row.slice(1).map(cell => cell === '' || cell === null ? null : Number(cell));
+        }
+    });
+    
+    if (historicals.years.some(isNaN)) {
+        delete historicals.years;
+    }
+    
+    return historicals;
+}
+
+/**
+ * Calculates the DCF valuation without Excel, mirroring the formulas written by createDCFModel
+ * @param {object} params - Parameters for the DCF model (same as createDCFModel)
+ * @returns {object} - Projection, discounting, terminal value and valuation results
+ */
+function calculateDCF(params = {}) {
+    const modelParams = resolveParams(params);
+    
+    if (!Number.isInteger(modelParams.historicalYears) || modelParams.historicalYears < 1) {
+        throw new ValidationError('historicalYears must be a positive integer');
+    }
+    if (!Number.isInteger(modelParams.projectionYears) || modelParams.projectionYears < 1) {
+        throw new ValidationError('projectionYears must be a positive integer');
+    }
+    if (!(modelParams.discountRate > modelParams.perpetualGrowthRate)) {
+        throw new ValidationError('discountRate must be greater than perpetualGrowthRate');
+    }
+    if (!(modelParams.sharesOutstanding > 0)) {
+        throw new ValidationError('sharesOutstanding must be greater than zero');
+    }
+    
+    const historicals = getHistoricalSeries(modelParams);
+    const calendar = getFiscalCalendar(modelParams);
+    const firstProjectionYear = calendar.firstProjectionYear;
+    
+    // Per-year assumptions; historical fallbacks use the base (column B) values
+    const assumptions = {};
+    ['revenueGrowthRate', 'ebitdaMargin', 'depreciationRate', 'capexPercentOfRevenue', 'workingCapitalPercentOfRevenue']
+        .forEach(key => { assumptions[key] = getAssumptionVector(modelParams[key], modelParams.projectionYears); });
+    const baseRates = {
+        depreciationRate: getAssumptionVector(modelParams.depreciationRate, 1)[0],
+        capexPercentOfRevenue: getAssumptionVector(modelParams.capexPercentOfRevenue, 1)[0],
+        workingCapitalPercentOfRevenue: getAssumptionVector(modelParams.workingCapitalPercentOfRevenue, 1)[0]
+    };
+    const baseEbitdaMargin = getAssumptionVector(modelParams.ebitdaMargin, 1)[0];
+    
+    // Historical financials
+    const historical = createLineItems();
+    historical.source = historicals.source;
+    for (let year = 0; year < modelParams.historicalYears; year++) {
+        const revenue = historicals.revenue[year];
+        const previousRevenue = year > 0 ? historicals.revenue[year - 1] : null;
+        
+        historical.years.push(`FY ${historicals.years[year]}`);
+        addLineItems(historical, modelParams, {
+            ...baseRates,
+            revenue,
+            previousRevenue,
+            ebitda: historicals.ebitda[year] !== null ? historicals.ebitda[year] : revenue * baseEbitdaMargin,
+            depreciation: historicals.depreciation[year],
+            capitalExpenditures: historicals.capex[year],
+            changeInWorkingCapital: historicals.changeInWorkingCapital[year]
+        });
+    }
+    
+    // Projected financials
+    const projection = createLineItems();
+    let previousRevenue = historicals.revenue[historicals.revenue.length - 1];
+    for (let year = 0; year < modelParams.projectionYears; year++) {
+        const revenue = previousRevenue * (1 + assumptions.revenueGrowthRate[year]);
+        
+        projection.years.push(`FY ${firstProjectionYear + year}`);
+        addLineItems(projection, modelParams, {
+            revenue,
+            previousRevenue,
+            ebitda: revenue * assumptions.ebitdaMargin[year],
+            depreciationRate: assumptions.depreciationRate[year],
+            capexPercentOfRevenue: assumptions.capexPercentOfRevenue[year],
+            workingCapitalPercentOfRevenue: assumptions.workingCapitalPercentOfRevenue[year]
+        });
+        
+        previousRevenue = revenue;
+    }
+    
+    // Discounting from the valuation date (first year is a stub)
+    const periodFractions = projection.years.map((_, year) => year === 0 ? calendar.stubFraction : 1);
+    const cashFlows = projection.unleveredFreeCashFlow.map((fcf, i) => fcf * periodFractions[i]);
+    const discountPeriods = [];
+    periodFractions.forEach((fraction, i) => {
+        const elapsed = i === 0 ? 0 : discountPeriods[i - 1] + (modelParams.midYearConvention ? periodFractions[i - 1] / 2 : 0);
+        discountPeriods.push(elapsed + (modelParams.midYearConvention ? fraction / 2 : fraction));
+    });
+    const discountFactors = discountPeriods.map(period => 1 / Math.pow(1 + modelParams.discountRate, period));
+    const presentValues = cashFlows.map((fcf, i) => fcf * discountFactors[i]);
+    const sumOfPresentValues = presentValues.reduce((sum, value) => sum + value, 0);
+    
+    // Terminal value by both methods
+    const last = modelParams.projectionYears - 1;
+    const terminalEbitda = projection.ebitda[last] * (1 + modelParams.perpetualGrowthRate);
+    const exitMultipleValue = terminalEbitda * modelParams.exitMultiple;
+    const perpetuityGrowthValue = projection.unleveredFreeCashFlow[last] * (1 + modelParams.perpetualGrowthRate) /
+        (modelParams.discountRate - modelParams.perpetualGrowthRate);
+    const selectedValue = modelParams.terminalValueMethod === 'perpetuity-growth' ? perpetuityGrowthValue :
+        modelParams.terminalValueMethod === 'blended' ? (exitMultipleValue + perpetuityGrowthValue) / 2 :
+        exitMultipleValue;
+    const presentValueOfTerminalValue = selectedValue * discountFactors[last];
+    
+    // Valuation
+    const enterpriseValue = sumOfPresentValues + presentValueOfTerminalValue;
+    const equityValue = enterpriseValue - modelParams.debt + modelParams.cash - modelParams.minorityInterest -
+        modelParams.preferredStock + modelParams.investmentsInAssociates;
+    const perShare = calculateImpliedSharePrice(modelParams, equityValue);
+    
+    return {
+        modelType: "DCF",
+        parameters: modelParams,
+        wacc: modelParams.wacc ? calculateWACC(getWACCParams(modelParams), modelParams.taxRate) : null,
+        assumptions,
+        historical,
+        projection,
+        discounting: {
+            valuationDate: calendar.valuationDate.toISOString().slice(0, 10),
+            fiscalYearEnd: calendar.fiscalYearEnd.toISOString().slice(0, 10),
+            convention: modelParams.midYearConvention ? 'mid-year' : 'end-of-year',
+            stubFraction: calendar.stubFraction,
+            periodFractions,
+            cashFlows,
+            discountPeriods,
+            discountFactors,
+            presentValues
+        },
+        terminalValue: {
+            terminalEbitda,
+            exitMultiple: exitMultipleValue,
+            perpetuityGrowth: perpetuityGrowthValue,
+            method: modelParams.terminalValueMethod,
+            selected: selectedValue,
+            presentValue: presentValueOfTerminalValue,
+            impliedExitMultiple: perpetuityGrowthValue / terminalEbitda,
+            impliedPerpetualGrowth: (exitMultipleValue * modelParams.discountRate - projection.unleveredFreeCashFlow[last]) /
+                (exitMultipleValue + projection.unleveredFreeCashFlow[last])
+        },
+        valuation: {
+            sumOfPresentValues,
+            presentValueOfTerminalValue,
+            enterpriseValue,
+            debt: modelParams.debt,
+            cash: modelParams.cash,
+            minorityInterest: modelParams.minorityInterest,
+            preferredStock: modelParams.preferredStock,
+            investmentsInAssociates: modelParams.investmentsInAssociates,
+            equityValue
+        },
+        perShare,
+        sensitivity: modelParams.sensitivity ?
+            calculateSensitivity(modelParams, projection, cashFlows, discountPeriods, equityValue - enterpriseValue) : null
+    };
+}
+
+/**
+ * Calculates diluted shares (treasury stock method) and the implied share price,
+ * mirroring the share count rows of the valuation section
+ * @param {object} params - Model parameters
+ * @param {number} equityValue - Equity value
+ * @returns {object} - Share count build-up, implied price and premium / (discount) to current
+ */
+function calculateImpliedSharePrice(params, equityValue) {
+    const options = params.optionsOutstanding;
+    const strike = params.optionStrikePrice;
+    const tsmPrice = (equityValue + options * strike) / (params.sharesOutstanding + params.restrictedStockUnits + options);
+    const dilutiveOptionShares = options > 0 && tsmPrice > strike ? options * (1 - strike / tsmPrice) : 0;
+    const dilutedShares = params.sharesOutstanding + dilutiveOptionShares + params.restrictedStockUnits;
+    const impliedSharePrice = equityValue / dilutedShares;
+    
+    return {
+        basicShares: params.sharesOutstanding,
+        optionsOutstanding: options,
+        optionStrikePrice: strike,
+        dilutiveOptionShares,
+        restrictedStockUnits: params.restrictedStockUnits,
+        dilutedShares,
+        impliedSharePrice,
+        currentSharePrice: params.currentSharePrice,
+        currentSharePriceSource: typeof params.currentSharePrice === 'number' ? params.sharePriceSource || 'input'
+            : params.sharePriceSource === 'unavailable' ? 'unavailable' : null,
+        currentSharePriceError: params.sharePriceSource === 'unavailable' ? params.sharePriceError : null,
+        impliedPremium: params.currentSharePrice > 0 ? impliedSharePrice / params.currentSharePrice - 1 : null
+    };
+}
+
+/**
+ * Recomputes equity value across the WACC vs. terminal growth and WACC vs. exit multiple grids,
+ * mirroring the formulas written by createSensitivitySection
+ * @param {object} params - Model parameters
+ * @param {object} projection - Projected line items
+ * @param {Array<number>} cashFlows - Unlevered free cash flow for each period (stub-adjusted)
+ * @param {Array<number>} discountPeriods - Discount period for each projection year
+ * @param {number} equityAdjustments - Equity value less enterprise value in the base case
+ * @returns {object} - Axis values and equity value grids (rows are WACC values)
+ */
+function calculateSensitivity(params, projection, cashFlows, discountPeriods, equityAdjustments) {
+    const options = getSensitivityOptions(params);
+    const axis = (base, step) => Array.from({ length: options.steps * 2 + 1 }, (_, i) => base + (i - options.steps) * step);
+    
+    const waccValues = axis(params.discountRate, options.waccStep);
+    const growthValues = axis(params.perpetualGrowthRate, options.growthStep);
+    const multipleValues = axis(params.exitMultiple, options.multipleStep);
+    
+    const last = projection.unleveredFreeCashFlow.length - 1;
+    const lastPeriod = discountPeriods[last];
+    const pvOfCashFlows = (wacc) => cashFlows.reduce(
+        (sum, fcf, i) => sum + fcf / Math.pow(1 + wacc, discountPeriods[i]), 0
+    );
+    
+    return {
+        waccValues,
+        growthValues,
+        multipleValues,
+        waccVsGrowth: waccValues.map(wacc => growthValues.map(growth => wacc > growth ?
+            pvOfCashFlows(wacc) + projection.unleveredFreeCashFlow[last] * (1 + growth) / (wacc - growth) /
+                Math.pow(1 + wacc, lastPeriod) + equityAdjustments :
+            null
+        )),
+        waccVsMultiple: waccValues.map(wacc => multipleValues.map(multiple =>
+            pvOfCashFlows(wacc) + projection.ebitda[last] * (1 + params.perpetualGrowthRate) * multiple /
+                Math.pow(1 + wacc, lastPeriod) + equityAdjustments
+        ))
+    };
+}
+
+/**
+ * Creates an empty set of line item series for the headless engine
+ * @returns {object} - Line item arrays keyed by name
+ */
+function createLineItems() {
+    return {
+        years: [],
+        revenue: [],
+        growthRate: [],
+        ebitda: [],
+        ebitdaMargin: [],
+        depreciation: [],
+        ebit: [],
+        ebitMargin: [],
+        taxes: [],
+        nopat: [],
+        capitalExpenditures: [],
+        changeInWorkingCapital: [],
+        unleveredFreeCashFlow: []
+    };
+}
+
+/**
+ * Appends one year of income statement and cash flow items, matching rows 17-32 of the sheet
+ * @param {object} items - Line item arrays to append to
+ * @param {object} params - Model parameters
+ * @param {object} year - Revenue, prior-year revenue (null for the first year), EBITDA, the year's
+ *                        D&A, capex and working capital rates, and any reported D&A, capex or
+ *                        change in working capital (null to use the rates)
+ */
+function addLineItems(items, params, year) {
+    const { revenue, previousRevenue, ebitda } = year;
+    const reported = (value, fallback) => value !== null && value !== undefined ? value : fallback;
+    
+    const depreciation = reported(year.depreciation, revenue * year.depreciationRate);
+    const ebit = ebitda - depreciation;
+    const taxes = ebit > 0 ? ebit * params.taxRate : 0;
+    const nopat = ebit - taxes;
+    const capitalExpenditures = reported(year.capitalExpenditures, revenue * year.capexPercentOfRevenue);
+    const changeInWorkingCapital = reported(year.changeInWorkingCapital, previousRevenue === null ? 0 :
+        (revenue - previousRevenue) * year.workingCapitalPercentOfRevenue);
+    
+    items.revenue.push(revenue);
+    items.growthRate.push(previousRevenue === null ? null : revenue / previousRevenue - 1);
+    items.ebitda.push(ebitda);
+    items.ebitdaMargin.push(ebitda / revenue);
+    items.depreciation.push(depreciation);
+    items.ebit.push(ebit);
+    items.ebitMargin.push(ebit / revenue);
+    items.taxes.push(taxes);
+    items.nopat.push(nopat);
+    items.capitalExpenditures.push(capitalExpenditures);
+    items.changeInWorkingCapital.push(changeInWorkingCapital);
+    items.unleveredFreeCashFlow.push(nopat + depreciation - capitalExpenditures - changeInWorkingCapital);
 }
 
 /**
@@ -459,5 +1445,11 @@ function getColumnLetter(column) {
 }
 
 module.exports = {
-    createDCFModel
+    createDCFModel,
+    calculateDCF,
+    withComparableBetas,
+    withMarketSharePrice,
+    historicalsFromPdfData,
+    historicalsFromFinancialStatements,
+    historicalsFromRange
 };
\ No newline at end of file
@@ -0,0 +1,16 @@
+// errors.js - Error types shared by the model engines
+
+/**
+ * Invalid model inputs (missing values, inconsistent assumptions, unparseable imports);
+ * the API reports these as 400 Bad Request with the message
+ */
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+module.exports = {
+    ValidationError
+};
@@ -1,5 +1,68 @@
 // lbo.js - Leveraged Buyout Model Template
 
+const { ValidationError } = require('./errors');
+
+// Default parameters, shared by the Excel builder and the headless engine
+const DEFAULTS = {
+    companyName: "Target Company",
+    purchasePrice: 1000, // in millions; sets LTM EBITDA (with entryMultiple) when ltmEbitda is not given
+    entryMultiple: 8.0,  // EV/EBITDA multiple
+    ltmEbitda: null, // required by the offer-price method
+    purchasePriceMethod: 'multiple', // 'multiple' (entry multiple x LTM EBITDA) or 'offer-price'
+    offerPricePerShare: null,
+    sharesOutstanding: null, // diluted, in millions
+    existingDebt: 0, // target debt refinanced at close
+    existingCash: 0, // target cash used as a source
+    transactionFeePercent: 0.02, // % of enterprise value
+    managementRollover: 0, // equity rolled by management, in millions
+    entryYear: null, // defaults to the current year
+    projectionYears: 5,
+    exitMultiple: 9.0,
+    debtToEbitda: 4.0,
+    interestRate: 0.06,
+    taxRate: 0.25,
+    revenueGrowthRate: 0.05,
+    ebitdaMargin: 0.30,
+    capexPercentOfRevenue: 0.04,
+    depreciationPercentOfRevenue: 0.03,
+    workingCapitalPercentOfRevenue: 0.10,
+    minimumCash: 0, // Cash kept on the balance sheet before any cash sweep
+    averageBalanceInterest: false, // Interest on average balances (circular; enables iterative calculation)
+    // Debt tranches in cash sweep priority order, e.g.
+    // [{ name: "Term Loan B", ebitdaMultiple: 3.0, interestRate: 0.07, amortization: 0.01,
+    //    financingFee: 0.02, cashSweep: true, pik: false }]
+    // Tranches can be sized by an amount (in millions) instead of ebitdaMultiple.
+    // Defaults to a single senior tranche sized by debtToEbitda at interestRate
+    tranches: null,
+    sellerNote: null, // { amount, interestRate, pik }; added as the most junior tranche
+    // Incremental borrowings paid out as dividends, e.g. [{ year: 3, amount: 150, tranche: "Term Loan B" }];
+    // tranche defaults to the first tranche
+    dividendRecaps: [],
+    closingDate: null, // 'YYYY-MM-DD'; defaults to December 31 of the entry year
+    // { type: 'option-pool' | 'promote', percent, hurdleMultiple } - management share of equity gains;
+    // option pools are struck at the entry equity value, a promote shares gains above hurdleMultiple x equity
+    managementIncentive: null,
+    sensitivity: null // Returns sensitivity grid options (see SENSITIVITY_DEFAULTS); true for defaults
+};
+
+// Management incentive structures and their labels in the returns section
+const MANAGEMENT_INCENTIVE_TYPES = {
+    'none': "None",
+    'option-pool': "Option Pool",
+    'promote': "Promote"
+};
+
+// Default returns sensitivity grid options
+const SENSITIVITY_DEFAULTS = {
+    steps: 2,             // Steps either side of the base case (5 x 5 grids)
+    entryMultipleStep: 1.0,
+    exitMultipleStep: 1.0,
+    leverageStep: 0.5,    // Total debt / LTM EBITDA
+    growthStep: 0.01,
+    irrHurdle: 0.20,      // Grid cells at or above the hurdles are highlighted
+    momHurdle: 2.0
+};
+
 /**
  * Creates a Leveraged Buyout (LBO) model in Excel
  * @param {object} context - The Excel context
@@ -7,27 +70,9 @@
  * @returns {Promise<object>} - Information about the created model
  */
 async function createLBOModel(context, params = {}) {
-    // Default parameters
-    const defaults = {
-        companyName: "Target Company",
-        purchasePrice: 1000, // in millions
-        entryMultiple: 8.0,  // EV/EBITDA multiple
-        entryYear: new Date().getFullYear(),
-        projectionYears: 5,
-        exitMultiple: 9.0,
-        debtToEbitda: 4.0,
-        interestRate: 0.06,
-        taxRate: 0.25,
-        revenueGrowthRate: 0.05,
-        ebitdaMargin: 0.30,
-        capexPercentOfRevenue: 0.04,
-        depreciationPercentOfRevenue: 0.03,
-        workingCapitalPercentOfRevenue: 0.10,
-        debtRepaymentPercentOfEBITDA: 0.50
-    };
-
     // Merge defaults with provided parameters
-    const modelParams = { ...defaults, ...params };
+    const modelParams = resolveParams(params);
+    const layout = getLayout(modelParams);
     
     // Create a new worksheet for the model if it doesn't exist
     let sheet;
@@ -44,19 +89,29 @@ async function createLBOModel(context, params = {}) {
     await setupModelStructure(sheet, modelParams);
     
     // Create transaction structure section
-    await createTransactionSection(sheet, modelParams);
+    await createTransactionSection(sheet, modelParams, layout);
     
     // Create financial projections section
-    await createProjectionsSection(sheet, modelParams);
+    await createProjectionsSection(sheet, modelParams, layout);
     
     // Create debt schedule section
-    await createDebtScheduleSection(sheet, modelParams);
+    await createDebtScheduleSection(sheet, modelParams, layout);
     
     // Create returns analysis section
-    await createReturnsSection(sheet, modelParams);
+    await createReturnsSection(sheet, modelParams, layout);
+    
+    // Create returns sensitivity grids from the headless engine under the returns analysis
+    if (modelParams.sensitivity) {
+        await createSensitivitySection(sheet, modelParams, layout, calculateSensitivity(modelParams));
+    }
     
     // Format the worksheet
-    await formatWorksheet(sheet, modelParams);
+    await formatWorksheet(sheet, modelParams, layout);
+    
+    // Average balance interest needs iterative calculation to resolve the circular reference
+    if (modelParams.averageBalanceInterest) {
+        context.workbook.application.iterativeCalculation.enabled = true;
+    }
     
     return {
         sheetName: sheet.name,
@@ -87,83 +142,153 @@ async function setupModelStructure(sheet, params) {
 
 /**
  * Creates the transaction structure section
+ * The purchase price comes from the entry multiple times LTM EBITDA, or from an offer price
+ * per share plus the target's net debt. Sponsor equity is the plug in sources & uses.
  * @param {object} sheet - The Excel worksheet
  * @param {object} params - Model parameters
+ * @param {object} layout - Row layout (see getLayout)
  */
-async function createTransactionSection(sheet, params) {
+async function createTransactionSection(sheet, params, layout) {
     // Transaction section header
     sheet.getRange("A3").values = [["Transaction Structure"]];
     sheet.getRange("A3").format.font.bold = true;
     sheet.getRange("A3").format.font.size = 14;
     
     // Year headers
-    const entryYear = params.entryYear;
     sheet.getRange("B4").values = [["Entry"]];
     sheet.getRange("B4").format.font.bold = true;
     
     // Transaction structure details
-    sheet.getRange("A5:A16").values = [
+    sheet.getRange("A5:A14").values = [
         ["Purchase Metrics"],
-        ["Purchase Price ($M)"],
+        ["Purchase Price / Enterprise Value ($M)"],
         ["LTM EBITDA ($M)"],
         ["Entry Multiple (EV/EBITDA)"],
-        [""],
-        ["Sources & Uses"],
-        ["Sources"],
-        ["  Debt"],
-        ["  Equity"],
-        ["  Total Sources"],
-        ["Uses"],
-        ["  Purchase Equity"]
+        ["Offer Price per Share"],
+        ["Diluted Shares Outstanding (M)"],
+        ["Equity Purchase Price ($M)"],
+        ["Existing Debt Refinanced ($M)"],
+        ["Existing Cash ($M)"],
+        ["Transaction Fees (% of EV)"]
     ];
     
-    // Calculate LTM EBITDA based on purchase price and entry multiple
-    const ltmEbitda = params.purchasePrice / params.entryMultiple;
+    // Transaction values
+    sheet.getRange("B7").values = [[params.ltmEbitda]];
+    sheet.getRange("B10").values = [[params.sharesOutstanding || 0]];
+    sheet.getRange("B12:B14").values = [[params.existingDebt], [params.existingCash], [params.transactionFeePercent]];
     
-    // Calculate debt based on debt to EBITDA ratio
-    const debt = ltmEbitda * params.debtToEbitda;
+    if (params.purchasePriceMethod === 'offer-price') {
+        // Offer price drives the equity purchase price; the entry multiple is implied
+        sheet.getRange("B9").values = [[params.offerPricePerShare]];
+        sheet.getRange("B11").formulas = [["=B9*B10"]];
+        sheet.getRange("B6").formulas = [["=B11+B12-B13"]];
+        sheet.getRange("B8").formulas = [["=B6/B7"]];
+        sheet.getRange("B9").format.font.color = "#0000FF"; // Blue for hard inputs
+    } else {
+        // Entry multiple drives enterprise value; the offer price is implied
+        sheet.getRange("B8").values = [[params.entryMultiple]];
+        sheet.getRange("B6").formulas = [["=B7*B8"]];
+        sheet.getRange("B11").formulas = [["=B6-B12+B13"]];
+        sheet.getRange("B9").formulas = [['=IF(B10>0,B11/B10,"n/a")']];
+        sheet.getRange("B8").format.font.color = "#0000FF"; // Blue for hard inputs
+    }
+    sheet.getRange("B7").format.font.color = "#0000FF";
+    sheet.getRange("B10").format.font.color = "#0000FF";
+    sheet.getRange("B12:B14").format.font.color = "#0000FF";
     
-    // Calculate equity contribution
-    const equity = params.purchasePrice - debt;
+    // Sources & Uses
+    const headerRow = layout.sourcesRow - 1;
+    sheet.getRange(`A${headerRow - 1}`).values = [["Sources & Uses"]];
+    sheet.getRange(`A${headerRow - 1}`).format.font.bold = true;
+    sheet.getRange(`A${headerRow}:D${headerRow}`).values = [["Sources", "$M", "% of Total", "x EBITDA"]];
+    sheet.getRange(`F${headerRow}:H${headerRow}`).values = [["Uses", "$M", "% of Total"]];
+    sheet.getRange(`A${headerRow}:H${headerRow}`).format.font.bold = true;
     
-    // Transaction values
-    sheet.getRange("B6").values = [[params.purchasePrice]];
-    sheet.getRange("B7").values = [[ltmEbitda]];
-    sheet.getRange("B8").values = [[params.entryMultiple]];
+    // Sources: each debt tranche, management rollover, cash on the target's balance sheet, then sponsor equity
+    const sources = layout.sources;
+    params.tranches.forEach((tranche, i) => {
+        sheet.getRange(`A${layout.sourcesRow + i}`).values = [[`  ${tranche.name}`]];
+        sheet.getRange(`B${layout.sourcesRow + i}`).formulas = [[`=$C$${layout.firstTrancheRow + i}`]];
+    });
+    sheet.getRange(`A${sources.rollover}:A${sources.total}`).values = [
+        ["  Management Rollover"],
+        ["  Existing Cash"],
+        ["  Sponsor Equity"],
+        ["Total Sources"]
+    ];
+    sheet.getRange(`B${sources.rollover}`).values = [[params.managementRollover]];
+    sheet.getRange(`B${sources.rollover}`).format.font.color = "#0000FF";
+    sheet.getRange(`B${sources.existingCash}`).formulas = [["=B13"]];
+    sheet.getRange(`B${sources.sponsorEquity}`).formulas = [[
+        `=G${layout.uses.total}-SUM(B${layout.sourcesRow}:B${sources.existingCash})`
+    ]];
+    sheet.getRange(`B${sources.total}`).formulas = [[`=SUM(B${layout.sourcesRow}:B${sources.sponsorEquity})`]];
+    for (let row = layout.sourcesRow; row <= sources.total; row++) {
+        sheet.getRange(`C${row}`).formulas = [[`=IF($B$${sources.total}>0,B${row}/$B$${sources.total},0)`]];
+        sheet.getRange(`D${row}`).formulas = [[`=B${row}/$B$7`]];
+    }
     
-    // Sources & Uses
-    sheet.getRange("B11").values = [[debt]];
-    sheet.getRange("B12").values = [[equity]];
-    sheet.getRange("B13").formulas = [["=SUM(B11:B12)"]];
-    sheet.getRange("B15").values = [[params.purchasePrice]];
+    // Uses: equity purchase, debt refinancing, fees and cash left on the balance sheet
+    const uses = layout.uses;
+    sheet.getRange(`F${uses.equityPurchase}:F${uses.total}`).values = [
+        ["Purchase of Equity"],
+        ["Refinance Existing Debt"],
+        ["Transaction Fees"],
+        ["Financing Fees"],
+        ["Cash to Balance Sheet"],
+        ["Total Uses"]
+    ];
+    sheet.getRange(`G${uses.equityPurchase}:G${uses.total}`).formulas = [
+        ["=B11"],
+        ["=B12"],
+        ["=B6*B14"],
+        [`=G${layout.trancheTotalRow}`],
+        [`=B${layout.cashAvailableRow + 2}`],
+        [`=SUM(G${uses.equityPurchase}:G${uses.cashToBalanceSheet})`]
+    ];
+    for (let row = uses.equityPurchase; row <= uses.total; row++) {
+        sheet.getRange(`H${row}`).formulas = [[`=IF($G$${uses.total}>0,G${row}/$G$${uses.total},0)`]];
+    }
+    sheet.getRange(`A${sources.total}:D${sources.total}`).format.font.bold = true;
+    sheet.getRange(`F${uses.total}:H${uses.total}`).format.font.bold = true;
     
     // Format values
-    sheet.getRange("B6:B8").numberFormat = "#,##0.0";
-    sheet.getRange("B11:B13").numberFormat = "#,##0.0";
-    sheet.getRange("B15").numberFormat = "#,##0.0";
+    sheet.getRange("B6:B7").numberFormat = "#,##0.0";
+    sheet.getRange("B8").numberFormat = "0.0x";
+    sheet.getRange("B9").numberFormat = "$0.00";
+    sheet.getRange("B10:B13").numberFormat = "#,##0.0";
+    sheet.getRange("B14").numberFormat = "0.0%";
+    sheet.getRange(`B${layout.sourcesRow}:B${sources.total}`).numberFormat = "#,##0.0";
+    sheet.getRange(`C${layout.sourcesRow}:C${sources.total}`).numberFormat = "0.0%";
+    sheet.getRange(`D${layout.sourcesRow}:D${sources.total}`).numberFormat = "0.0x";
+    sheet.getRange(`G${uses.equityPurchase}:G${uses.total}`).numberFormat = "#,##0.0";
+    sheet.getRange(`H${uses.equityPurchase}:H${uses.total}`).numberFormat = "0.0%";
 }
 
 /**
  * Creates the projections section
  * @param {object} sheet - The Excel worksheet
  * @param {object} params - Model parameters
+ * @param {object} layout - Row layout (see getLayout)
  */
-async function createProjectionsSection(sheet, params) {
+async function createProjectionsSection(sheet, params, layout) {
+    const rows = layout.rows;
+    
     // Projections section header
-    sheet.getRange("A18").values = [["Financial Projections"]];
-    sheet.getRange("A18").format.font.bold = true;
-    sheet.getRange("A18").format.font.size = 14;
+    sheet.getRange(`A${layout.projectionRow}`).values = [["Financial Projections"]];
+    sheet.getRange(`A${layout.projectionRow}`).format.font.bold = true;
+    sheet.getRange(`A${layout.projectionRow}`).format.font.size = 14;
     
     // Year headers
     const years = [];
     for (let i = 0; i <= params.projectionYears; i++) {
         years.push([`Year ${i}`]);
     }
-    sheet.getRange(19, 2, 1, params.projectionYears + 1).values = [years.map(y => y[0])];
-    sheet.getRange(19, 2, 1, params.projectionYears + 1).format.font.bold = true;
+    sheet.getRange(rows.years, 2, 1, params.projectionYears + 1).values = [years.map(y => y[0])];
+    sheet.getRange(rows.years, 2, 1, params.projectionYears + 1).format.font.bold = true;
     
     // Income statement labels
-    sheet.getRange("A20:A30").values = [
+    sheet.getRange(`A${rows.incomeStatement}:A${rows.netIncome}`).values = [
         ["Income Statement"],
         ["Revenue"],
         ["Growth %"],
@@ -178,212 +303,1247 @@ async function createProjectionsSection(sheet, params) {
     ];
     
     // Cash flow labels
-    sheet.getRange("A32:A38").values = [
+    sheet.getRange(`A${rows.cashFlow}:A${rows.netChangeInCash}`).values = [
         ["Cash Flow"],
         ["Net Income"],
         ["Add: Depreciation & Amortization"],
+        ["Add: PIK Interest (Non-Cash)"],
         ["Less: Capital Expenditures"],
         ["Less: Change in Working Capital"],
+        ["Free Cash Flow Before Debt Repayment"],
         ["Less: Debt Repayment"],
-        ["Free Cash Flow to Equity"]
+        ["Net Change in Cash"]
     ];
     
-    // Calculate base revenue (based on LTM EBITDA and EBITDA margin)
-    const baseRevenue = params.purchasePrice / params.entryMultiple / params.ebitdaMargin;
-    
-    // Year 0 (entry year) financials
-    sheet.getRange("B22").values = [[baseRevenue]];
-    sheet.getRange("B23").values = [["--"]];
-    sheet.getRange("B24").formulas = [["=B22*" + params.ebitdaMargin]];
-    sheet.getRange("B25").formulas = [["=B24/B22"]];
-    sheet.getRange("B26").formulas = [["=B22*" + params.depreciationPercentOfRevenue]];
-    sheet.getRange("B27").formulas = [["=B24-B26"]];
-    sheet.getRange("B28").formulas = [["=B11*" + params.interestRate]];
-    sheet.getRange("B29").formulas = [["=B27-B28"]];
-    sheet.getRange("B30").formulas = [["=IF(B29>0,B29*" + params.taxRate + ",0)"]];
-    sheet.getRange("B31").formulas = [["=B29-B30"]];
+    // Year 0 (entry year) financials; revenue is backed out of LTM EBITDA
+    const b = (row) => `B${row}`;
+    sheet.getRange(b(rows.revenue)).formulas = [["=$B$7/" + params.ebitdaMargin]];
+    sheet.getRange(b(rows.growth)).values = [["--"]];
+    sheet.getRange(b(rows.ebitda)).formulas = [[`=${b(rows.revenue)}*${params.ebitdaMargin}`]];
+    sheet.getRange(b(rows.ebitdaMargin)).formulas = [[`=${b(rows.ebitda)}/${b(rows.revenue)}`]];
+    sheet.getRange(b(rows.depreciation)).formulas = [[`=${b(rows.revenue)}*${params.depreciationPercentOfRevenue}`]];
+    sheet.getRange(b(rows.ebit)).formulas = [[`=${b(rows.ebitda)}-${b(rows.depreciation)}`]];
+    sheet.getRange(b(rows.interest)).formulas = [["=0"]]; // Placeholder, linked to the debt schedule
+    sheet.getRange(b(rows.ebt)).formulas = [[`=${b(rows.ebit)}-${b(rows.interest)}`]];
+    sheet.getRange(b(rows.taxes)).formulas = [[`=IF(${b(rows.ebt)}>0,${b(rows.ebt)}*${params.taxRate},0)`]];
+    sheet.getRange(b(rows.netIncome)).formulas = [[`=${b(rows.ebt)}-${b(rows.taxes)}`]];
     
     // Year 0 cash flow
-    sheet.getRange("B33").formulas = [["=B31"]];
-    sheet.getRange("B34").formulas = [["=B26"]];
-    sheet.getRange("B35").formulas = [["=B22*" + params.capexPercentOfRevenue]];
-    sheet.getRange("B36").values = [[0]]; // No change in WC for entry year
-    sheet.getRange("B37").formulas = [["=B24*" + params.debtRepaymentPercentOfEBITDA]];
-    sheet.getRange("B38").formulas = [["=B33+B34-B35-B36-B37"]];
+    sheet.getRange(b(rows.cfNetIncome)).formulas = [[`=${b(rows.netIncome)}`]];
+    sheet.getRange(b(rows.cfDepreciation)).formulas = [[`=${b(rows.depreciation)}`]];
+    sheet.getRange(b(rows.pikInterest)).formulas = [["=0"]]; // Placeholder, linked to the debt schedule
+    sheet.getRange(b(rows.capex)).formulas = [[`=${b(rows.revenue)}*${params.capexPercentOfRevenue}`]];
+    sheet.getRange(b(rows.workingCapital)).values = [[0]]; // No change in WC for entry year
+    sheet.getRange(b(rows.freeCashFlow)).formulas = [[
+        `=${b(rows.cfNetIncome)}+${b(rows.cfDepreciation)}+${b(rows.pikInterest)}-${b(rows.capex)}-${b(rows.workingCapital)}`
+    ]];
+    sheet.getRange(b(rows.debtRepayment)).formulas = [["=0"]]; // Placeholder, linked to the debt schedule
+    sheet.getRange(b(rows.netChangeInCash)).formulas = [[`=${b(rows.freeCashFlow)}-${b(rows.debtRepayment)}`]];
     
     // Projection years
     for (let year = 1; year <= params.projectionYears; year++) {
         const col = year + 2; // Column C is year 1, D is year 2, etc.
-        const prevCol = col - 1;
+        const c = getColumnLetter(col);
+        const p = getColumnLetter(col - 1);
         
         // Income statement projections
-        sheet.getRange(22, col).formulas = [[`=${getColumnLetter(prevCol)}22*(1+${params.revenueGrowthRate})`]];
-        sheet.getRange(23, col).formulas = [[`=(${getColumnLetter(col)}22/${getColumnLetter(prevCol)}22)-1`]];
-        sheet.getRange(24, col).formulas = [[`=${getColumnLetter(col)}22*${params.ebitdaMargin}`]];
-        sheet.getRange(25, col).formulas = [[`=${getColumnLetter(col)}24/${getColumnLetter(col)}22`]];
-        sheet.getRange(26, col).formulas = [[`=${getColumnLetter(col)}22*${params.depreciationPercentOfRevenue}`]];
-        sheet.getRange(27, col).formulas = [[`=${getColumnLetter(col)}24-${getColumnLetter(col)}26`]];
+        sheet.getRange(rows.revenue, col).formulas = [[`=${p}${rows.revenue}*(1+${params.revenueGrowthRate})`]];
+        sheet.getRange(rows.growth, col).formulas = [[`=(${c}${rows.revenue}/${p}${rows.revenue})-1`]];
+        sheet.getRange(rows.ebitda, col).formulas = [[`=${c}${rows.revenue}*${params.ebitdaMargin}`]];
+        sheet.getRange(rows.ebitdaMargin, col).formulas = [[`=${c}${rows.ebitda}/${c}${rows.revenue}`]];
+        sheet.getRange(rows.depreciation, col).formulas = [[`=${c}${rows.revenue}*${params.depreciationPercentOfRevenue}`]];
+        sheet.getRange(rows.ebit, col).formulas = [[`=${c}${rows.ebitda}-${c}${rows.depreciation}`]];
         
         // Interest expense will be calculated after debt schedule is created
-        sheet.getRange(28, col).formulas = [[`=0`]]; // Placeholder
+        sheet.getRange(rows.interest, col).formulas = [[`=0`]]; // Placeholder
         
-        sheet.getRange(29, col).formulas = [[`=${getColumnLetter(col)}27-${getColumnLetter(col)}28`]];
-        sheet.getRange(30, col).formulas = [[`=IF(${getColumnLetter(col)}29>0,${getColumnLetter(col)}29*${params.taxRate},0)`]];
-        sheet.getRange(31, col).formulas = [[`=${getColumnLetter(col)}29-${getColumnLetter(col)}30`]];
+        sheet.getRange(rows.ebt, col).formulas = [[`=${c}${rows.ebit}-${c}${rows.interest}`]];
+        sheet.getRange(rows.taxes, col).formulas = [[`=IF(${c}${rows.ebt}>0,${c}${rows.ebt}*${params.taxRate},0)`]];
+        sheet.getRange(rows.netIncome, col).formulas = [[`=${c}${rows.ebt}-${c}${rows.taxes}`]];
         
         // Cash flow projections
-        sheet.getRange(33, col).formulas = [[`=${getColumnLetter(col)}31`]];
-        sheet.getRange(34, col).formulas = [[`=${getColumnLetter(col)}26`]];
-        sheet.getRange(35, col).formulas = [[`=${getColumnLetter(col)}22*${params.capexPercentOfRevenue}`]];
-        sheet.getRange(36, col).formulas = [[`=(${getColumnLetter(col)}22-${getColumnLetter(prevCol)}22)*${params.workingCapitalPercentOfRevenue}`]];
-        sheet.getRange(37, col).formulas = [[`=${getColumnLetter(col)}24*${params.debtRepaymentPercentOfEBITDA}`]];
-        sheet.getRange(38, col).formulas = [[`=${getColumnLetter(col)}33+${getColumnLetter(col)}34-${getColumnLetter(col)}35-${getColumnLetter(col)}36-${getColumnLetter(col)}37`]];
+        sheet.getRange(rows.cfNetIncome, col).formulas = [[`=${c}${rows.netIncome}`]];
+        sheet.getRange(rows.cfDepreciation, col).formulas = [[`=${c}${rows.depreciation}`]];
+        sheet.getRange(rows.pikInterest, col).formulas = [[`=0`]]; // Placeholder, linked to the debt schedule
+        sheet.getRange(rows.capex, col).formulas = [[`=${c}${rows.revenue}*${params.capexPercentOfRevenue}`]];
+        sheet.getRange(rows.workingCapital, col).formulas = [[`=(${c}${rows.revenue}-${p}${rows.revenue})*${params.workingCapitalPercentOfRevenue}`]];
+        sheet.getRange(rows.freeCashFlow, col).formulas = [[
+            `=${c}${rows.cfNetIncome}+${c}${rows.cfDepreciation}+${c}${rows.pikInterest}-${c}${rows.capex}-${c}${rows.workingCapital}`
+        ]];
+        sheet.getRange(rows.debtRepayment, col).formulas = [[`=0`]]; // Placeholder, linked to the debt schedule
+        sheet.getRange(rows.netChangeInCash, col).formulas = [[`=${c}${rows.freeCashFlow}-${c}${rows.debtRepayment}`]];
     }
     
     // Format numbers
-    sheet.getRange(22, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(23, 2, 1, params.projectionYears + 1).numberFormat = "0.0%";
-    sheet.getRange(24, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(25, 2, 1, params.projectionYears + 1).numberFormat = "0.0%";
-    sheet.getRange(26, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(27, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(28, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(29, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(30, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(31, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(33, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(34, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(35, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(36, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(37, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
-    sheet.getRange(38, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
+    sheet.getRange(rows.revenue, 2, rows.netChangeInCash - rows.revenue + 1, params.projectionYears + 1).numberFormat = "#,##0.0";
+    sheet.getRange(rows.growth, 2, 1, params.projectionYears + 1).numberFormat = "0.0%";
+    sheet.getRange(rows.ebitdaMargin, 2, 1, params.projectionYears + 1).numberFormat = "0.0%";
 }
 
 /**
  * Creates the debt schedule section
+ * Each tranche pays its mandatory amortization first, out of cash above the minimum balance; cash
+ * left over is swept against the tranches flagged for the sweep in priority (array) order. PIK
+ * tranches accrue interest to principal.
  * @param {object} sheet - The Excel worksheet
  * @param {object} params - Model parameters
+ * @param {object} layout - Row layout (see getLayout)
  */
-async function createDebtScheduleSection(sheet, params) {
+async function createDebtScheduleSection(sheet, params, layout) {
+    const tranches = params.tranches;
+    const lastCol = 2 + params.projectionYears;
+    
     // Debt schedule section header
-    sheet.getRange("A40").values = [["Debt Schedule"]];
-    sheet.getRange("A40").format.font.bold = true;
-    sheet.getRange("A40").format.font.size = 14;
-    
-    // Debt schedule labels
-    sheet.getRange("A41:A45").values = [
-        ["Beginning Balance"],
-        ["Repayments"],
-        ["New Borrowings"],
-        ["Ending Balance"],
-        ["Interest Expense"]
-    ];
+    sheet.getRange(`A${layout.debtRow}`).values = [["Debt Schedule"]];
+    sheet.getRange(`A${layout.debtRow}`).format.font.bold = true;
+    sheet.getRange(`A${layout.debtRow}`).format.font.size = 14;
+    
+    // Tranche terms
+    const termsHeaderRow = layout.debtRow + 1;
+    sheet.getRange(`A${termsHeaderRow}:I${termsHeaderRow}`).values = [[
+        "Tranche", "x EBITDA", "Amount ($M)", "Interest Rate", "Amortization (% p.a.)",
+        "Financing Fee %", "Financing Fees ($M)", "Cash Sweep", "PIK"
+    ]];
+    sheet.getRange(`A${termsHeaderRow}:I${termsHeaderRow}`).format.font.bold = true;
+    
+    tranches.forEach((tranche, i) => {
+        const row = layout.firstTrancheRow + i;
+        const amortization = Array.isArray(tranche.amortization) ? tranche.amortization[0] : tranche.amortization;
+        
+        // Tranches are sized by a multiple of LTM EBITDA or by a fixed amount
+        sheet.getRange(`A${row}`).values = [[tranche.name]];
+        if (typeof tranche.amount === 'number') {
+            sheet.getRange(`B${row}`).formulas = [[`=C${row}/$B$7`]];
+            sheet.getRange(`C${row}`).values = [[tranche.amount]];
+            sheet.getRange(`C${row}`).format.font.color = "#0000FF"; // Blue for hard inputs
+        } else {
+            sheet.getRange(`B${row}`).values = [[tranche.ebitdaMultiple]];
+            sheet.getRange(`C${row}`).formulas = [[`=B${row}*$B$7`]];
+            sheet.getRange(`B${row}`).format.font.color = "#0000FF";
+        }
+        sheet.getRange(`D${row}:F${row}`).values = [[tranche.interestRate, amortization, tranche.financingFee]];
+        sheet.getRange(`G${row}`).formulas = [[`=C${row}*F${row}`]];
+        sheet.getRange(`H${row}:I${row}`).values = [[tranche.cashSweep ? "Yes" : "No", tranche.pik ? "Yes" : "No"]];
+        sheet.getRange(`D${row}:F${row}`).format.font.color = "#0000FF";
+        sheet.getRange(`H${row}:I${row}`).format.font.color = "#0000FF";
+    });
+    
+    const first = layout.firstTrancheRow;
+    const last = layout.trancheTotalRow - 1;
+    const total = layout.trancheTotalRow;
+    sheet.getRange(`A${total}`).values = [["Total Debt"]];
+    sheet.getRange(`B${total}`).formulas = [[`=SUM(B${first}:B${last})`]];
+    sheet.getRange(`C${total}`).formulas = [[`=SUM(C${first}:C${last})`]];
+    sheet.getRange(`D${total}`).formulas = [[`=IF(C${total}>0,SUMPRODUCT(C${first}:C${last},D${first}:D${last})/C${total},0)`]];
+    sheet.getRange(`G${total}`).formulas = [[`=SUM(G${first}:G${last})`]];
+    sheet.getRange(`A${total}:I${total}`).format.font.bold = true;
     
-    // Calculate debt amount
-    const initialDebt = params.purchasePrice / params.entryMultiple * params.debtToEbitda;
+    sheet.getRange(`B${first}:B${total}`).numberFormat = "0.0x";
+    sheet.getRange(`C${first}:C${total}`).numberFormat = "#,##0.0";
+    sheet.getRange(`D${first}:F${total}`).numberFormat = "0.00%";
+    sheet.getRange(`G${first}:G${total}`).numberFormat = "#,##0.0";
     
-    // Year 0 (entry year) debt schedule
-    sheet.getRange("B41").values = [[initialDebt]];
-    sheet.getRange("B42").formulas = [["=B37"]]; // Debt repayment from cash flow
-    sheet.getRange("B43").values = [[0]]; // No new borrowings
-    sheet.getRange("B44").formulas = [["=B41-B42+B43"]];
-    sheet.getRange("B45").formulas = [["=B41*" + params.interestRate]];
+    // Cash available to repay debt: free cash flow plus cash above the minimum balance
+    const cashRow = layout.cashAvailableRow;
+    const basisCell = `$B$${cashRow + 7}`;
+    sheet.getRange(`A${cashRow}:A${cashRow + 7}`).values = [
+        ["Beginning Cash Balance"],
+        ["Plus: Free Cash Flow Before Debt Repayment"],
+        ["Less: Minimum Cash Balance"],
+        ["Cash Available for Debt Repayment"],
+        ["Less: Mandatory Amortization"],
+        ["Cash Available for Sweep"],
+        ["Ending Cash Balance"],
+        ["Interest Calculation Basis"]
+    ];
+    sheet.getRange(cashRow + 2, 2).values = [[params.minimumCash]];
+    sheet.getRange(cashRow + 2, 2).format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange(cashRow + 6, 2).formulas = [[`=B${cashRow + 2}`]]; // Minimum cash is funded at close
     
-    // Update interest expense in income statement
-    sheet.getRange("B28").formulas = [["=B45"]];
+    // Interest on average balances is circular; the switch doubles as a circuit breaker
+    if (params.averageBalanceInterest) {
+        sheet.getRange(cashRow + 7, 2).values = [["Average Balance (Circular)"]];
+        sheet.getRange(cashRow + 7, 2).dataValidation.rule = {
+            list: { inCellDropDown: true, source: "Average Balance (Circular),Beginning Balance" }
+        };
+        sheet.getRange(cashRow + 7, 2).format.font.color = "#0000FF";
+        sheet.getRange(cashRow + 7, 3).values = [["<-- Switch to Beginning Balance to break the circular reference"]];
+        sheet.getRange(cashRow + 7, 3).format.font.italic = true;
+        sheet.getRange(cashRow + 7, 3).format.font.color = "#666666";
+    } else {
+        sheet.getRange(cashRow + 7, 2).values = [["Beginning Balance"]];
+    }
+    
+    // Year 0 (entry year) is the closing balance sheet
+    tranches.forEach((tranche, i) => {
+        const blockRow = layout.trancheBlockRows[i];
+        
+        sheet.getRange(`A${blockRow}:A${blockRow + 8}`).values = [
+            [tranche.name],
+            ["Amortization (% of Original)"],
+            ["Beginning Balance"],
+            ["Mandatory Amortization"],
+            ["Cash Sweep"],
+            ["PIK Interest Accrued"],
+            ["New Borrowings (Dividend Recap)"],
+            ["Ending Balance"],
+            ["Cash Interest Expense"]
+        ];
+        sheet.getRange(`A${blockRow}`).format.font.bold = true;
+        sheet.getRange(blockRow + 7, 2).formulas = [[`=$C$${layout.firstTrancheRow + i}`]];
+    });
     
     // Projection years
     for (let year = 1; year <= params.projectionYears; year++) {
         const col = year + 2; // Column C is year 1, D is year 2, etc.
-        const prevCol = col - 1;
+        const c = getColumnLetter(col);
+        const p = getColumnLetter(col - 1);
         
-        // Debt schedule projections
-        sheet.getRange(41, col).formulas = [[`=${getColumnLetter(prevCol)}44`]]; // Beginning balance is previous ending balance
-        sheet.getRange(42, col).formulas = [[`=${getColumnLetter(col)}37`]]; // Debt repayment from cash flow
-        sheet.getRange(43, col).values = [[0]]; // No new borrowings
-        sheet.getRange(44, col).formulas = [[`=${getColumnLetter(col)}41-${getColumnLetter(col)}42+${getColumnLetter(col)}43`]];
-        sheet.getRange(45, col).formulas = [[`=${getColumnLetter(col)}41*${params.interestRate}`]];
+        // Cash waterfall: mandatory amortization first, then the sweep down to the minimum cash balance
+        sheet.getRange(cashRow, col).formulas = [[`=${p}${cashRow + 6}`]];
+        sheet.getRange(cashRow + 1, col).formulas = [[`=${c}${layout.rows.freeCashFlow}`]];
+        sheet.getRange(cashRow + 2, col).formulas = [[`=$B$${cashRow + 2}`]];
+        sheet.getRange(cashRow + 3, col).formulas = [[`=${c}${cashRow}+${c}${cashRow + 1}-${c}${cashRow + 2}`]];
+        sheet.getRange(cashRow + 4, col).formulas = [[`=${layout.trancheBlockRows.map(row => `${c}${row + 3}`).join("+")}`]];
+        sheet.getRange(cashRow + 5, col).formulas = [[`=MAX(0,${c}${cashRow + 3}-${c}${cashRow + 4})`]];
+        sheet.getRange(cashRow + 6, col).formulas = [[`=${c}${cashRow}+${c}${layout.rows.netChangeInCash}`]];
         
-        // Update interest expense in income statement
-        sheet.getRange(28, col).formulas = [[`=${getColumnLetter(col)}45`]];
+        tranches.forEach((tranche, i) => {
+            const termsRow = layout.firstTrancheRow + i;
+            const blockRow = layout.trancheBlockRows[i];
+            
+            // Amortization schedule (per-year inputs or the rate in the terms table)
+            if (Array.isArray(tranche.amortization)) {
+                const amortization = tranche.amortization[Math.min(year - 1, tranche.amortization.length - 1)];
+                sheet.getRange(blockRow + 1, col).values = [[amortization]];
+                sheet.getRange(blockRow + 1, col).format.font.color = "#0000FF"; // Blue for hard inputs
+            } else {
+                sheet.getRange(blockRow + 1, col).formulas = [[`=$E$${termsRow}`]];
+            }
+            
+            // Beginning balance is previous ending balance
+            sheet.getRange(blockRow + 2, col).formulas = [[`=${p}${blockRow + 7}`]];
+            
+            // Mandatory amortization as a share of the original amount, capped at the balance and at the
+            // cash left above the minimum balance after more senior tranches have been paid
+            const seniorMandatory = layout.trancheBlockRows.slice(0, i).map(row => `-${c}${row + 3}`).join("");
+            sheet.getRange(blockRow + 3, col).formulas = [[
+                `=MAX(0,MIN(${c}${blockRow + 2},$C$${termsRow}*${c}${blockRow + 1},${c}${cashRow + 3}${seniorMandatory}))`
+            ]];
+            
+            // Sweep what is left after more senior tranches have been swept
+            const seniorSweeps = layout.trancheBlockRows.slice(0, i).map(row => `-${c}${row + 4}`).join("");
+            sheet.getRange(blockRow + 4, col).formulas = [[
+                `=IF($H$${termsRow}="Yes",MAX(0,MIN(${c}${blockRow + 2}-${c}${blockRow + 3},${c}${cashRow + 5}${seniorSweeps})),0)`
+            ]];
+            
+            // PIK interest accrues to principal instead of being paid in cash
+            sheet.getRange(blockRow + 5, col).formulas = [[`=IF($I$${termsRow}="Yes",${c}${blockRow + 2}*$D$${termsRow},0)`]];
+            
+            // Recap borrowings are drawn at year end, after the sweep, and paid straight out as dividends
+            const recap = params.dividendRecaps
+                .filter(item => item.year === year && item.tranche === tranche.name)
+                .reduce((sum, item) => sum + item.amount, 0);
+            sheet.getRange(blockRow + 6, col).values = [[recap]];
+            sheet.getRange(blockRow + 6, col).format.font.color = "#0000FF"; // Blue for hard inputs
+            sheet.getRange(blockRow + 7, col).formulas = [[
+                `=${c}${blockRow + 2}-${c}${blockRow + 3}-${c}${blockRow + 4}+${c}${blockRow + 5}+${c}${blockRow + 6}`
+            ]];
+            const interestBase = params.averageBalanceInterest ?
+                `IF(${basisCell}="Average Balance (Circular)",AVERAGE(${c}${blockRow + 2},${c}${blockRow + 7}),${c}${blockRow + 2})` :
+                `${c}${blockRow + 2}`;
+            sheet.getRange(blockRow + 8, col).formulas = [[`=IF($I$${termsRow}="Yes",0,${interestBase}*$D$${termsRow})`]];
+        });
     }
     
+    // Totals across tranches
+    const totalRow = layout.debtTotalRow;
+    sheet.getRange(`A${totalRow}:A${totalRow + 6}`).values = [
+        ["Total Debt"],
+        ["Total Cash Interest"],
+        ["Total PIK Interest"],
+        ["Total Interest Expense"],
+        ["Total Debt Repayment"],
+        ["Total Debt / EBITDA"],
+        ["Total Dividend Recap Borrowings"]
+    ];
+    for (let col = 2; col <= lastCol; col++) {
+        const c = getColumnLetter(col);
+        const sumOf = (offset) => layout.trancheBlockRows.map(row => `${c}${row + offset}`).join("+");
+        
+        sheet.getRange(totalRow, col).formulas = [[`=${sumOf(7)}`]];
+        sheet.getRange(totalRow + 1, col).formulas = [[`=${sumOf(8)}`]];
+        sheet.getRange(totalRow + 2, col).formulas = [[`=${sumOf(5)}`]];
+        sheet.getRange(totalRow + 3, col).formulas = [[`=${c}${totalRow + 1}+${c}${totalRow + 2}`]];
+        sheet.getRange(totalRow + 4, col).formulas = [[`=${sumOf(3)}+${sumOf(4)}`]];
+        sheet.getRange(totalRow + 5, col).formulas = [[`=IF(${c}${layout.rows.ebitda}>0,${c}${totalRow}/${c}${layout.rows.ebitda},"n/a")`]];
+        sheet.getRange(totalRow + 6, col).formulas = [[`=${sumOf(6)}`]];
+        
+        // Update interest expense, PIK add-back and debt repayment in the projections
+        sheet.getRange(layout.rows.interest, col).formulas = [[`=${c}${totalRow + 3}`]];
+        sheet.getRange(layout.rows.pikInterest, col).formulas = [[`=${c}${totalRow + 2}`]];
+        sheet.getRange(layout.rows.debtRepayment, col).formulas = [[`=${c}${totalRow + 4}`]];
+    }
+    sheet.getRange(`A${totalRow}:A${totalRow + 6}`).format.font.bold = true;
+    
     // Format numbers
-    sheet.getRange(41, 2, 5, params.projectionYears + 1).numberFormat = "#,##0.0";
+    sheet.getRange(cashRow, 2, 7, params.projectionYears + 1).numberFormat = "#,##0.0";
+    sheet.getRange(layout.trancheBlockRows[0], 2, totalRow - layout.trancheBlockRows[0] + 5, params.projectionYears + 1).numberFormat = "#,##0.0";
+    layout.trancheBlockRows.forEach(row => {
+        sheet.getRange(row + 1, 2, 1, params.projectionYears + 1).numberFormat = "0.00%";
+    });
+    sheet.getRange(totalRow + 5, 2, 1, params.projectionYears + 1).numberFormat = "0.0x";
+    sheet.getRange(totalRow + 6, 2, 1, params.projectionYears + 1).numberFormat = "#,##0.0";
 }
 
 /**
  * Creates the returns analysis section
+ * Returns come from dated equity cash flows: the equity cheque at close, dividends funded by
+ * recaps, and exit proceeds at the end of each exit year. Exit proceeds are split between the
+ * sponsor and management (rollover plus an option pool or promote).
  * @param {object} sheet - The Excel worksheet
  * @param {object} params - Model parameters
+ * @param {object} layout - Row layout (see getLayout)
  */
-async function createReturnsSection(sheet, params) {
+async function createReturnsSection(sheet, params, layout) {
+    const r = layout.returnsRow;
+    const returns = layout.returns;
+    const lastCol = 2 + params.projectionYears;
+    const last = getColumnLetter(lastCol);
+    const incentive = params.managementIncentive;
+    
     // Returns section header
-    sheet.getRange("A47").values = [["Returns Analysis"]];
-    sheet.getRange("A47").format.font.bold = true;
-    sheet.getRange("A47").format.font.size = 14;
+    sheet.getRange(`A${r}`).values = [["Returns Analysis"]];
+    sheet.getRange(`A${r}`).format.font.bold = true;
+    sheet.getRange(`A${r}`).format.font.size = 14;
     
-    // Returns labels
-    sheet.getRange("A48:A55").values = [
-        ["Exit Year EBITDA"],
+    // Returns assumptions
+    sheet.getRange(`A${r + 1}:A${r + 9}`).values = [
         ["Exit Multiple"],
-        ["Enterprise Value at Exit"],
-        ["Exit Year Net Debt"],
-        ["Implied Equity Value at Exit"],
+        ["Closing Date"],
+        ["Management Incentive"],
+        ["Incentive (% of Equity Gains)"],
+        ["Promote Hurdle (MoM)"],
+        ["Sponsor Equity"],
+        ["Management Rollover"],
         ["Initial Equity Investment"],
-        ["Multiple of Money (MoM)"],
-        ["Internal Rate of Return (IRR)"]
+        ["Sponsor Ownership"]
     ];
+    const [closingYear, closingMonth, closingDay] = params.closingDate.split('-').map(Number);
+    sheet.getRange(`B${r + 1}`).values = [[params.exitMultiple]];
+    sheet.getRange(`B${r + 2}`).formulas = [[`=DATE(${closingYear},${closingMonth},${closingDay})`]];
+    sheet.getRange(`B${r + 3}`).values = [[MANAGEMENT_INCENTIVE_TYPES[incentive.type]]];
+    sheet.getRange(`B${r + 3}`).dataValidation.rule = {
+        list: { inCellDropDown: true, source: Object.values(MANAGEMENT_INCENTIVE_TYPES).join(",") }
+    };
+    sheet.getRange(`B${r + 4}:B${r + 5}`).values = [[incentive.percent], [incentive.hurdleMultiple]];
+    sheet.getRange(`C${r + 3}`).values = [["<-- Options are struck at the entry equity value; a promote only shares gains above the hurdle"]];
+    sheet.getRange(`C${r + 3}`).format.font.italic = true;
+    sheet.getRange(`C${r + 3}`).format.font.color = "#666666";
+    sheet.getRange(`B${r + 6}`).formulas = [[`=B${layout.sources.sponsorEquity}`]];
+    sheet.getRange(`B${r + 7}`).formulas = [[`=B${layout.sources.rollover}`]];
+    sheet.getRange(`B${r + 8}`).formulas = [[`=B${r + 6}+B${r + 7}`]];
+    sheet.getRange(`B${r + 9}`).formulas = [[`=IF(B${r + 8}>0,B${r + 6}/B${r + 8},0)`]];
+    sheet.getRange(`B${r + 1}:B${r + 5}`).format.font.color = "#0000FF"; // Blue for hard inputs
+    
+    // Exit waterfall, assuming an exit at the end of each year
+    const w = returns.waterfallRow;
+    sheet.getRange(`A${w}:A${w + 9}`).values = [
+        ["Exit at End of Year"],
+        ["Date"],
+        ["EBITDA"],
+        ["Enterprise Value at Exit"],
+        ["Less: Net Debt"],
+        ["Equity Value at Exit"],
+        ["Dividends (Dividend Recap)"],
+        ["Cumulative Dividends"],
+        ["Less: Management Incentive"],
+        ["Equity Value to Shareholders"]
+    ];
+    const years = [];
+    for (let i = 0; i <= params.projectionYears; i++) {
+        years.push(`Year ${i}`);
+    }
+    sheet.getRange(w, 2, 1, params.projectionYears + 1).values = [years];
+    sheet.getRange(w, 2, 1, params.projectionYears + 1).format.font.bold = true;
+    sheet.getRange(w + 1, 2).formulas = [[`=$B$${r + 2}`]];
+    sheet.getRange(w + 7, 2).values = [[0]];
     
-    // Exit year (last projection year)
-    const exitCol = 2 + params.projectionYears;
-    
-    // Exit year calculations
-    sheet.getRange("B49").values = [[params.exitMultiple]];
-    sheet.getRange("B48").formulas = [[`=${getColumnLetter(exitCol)}24`]]; // Exit year EBITDA
-    sheet.getRange("B50").formulas = [["=B48*B49"]]; // Exit enterprise value
-    sheet.getRange("B51").formulas = [[`=${getColumnLetter(exitCol)}44`]]; // Exit year net debt
-    sheet.getRange("B52").formulas = [["=B50-B51"]]; // Implied equity value
-    sheet.getRange("B53").formulas = [["=B12"]]; // Initial equity investment
-    sheet.getRange("B54").formulas = [["=B52/B53"]]; // Multiple of money
-    
-    // IRR calculation - needs to create cash flow array
-    // Year 0 cash flow is negative initial equity
-    let irrFormula = "=IRR({-B53,";
-    
-    // Intermediate cash flows are zeros (no dividends assumed)
-    for (let year = 1; year < params.projectionYears; year++) {
-        irrFormula += "0,";
+    for (let year = 1; year <= params.projectionYears; year++) {
+        const col = year + 2;
+        const c = getColumnLetter(col);
+        const p = getColumnLetter(col - 1);
+        
+        sheet.getRange(w + 1, col).formulas = [[`=EDATE($B$${w + 1},${12 * year})`]];
+        sheet.getRange(w + 2, col).formulas = [[`=${c}${layout.rows.ebitda}`]];
+        sheet.getRange(w + 3, col).formulas = [[`=${c}${w + 2}*$B$${r + 1}`]];
+        sheet.getRange(w + 4, col).formulas = [[`=${c}${layout.debtTotalRow}-${c}${layout.cashAvailableRow + 6}`]];
+        sheet.getRange(w + 5, col).formulas = [[`=${c}${w + 3}-${c}${w + 4}`]];
+        sheet.getRange(w + 6, col).formulas = [[`=${c}${layout.debtTotalRow + 6}`]];
+        sheet.getRange(w + 7, col).formulas = [[`=${p}${w + 7}+${c}${w + 6}`]];
+        
+        // Management shares in gains (exit equity plus dividends received) above the hurdle
+        sheet.getRange(w + 8, col).formulas = [[
+            `=IF($B$${r + 3}="${MANAGEMENT_INCENTIVE_TYPES.none}",0,MAX(0,MIN(${c}${w + 5},$B$${r + 4}*` +
+            `(${c}${w + 5}+${c}${w + 7}-IF($B$${r + 3}="${MANAGEMENT_INCENTIVE_TYPES.promote}",$B$${r + 5},1)*$B$${r + 8}))))`
+        ]];
+        sheet.getRange(w + 9, col).formulas = [[`=MAX(0,${c}${w + 5}-${c}${w + 8})`]];
     }
     
-    // Final cash flow is exit equity value
-    irrFormula += "B52})";
+    // Equity cash flows for each exit year: investment at close, dividends, then exit proceeds
+    const holders = [
+        { title: "Sponsor Cash Flows", row: returns.sponsorRow, investment: `$B$${r + 6}`, share: `$B$${r + 9}`, incentive: false },
+        { title: "Management Cash Flows", row: returns.managementRow, investment: `$B$${r + 7}`, share: `(1-$B$${r + 9})`, incentive: true }
+    ];
+    const irrCol = getColumnLetter(lastCol + 1);
+    const momCol = getColumnLetter(lastCol + 2);
     
-    sheet.getRange("B55").formulas = [[irrFormula]];
+    holders.forEach(holder => {
+        sheet.getRange(`A${holder.row}`).values = [[holder.title]];
+        sheet.getRange(holder.row, 2, 1, params.projectionYears + 3).values = [[...years, "IRR", "MoM"]];
+        sheet.getRange(`A${holder.row}:${momCol}${holder.row}`).format.font.bold = true;
+        
+        returns.exitYears.forEach((exitYear, i) => {
+            const row = holder.row + 1 + i;
+            sheet.getRange(`A${row}`).values = [[`Exit in Year ${exitYear}`]];
+            sheet.getRange(`B${row}`).formulas = [[`=-${holder.investment}`]];
+            
+            for (let year = 1; year <= params.projectionYears; year++) {
+                const c = getColumnLetter(year + 2);
+                let formula = "0";
+                if (year < exitYear) {
+                    formula = `${holder.share}*${c}$${w + 6}`;
+                } else if (year === exitYear) {
+                    formula = `${holder.share}*(${c}$${w + 6}+${c}$${w + 9})` + (holder.incentive ? `+${c}$${w + 8}` : "");
+                }
+                sheet.getRange(row, year + 2).formulas = [[`=${formula}`]];
+            }
+            
+            // XIRR on the dated flows; n/a when there is no investment or no positive return
+            sheet.getRange(`${irrCol}${row}`).formulas = [[
+                `=IF(B${row}<0,IFERROR(XIRR(B${row}:${last}${row},$B$${w + 1}:$${last}$${w + 1}),"n/a"),"n/a")`
+            ]];
+            sheet.getRange(`${momCol}${row}`).formulas = [[`=IF(B${row}<0,SUM(C${row}:${last}${row})/-B${row},"n/a")`]];
+        });
+    });
     
     // Format numbers
-    sheet.getRange("B48").numberFormat = "#,##0.0";
-    sheet.getRange("B49").numberFormat = "0.0";
-    sheet.getRange("B50:B53").numberFormat = "#,##0.0";
-    sheet.getRange("B54").numberFormat = "0.0x";
-    sheet.getRange("B55").numberFormat = "0.0%";
+    sheet.getRange(`B${r + 1}`).numberFormat = "0.0x";
+    sheet.getRange(`B${r + 2}`).numberFormat = "yyyy-mm-dd";
+    sheet.getRange(`B${r + 4}`).numberFormat = "0.0%";
+    sheet.getRange(`B${r + 5}`).numberFormat = "0.00x";
+    sheet.getRange(`B${r + 6}:B${r + 8}`).numberFormat = "#,##0.0";
+    sheet.getRange(`B${r + 9}`).numberFormat = "0.0%";
+    sheet.getRange(w + 1, 2, 1, params.projectionYears + 1).numberFormat = "yyyy-mm-dd";
+    sheet.getRange(w + 2, 2, 8, params.projectionYears + 1).numberFormat = "#,##0.0";
+    holders.forEach(holder => {
+        const firstRow = holder.row + 1;
+        const count = returns.exitYears.length;
+        sheet.getRange(firstRow, 2, count, params.projectionYears + 1).numberFormat = "#,##0.0";
+        sheet.getRange(`${irrCol}${firstRow}:${irrCol}${firstRow + count - 1}`).numberFormat = "0.0%";
+        sheet.getRange(`${momCol}${firstRow}:${momCol}${firstRow + count - 1}`).numberFormat = "0.00x";
+    });
+}
+
+/**
+ * Creates the sponsor IRR and MoM grids (entry vs. exit multiple, leverage vs. revenue growth)
+ * Every grid cell is a full re-run of the model (the cash sweep is path dependent), so the grids
+ * hold values from the headless engine rather than formulas.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout (see getLayout)
+ * @param {object} sensitivity - Grids from calculateSensitivity
+ */
+async function createSensitivitySection(sheet, params, layout, sensitivity) {
+    const startRow = layout.sensitivityRow;
+    const size = sensitivity.entryMultipleValues.length;
+    
+    // Section header and hurdles
+    sheet.getRange(startRow, 1).values = [["Returns Sensitivity"]];
+    sheet.getRange(startRow, 1).format.font.bold = true;
+    sheet.getRange(startRow, 1).format.font.size = 14;
+    sheet.getRange(startRow + 1, 1, 2, 2).values = [
+        ["IRR Hurdle", sensitivity.irrHurdle],
+        ["MoM Hurdle", sensitivity.momHurdle]
+    ];
+    sheet.getRange(startRow + 1, 2).numberFormat = "0.0%";
+    sheet.getRange(startRow + 2, 2).numberFormat = "0.00x";
+    sheet.getRange(startRow + 1, 2, 2, 1).format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange(startRow + 3, 1).values = [[
+        `Sponsor returns on exit in Year ${sensitivity.exitYear}, calculated when the model was built - rebuild the model to refresh`
+    ]];
+    sheet.getRange(startRow + 3, 1).format.font.italic = true;
+    sheet.getRange(startRow + 3, 1).format.font.color = "#666666";
+    
+    const tables = [
+        {
+            title: "Sponsor IRR - Entry Multiple vs. Exit Multiple",
+            axisLabel: "Entry Multiple (down) / Exit Multiple (across)",
+            rowValues: sensitivity.entryMultipleValues,
+            columnValues: sensitivity.exitMultipleValues,
+            rowFormat: "0.0x",
+            columnFormat: "0.0x",
+            grid: sensitivity.entryVsExitIRR,
+            format: "0.0%",
+            hurdleCell: `$B$${startRow + 1}`
+        },
+        {
+            title: "Sponsor MoM - Entry Multiple vs. Exit Multiple",
+            axisLabel: "Entry Multiple (down) / Exit Multiple (across)",
+            rowValues: sensitivity.entryMultipleValues,
+            columnValues: sensitivity.exitMultipleValues,
+            rowFormat: "0.0x",
+            columnFormat: "0.0x",
+            grid: sensitivity.entryVsExitMoM,
+            format: "0.00x",
+            hurdleCell: `$B$${startRow + 2}`
+        },
+        {
+            title: "Sponsor IRR - Leverage vs. Revenue Growth",
+            axisLabel: "Total Debt / LTM EBITDA (down) / Revenue Growth (across)",
+            rowValues: sensitivity.leverageValues,
+            columnValues: sensitivity.growthValues,
+            rowFormat: "0.0x",
+            columnFormat: "0.0%",
+            grid: sensitivity.leverageVsGrowthIRR,
+            format: "0.0%",
+            hurdleCell: `$B$${startRow + 1}`
+        },
+        {
+            title: "Sponsor MoM - Leverage vs. Revenue Growth",
+            axisLabel: "Total Debt / LTM EBITDA (down) / Revenue Growth (across)",
+            rowValues: sensitivity.leverageValues,
+            columnValues: sensitivity.growthValues,
+            rowFormat: "0.0x",
+            columnFormat: "0.0%",
+            grid: sensitivity.leverageVsGrowthMoM,
+            format: "0.00x",
+            hurdleCell: `$B$${startRow + 2}`
+        }
+    ];
+    
+    let row = startRow + 5;
+    tables.forEach(table => {
+        const headerRow = row + 1;
+        const firstGridRow = row + 2;
+        
+        sheet.getRange(row, 1).values = [[table.title]];
+        sheet.getRange(row, 1).format.font.bold = true;
+        sheet.getRange(headerRow, 1).values = [[table.axisLabel]];
+        sheet.getRange(headerRow, 1).format.font.italic = true;
+        
+        sheet.getRange(headerRow, 3, 1, size).values = [table.columnValues];
+        sheet.getRange(headerRow, 3, 1, size).numberFormat = table.columnFormat;
+        sheet.getRange(headerRow, 3, 1, size).format.font.bold = true;
+        sheet.getRange(firstGridRow, 2, size, 1).values = table.rowValues.map(value => [value]);
+        sheet.getRange(firstGridRow, 2, size, 1).numberFormat = table.rowFormat;
+        sheet.getRange(firstGridRow, 2, size, 1).format.font.bold = true;
+        
+        const grid = sheet.getRange(firstGridRow, 3, size, size);
+        grid.values = table.grid.map(values => values.map(value => value === null ? "n/a" : value));
+        grid.numberFormat = table.format;
+        
+        // Highlight returns at or above the hurdle
+        const topLeft = `${getColumnLetter(3)}${firstGridRow}`;
+        const hurdle = grid.conditionalFormats.add("Custom");
+        hurdle.custom.rule.formula = `=AND(ISNUMBER(${topLeft}),${topLeft}>=${table.hurdleCell})`;
+        hurdle.custom.format.fill.color = "#C6EFCE";
+        hurdle.custom.format.font.color = "#006100";
+        
+        // Outline the base case
+        const baseCase = sheet.getRange(firstGridRow + sensitivity.steps, 3 + sensitivity.steps);
+        baseCase.format.font.bold = true;
+        ["EdgeTop", "EdgeBottom", "EdgeLeft", "EdgeRight"].forEach(edge => {
+            baseCase.format.borders.getItem(edge).style = "Continuous";
+        });
+        
+        row = firstGridRow + size + 1;
+    });
 }
 
 /**
  * Formats the LBO worksheet
  * @param {object} sheet - The Excel worksheet
  * @param {object} params - Model parameters
+ * @param {object} layout - Row layout (see getLayout)
  */
-async function formatWorksheet(sheet, params) {
+async function formatWorksheet(sheet, params, layout) {
     // Add section borders
     sheet.getRange("A3:G3").format.borders.bottom.style = "Continuous";
-    sheet.getRange("A18:G18").format.borders.bottom.style = "Continuous";
-    sheet.getRange("A40:G40").format.borders.bottom.style = "Continuous";
-    sheet.getRange("A47:G47").format.borders.bottom.style = "Continuous";
+    sheet.getRange(`A${layout.projectionRow}:G${layout.projectionRow}`).format.borders.bottom.style = "Continuous";
+    sheet.getRange(`A${layout.debtRow}:G${layout.debtRow}`).format.borders.bottom.style = "Continuous";
+    sheet.getRange(`A${layout.returnsRow}:G${layout.returnsRow}`).format.borders.bottom.style = "Continuous";
+    
+    // Highlight key outputs: sponsor IRR and MoM for each exit year
+    const irrCol = getColumnLetter(3 + params.projectionYears);
+    const momCol = getColumnLetter(4 + params.projectionYears);
+    const firstExitRow = layout.returns.sponsorRow + 1;
+    const lastExitRow = layout.returns.sponsorRow + layout.returns.exitYears.length;
+    sheet.getRange(`${irrCol}${firstExitRow}:${momCol}${lastExitRow}`).format.fill.color = "#E6F0FF";
+    sheet.getRange(`${irrCol}${firstExitRow}:${momCol}${lastExitRow}`).format.font.bold = true;
+}
+
+/**
+ * Merges the defaults, derives LTM EBITDA, the debt tranches and the returns inputs,
+ * and checks the purchase price inputs
+ * @param {object} params - Parameters for the LBO model
+ * @returns {object} - Resolved model parameters
+ */
+function resolveParams(params) {
+    const modelParams = { ...DEFAULTS, ...params };
+    
+    if (!Number.isInteger(modelParams.projectionYears) || modelParams.projectionYears < 1) {
+        throw new ValidationError('projectionYears must be a positive integer');
+    }
+    if (typeof modelParams.entryYear !== 'number') {
+        modelParams.entryYear = new Date().getFullYear();
+    }
+    
+    if (modelParams.purchasePriceMethod === 'offer-price') {
+        if (!(modelParams.offerPricePerShare > 0) || !(modelParams.sharesOutstanding > 0)) {
+            throw new ValidationError('The offer-price method needs offerPricePerShare and sharesOutstanding');
+        }
+        // The purchase price does not pin down EBITDA here, so it cannot be backed out
+        if (!(modelParams.ltmEbitda > 0)) {
+            throw new ValidationError('The offer-price method needs a positive ltmEbitda');
+        }
+    } else if (modelParams.purchasePriceMethod === 'multiple') {
+        if (typeof modelParams.ltmEbitda !== 'number') {
+            modelParams.ltmEbitda = modelParams.purchasePrice / modelParams.entryMultiple;
+        }
+    } else {
+        throw new ValidationError("purchasePriceMethod must be 'multiple' or 'offer-price'");
+    }
+    
+    modelParams.tranches = resolveTranches(modelParams);
+    
+    const { sources } = sizeTransaction(modelParams);
+    if (sources.sponsorEquity < 0) {
+        throw new ValidationError(`Sponsor equity plug is negative (${sources.sponsorEquity.toFixed(1)}); ` +
+            'debt, management rollover and existing cash exceed the uses of funds');
+    }
+    
+    if (modelParams.closingDate === null || modelParams.closingDate === undefined) {
+        modelParams.closingDate = `${modelParams.entryYear}-12-31`;
+    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(modelParams.closingDate)) {
+        throw new ValidationError("closingDate must be a 'YYYY-MM-DD' string");
+    }
+    
+    modelParams.dividendRecaps = (modelParams.dividendRecaps || []).map(recap => {
+        const resolved = { tranche: modelParams.tranches[0].name, ...recap };
+        if (!Number.isInteger(resolved.year) || resolved.year < 1 || resolved.year > modelParams.projectionYears) {
+            throw new ValidationError(`Dividend recap year must be between 1 and ${modelParams.projectionYears}`);
+        }
+        if (typeof resolved.amount !== 'number' || resolved.amount < 0) {
+            throw new ValidationError('Dividend recap amount must be a non-negative number');
+        }
+        if (!modelParams.tranches.some(tranche => tranche.name === resolved.tranche)) {
+            throw new ValidationError(`Dividend recap tranche "${resolved.tranche}" does not exist`);
+        }
+        return resolved;
+    });
+    
+    modelParams.managementIncentive = {
+        type: 'none',
+        percent: 0,
+        hurdleMultiple: 1.0,
+        ...modelParams.managementIncentive
+    };
+    if (!MANAGEMENT_INCENTIVE_TYPES[modelParams.managementIncentive.type]) {
+        throw new ValidationError(`managementIncentive type must be one of: ${Object.keys(MANAGEMENT_INCENTIVE_TYPES).join(', ')}`);
+    }
+    
+    return modelParams;
+}
+
+/**
+ * Fills in tranche defaults; without tranches the model has a single senior tranche
+ * sized by debtToEbitda at interestRate. A seller note is added as the most junior tranche.
+ * @param {object} params - Model parameters
+ * @returns {Array<object>} - Debt tranches in cash sweep priority order
+ */
+function resolveTranches(params) {
+    const tranches = Array.isArray(params.tranches) && params.tranches.length > 0 ?
+        [...params.tranches] :
+        [{ name: "Senior Debt", ebitdaMultiple: params.debtToEbitda }];
+    
+    if (params.sellerNote) {
+        tranches.push({ name: "Seller Note", cashSweep: false, pik: true, ...params.sellerNote });
+    }
+    
+    return tranches.map((tranche, i) => {
+        const resolved = {
+            name: `Tranche ${i + 1}`,
+            ebitdaMultiple: 0,
+            amount: null, // in millions; overrides ebitdaMultiple when set
+            interestRate: params.interestRate,
+            amortization: 0, // % of original amount per year, or one value per projection year
+            financingFee: 0, // % of amount
+            cashSweep: true,
+            pik: false,
+            ...tranche
+        };
+        
+        if (typeof resolved.amount === 'number') {
+            if (resolved.amount < 0) {
+                throw new ValidationError(`Tranche "${resolved.name}" amount must not be negative`);
+            }
+            resolved.ebitdaMultiple = resolved.amount / params.ltmEbitda;
+        } else if (typeof resolved.ebitdaMultiple !== 'number' || resolved.ebitdaMultiple < 0) {
+            throw new ValidationError(`Tranche "${resolved.name}" needs a non-negative ebitdaMultiple or amount`);
+        }
+        if (Array.isArray(resolved.amortization) && resolved.amortization.length === 0) {
+            throw new ValidationError(`Tranche "${resolved.name}" amortization schedule must contain at least one value`);
+        }
+        
+        return resolved;
+    });
+}
+
+/**
+ * Works out the row layout, which depends on the number of tranches: sources & uses list
+ * every tranche, and the debt schedule has a block per tranche
+ * @param {object} params - Model parameters (with resolved tranches)
+ * @returns {object} - Row numbers of each section and of the projection line items
+ */
+function getLayout(params) {
+    const count = params.tranches.length;
+    
+    // Sources & uses sit side by side under the purchase metrics
+    const sourcesRow = 18;
+    const sources = {
+        rollover: sourcesRow + count,
+        existingCash: sourcesRow + count + 1,
+        sponsorEquity: sourcesRow + count + 2,
+        total: sourcesRow + count + 3
+    };
+    const uses = {
+        equityPurchase: sourcesRow,
+        refinancing: sourcesRow + 1,
+        transactionFees: sourcesRow + 2,
+        financingFees: sourcesRow + 3,
+        cashToBalanceSheet: sourcesRow + 4,
+        total: sourcesRow + 5
+    };
+    
+    // Projection line items
+    const projectionRow = Math.max(sources.total, uses.total) + 2;
+    const rows = {
+        years: projectionRow + 1,
+        incomeStatement: projectionRow + 3,
+        revenue: projectionRow + 4,
+        growth: projectionRow + 5,
+        ebitda: projectionRow + 6,
+        ebitdaMargin: projectionRow + 7,
+        depreciation: projectionRow + 8,
+        ebit: projectionRow + 9,
+        interest: projectionRow + 10,
+        ebt: projectionRow + 11,
+        taxes: projectionRow + 12,
+        netIncome: projectionRow + 13,
+        cashFlow: projectionRow + 14,
+        cfNetIncome: projectionRow + 15,
+        cfDepreciation: projectionRow + 16,
+        pikInterest: projectionRow + 17,
+        capex: projectionRow + 18,
+        workingCapital: projectionRow + 19,
+        freeCashFlow: projectionRow + 20,
+        debtRepayment: projectionRow + 21,
+        netChangeInCash: projectionRow + 22
+    };
+    
+    // Debt schedule: tranche terms, cash waterfall, then a block per tranche
+    const debtRow = rows.netChangeInCash + 2;
+    const firstTrancheRow = debtRow + 2;
+    const trancheTotalRow = firstTrancheRow + count;
+    const cashAvailableRow = trancheTotalRow + 2;
+    const firstBlockRow = cashAvailableRow + 9;
+    const trancheBlockRows = params.tranches.map((_, i) => firstBlockRow + i * 10); // 9 rows and a spacer
+    const debtTotalRow = firstBlockRow + count * 10;
+    
+    // Returns: assumptions, the exit waterfall, then sponsor and management cash flows per exit year
+    const returnsRow = debtTotalRow + 8;
+    const exitYears = getExitYears(params);
+    const waterfallRow = returnsRow + 11;
+    const sponsorRow = waterfallRow + 11;
+    const managementRow = sponsorRow + exitYears.length + 2;
+    const returns = {
+        waterfallRow,
+        exitYears,
+        sponsorRow,
+        managementRow
+    };
+    
+    return {
+        sourcesRow,
+        sources,
+        uses,
+        projectionRow,
+        rows,
+        debtRow,
+        firstTrancheRow,
+        trancheTotalRow,
+        cashAvailableRow,
+        trancheBlockRows,
+        debtTotalRow,
+        returnsRow,
+        returns,
+        sensitivityRow: managementRow + exitYears.length + 2
+    };
+}
+
+/**
+ * Exit years covered by the returns analysis: year 3 (or the last year if earlier) to the last year
+ * @param {object} params - Model parameters
+ * @returns {Array<number>} - Exit years
+ */
+function getExitYears(params) {
+    const exitYears = [];
+    for (let year = Math.min(3, params.projectionYears); year <= params.projectionYears; year++) {
+        exitYears.push(year);
+    }
+    return exitYears;
+}
+
+/**
+ * Calculates the LBO without Excel, mirroring the formulas written by createLBOModel
+ * @param {object} params - Parameters for the LBO model (same as createLBOModel)
+ * @returns {object} - Transaction, sources & uses, projections, debt schedule, returns and sensitivity grids
+ */
+function calculateLBO(params = {}) {
+    const modelParams = resolveParams(params);
+    
+    return {
+        modelType: "LBO",
+        parameters: modelParams,
+        ...projectLBO(modelParams),
+        sensitivity: modelParams.sensitivity ? calculateSensitivity(modelParams) : null
+    };
+}
+
+/**
+ * Sizes the purchase price, debt tranches and sources & uses; sponsor equity is the plug
+ * @param {object} params - Resolved model parameters (see resolveParams)
+ * @returns {object} - Enterprise value, equity purchase price, offer price per share,
+ *   sized tranches, sources and uses
+ */
+function sizeTransaction(params) {
+    const ltmEbitda = params.ltmEbitda;
+    
+    // Purchase price
+    let enterpriseValue;
+    let equityPurchasePrice;
+    let offerPricePerShare;
+    if (params.purchasePriceMethod === 'offer-price') {
+        offerPricePerShare = params.offerPricePerShare;
+        equityPurchasePrice = offerPricePerShare * params.sharesOutstanding;
+        enterpriseValue = equityPurchasePrice + params.existingDebt - params.existingCash;
+    } else {
+        enterpriseValue = ltmEbitda * params.entryMultiple;
+        equityPurchasePrice = enterpriseValue - params.existingDebt + params.existingCash;
+        offerPricePerShare = params.sharesOutstanding > 0 ? equityPurchasePrice / params.sharesOutstanding : null;
+    }
+    
+    // Sources & uses; sponsor equity is the plug
+    const tranches = params.tranches.map(tranche => {
+        const amount = typeof tranche.amount === 'number' ? tranche.amount : tranche.ebitdaMultiple * ltmEbitda;
+        return { ...tranche, amount, ebitdaMultiple: amount / ltmEbitda, financingFees: amount * tranche.financingFee };
+    });
+    const totalDebt = tranches.reduce((sum, tranche) => sum + tranche.amount, 0);
+    const uses = {
+        equityPurchase: equityPurchasePrice,
+        refinancing: params.existingDebt,
+        transactionFees: enterpriseValue * params.transactionFeePercent,
+        financingFees: tranches.reduce((sum, tranche) => sum + tranche.financingFees, 0),
+        cashToBalanceSheet: params.minimumCash
+    };
+    uses.total = Object.values(uses).reduce((sum, value) => sum + value, 0);
+    const sponsorEquity = uses.total - totalDebt - params.managementRollover - params.existingCash;
+    const sources = {
+        tranches: tranches.map(tranche => ({ name: tranche.name, amount: tranche.amount })),
+        rollover: params.managementRollover,
+        existingCash: params.existingCash,
+        sponsorEquity,
+        total: uses.total
+    };
+    
+    return { enterpriseValue, equityPurchasePrice, offerPricePerShare, tranches, sources, uses };
+}
+
+/**
+ * Runs the transaction, projections, debt schedule and returns for resolved parameters
+ * @param {object} params - Resolved model parameters (see resolveParams)
+ * @returns {object} - Transaction, sources & uses, projections, debt schedule and returns
+ */
+function projectLBO(params) {
+    const years = params.projectionYears;
+    const ltmEbitda = params.ltmEbitda;
+    const { enterpriseValue, equityPurchasePrice, offerPricePerShare, tranches, sources, uses } = sizeTransaction(params);
+    
+    // Year 0 (entry year) financials; revenue is backed out of LTM EBITDA
+    const projection = {
+        years: [], revenue: [], growthRate: [], ebitda: [], depreciation: [], ebit: [], interestExpense: [],
+        ebt: [], taxes: [], netIncome: [], pikInterest: [], capitalExpenditures: [], changeInWorkingCapital: [],
+        freeCashFlow: [], debtRepayment: [], netChangeInCash: []
+    };
+    const cash = {
+        beginning: [null], freeCashFlow: [null], minimumCash: [params.minimumCash], available: [null],
+        mandatoryAmortization: [null], sweepCash: [null], ending: [params.minimumCash]
+    };
+    const schedules = tranches.map(tranche => ({
+        name: tranche.name,
+        amortization: [null],
+        beginning: [null],
+        mandatory: [0],
+        sweep: [0],
+        pik: [0],
+        newBorrowings: [0],
+        ending: [tranche.amount],
+        cashInterest: [0]
+    }));
+    
+    const addYear = (year, revenue, previousRevenue, interest) => {
+        const ebitda = revenue * params.ebitdaMargin;
+        const depreciation = revenue * params.depreciationPercentOfRevenue;
+        const ebt = ebitda - depreciation - interest.cash - interest.pik;
+        const taxes = ebt > 0 ? ebt * params.taxRate : 0;
+        const netIncome = ebt - taxes;
+        const capex = revenue * params.capexPercentOfRevenue;
+        const changeInWorkingCapital = previousRevenue === null ? 0 :
+            (revenue - previousRevenue) * params.workingCapitalPercentOfRevenue;
+        
+        return {
+            year: `Year ${year}`,
+            revenue,
+            growthRate: previousRevenue === null ? null : revenue / previousRevenue - 1,
+            ebitda,
+            depreciation,
+            ebit: ebitda - depreciation,
+            interestExpense: interest.cash + interest.pik,
+            ebt,
+            taxes,
+            netIncome,
+            pikInterest: interest.pik,
+            capitalExpenditures: capex,
+            changeInWorkingCapital,
+            freeCashFlow: netIncome + depreciation + interest.pik - capex - changeInWorkingCapital
+        };
+    };
+    const pushYear = (line, repayment) => {
+        Object.keys(projection).forEach(key => {
+            if (key === 'years') {
+                projection.years.push(line.year);
+            } else if (key === 'debtRepayment') {
+                projection.debtRepayment.push(repayment);
+            } else if (key === 'netChangeInCash') {
+                projection.netChangeInCash.push(line.freeCashFlow - repayment);
+            } else {
+                projection[key].push(line[key]);
+            }
+        });
+    };
+    pushYear(addYear(0, ltmEbitda / params.ebitdaMargin, null, { cash: 0, pik: 0 }), 0);
+    
+    for (let year = 1; year <= years; year++) {
+        const revenue = projection.revenue[year - 1] * (1 + params.revenueGrowthRate);
+        const beginningCash = cash.ending[year - 1];
+        const beginning = schedules.map(schedule => schedule.ending[year - 1]);
+        const amortization = tranches.map(tranche => Array.isArray(tranche.amortization) ?
+            tranche.amortization[Math.min(year - 1, tranche.amortization.length - 1)] :
+            tranche.amortization);
+        const recaps = tranches.map(tranche => params.dividendRecaps
+            .filter(recap => recap.year === year && recap.tranche === tranche.name)
+            .reduce((sum, recap) => sum + recap.amount, 0));
+        
+        // Interest on average balances depends on the sweep, which depends on interest: iterate
+        // (as Excel's iterative calculation does) until the cash interest settles
+        let cashInterest = beginning.map((balance, i) => tranches[i].pik ? 0 : balance * tranches[i].interestRate);
+        let state;
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const pik = beginning.map((balance, i) => tranches[i].pik ? balance * tranches[i].interestRate : 0);
+            const line = addYear(year, revenue, projection.revenue[year - 1], {
+                cash: cashInterest.reduce((sum, value) => sum + value, 0),
+                pik: pik.reduce((sum, value) => sum + value, 0)
+            });
+            
+            // Cash waterfall: mandatory amortization first, then the sweep down to the minimum cash balance
+            const available = beginningCash + line.freeCashFlow - params.minimumCash;
+            const mandatory = [];
+            beginning.forEach((balance, i) => {
+                const seniorMandatory = mandatory.reduce((sum, value) => sum + value, 0);
+                mandatory.push(Math.max(0, Math.min(balance, tranches[i].amount * amortization[i], available - seniorMandatory)));
+            });
+            const totalMandatory = mandatory.reduce((sum, value) => sum + value, 0);
+            const sweepCash = Math.max(0, available - totalMandatory);
+            const sweep = [];
+            beginning.forEach((balance, i) => {
+                const seniorSweeps = sweep.reduce((sum, value) => sum + value, 0);
+                sweep.push(tranches[i].cashSweep ? Math.max(0, Math.min(balance - mandatory[i], sweepCash - seniorSweeps)) : 0);
+            });
+            const ending = beginning.map((balance, i) => balance - mandatory[i] - sweep[i] + pik[i] + recaps[i]);
+            const nextInterest = beginning.map((balance, i) => {
+                const base = params.averageBalanceInterest ? (balance + ending[i]) / 2 : balance;
+                return tranches[i].pik ? 0 : base * tranches[i].interestRate;
+            });
+            
+            state = { line, available, mandatory, totalMandatory, sweepCash, sweep, pik, ending, cashInterest };
+            const change = nextInterest.reduce((max, value, i) => Math.max(max, Math.abs(value - cashInterest[i])), 0);
+            cashInterest = nextInterest;
+            if (change < 1e-9) {
+                break;
+            }
+        }
+        
+        const repayment = state.totalMandatory + state.sweep.reduce((sum, value) => sum + value, 0);
+        pushYear(state.line, repayment);
+        
+        cash.beginning.push(beginningCash);
+        cash.freeCashFlow.push(state.line.freeCashFlow);
+        cash.minimumCash.push(params.minimumCash);
+        cash.available.push(state.available);
+        cash.mandatoryAmortization.push(state.totalMandatory);
+        cash.sweepCash.push(state.sweepCash);
+        cash.ending.push(beginningCash + state.line.freeCashFlow - repayment);
+        
+        schedules.forEach((schedule, i) => {
+            schedule.amortization.push(amortization[i]);
+            schedule.beginning.push(beginning[i]);
+            schedule.mandatory.push(state.mandatory[i]);
+            schedule.sweep.push(state.sweep[i]);
+            schedule.pik.push(state.pik[i]);
+            schedule.newBorrowings.push(recaps[i]);
+            schedule.ending.push(state.ending[i]);
+            schedule.cashInterest.push(state.cashInterest[i]);
+        });
+    }
+    
+    // Totals across tranches
+    const sumOf = (key) => projection.years.map((_, year) => schedules.reduce((sum, schedule) => sum + schedule[key][year], 0));
+    const totals = {
+        debt: sumOf('ending'),
+        cashInterest: sumOf('cashInterest'),
+        pikInterest: sumOf('pik'),
+        repayment: projection.debtRepayment,
+        recapBorrowings: sumOf('newBorrowings')
+    };
+    totals.interest = totals.cashInterest.map((value, year) => value + totals.pikInterest[year]);
+    totals.leverage = totals.debt.map((debt, year) => projection.ebitda[year] > 0 ? debt / projection.ebitda[year] : null);
+    
+    return {
+        transaction: {
+            enterpriseValue,
+            ltmEbitda,
+            entryMultiple: enterpriseValue / ltmEbitda,
+            offerPricePerShare,
+            sharesOutstanding: params.sharesOutstanding,
+            equityPurchasePrice,
+            existingDebt: params.existingDebt,
+            existingCash: params.existingCash,
+            transactionFeePercent: params.transactionFeePercent
+        },
+        sourcesAndUses: { sources, uses },
+        projection,
+        debtSchedule: {
+            tranches: schedules.map((schedule, i) => ({ ...schedule, terms: tranches[i] })),
+            cash,
+            totals
+        },
+        returns: calculateReturns(params, projection, cash, totals, sources)
+    };
+}
+
+/**
+ * Calculates the exit waterfall and the sponsor and management cash flows for each exit year,
+ * mirroring the formulas written by createReturnsSection
+ * @param {object} params - Resolved model parameters
+ * @param {object} projection - Projected line items
+ * @param {object} cash - Cash balances from the debt schedule
+ * @param {object} totals - Debt schedule totals
+ * @param {object} sources - Sources of funds
+ * @returns {object} - Exit waterfall and cash flows, IRR and MoM for each exit year
+ */
+function calculateReturns(params, projection, cash, totals, sources) {
+    const incentive = params.managementIncentive;
+    const initialEquity = sources.sponsorEquity + sources.rollover;
+    const sponsorOwnership = initialEquity > 0 ? sources.sponsorEquity / initialEquity : 0;
+    const hurdle = incentive.type === 'promote' ? incentive.hurdleMultiple : 1;
+    
+    const [closingYear, closingMonth, closingDay] = params.closingDate.split('-').map(Number);
+    const dates = projection.years.map((_, year) => addMonths(closingYear, closingMonth - 1, closingDay, 12 * year));
+    
+    // Exit at the end of each year
+    const waterfall = {
+        dates: dates.map(date => date.toISOString().slice(0, 10)),
+        enterpriseValue: [null],
+        netDebt: [null],
+        equityValue: [null],
+        dividends: [null],
+        cumulativeDividends: [0],
+        managementIncentive: [null],
+        shareholderValue: [null]
+    };
+    for (let year = 1; year <= params.projectionYears; year++) {
+        const enterpriseValue = projection.ebitda[year] * params.exitMultiple;
+        const netDebt = totals.debt[year] - cash.ending[year];
+        const equityValue = enterpriseValue - netDebt;
+        const dividends = totals.recapBorrowings[year];
+        const cumulativeDividends = waterfall.cumulativeDividends[year - 1] + dividends;
+        const managementIncentive = incentive.type === 'none' ? 0 :
+            Math.max(0, Math.min(equityValue, incentive.percent * (equityValue + cumulativeDividends - hurdle * initialEquity)));
+        
+        waterfall.enterpriseValue.push(enterpriseValue);
+        waterfall.netDebt.push(netDebt);
+        waterfall.equityValue.push(equityValue);
+        waterfall.dividends.push(dividends);
+        waterfall.cumulativeDividends.push(cumulativeDividends);
+        waterfall.managementIncentive.push(managementIncentive);
+        waterfall.shareholderValue.push(Math.max(0, equityValue - managementIncentive));
+    }
+    
+    // Equity cash flows: investment at close, dividends, then exit proceeds
+    const cashFlows = (investment, share, withIncentive) => getExitYears(params).map(exitYear => {
+        const flows = projection.years.map((_, year) => {
+            if (year === 0) {
+                return -investment;
+            }
+            if (year < exitYear) {
+                return share * waterfall.dividends[year];
+            }
+            if (year === exitYear) {
+                return share * (waterfall.dividends[year] + waterfall.shareholderValue[year]) +
+                    (withIncentive ? waterfall.managementIncentive[year] : 0);
+            }
+            return 0;
+        });
+        const invested = -flows[0] > 0;
+        
+        return {
+            exitYear,
+            cashFlows: flows,
+            irr: invested ? xirr(flows, dates) : null,
+            multipleOfMoney: invested ? flows.slice(1).reduce((sum, value) => sum + value, 0) / -flows[0] : null
+        };
+    });
+    
+    return {
+        exitMultiple: params.exitMultiple,
+        closingDate: waterfall.dates[0],
+        managementIncentive: incentive,
+        sponsorEquity: sources.sponsorEquity,
+        managementRollover: sources.rollover,
+        initialEquity,
+        sponsorOwnership,
+        waterfall,
+        sponsor: cashFlows(sources.sponsorEquity, sponsorOwnership, false),
+        management: cashFlows(sources.rollover, 1 - sponsorOwnership, true)
+    };
+}
+
+/**
+ * Recomputes sponsor IRR and MoM at the final exit year across the entry vs. exit multiple
+ * and leverage vs. revenue growth grids, re-running the model for every cell
+ * @param {object} params - Resolved model parameters
+ * @returns {object} - Axis values, hurdles and grids (rows are entry multiple or leverage values)
+ */
+function calculateSensitivity(params) {
+    const options = { ...SENSITIVITY_DEFAULTS, ...(typeof params.sensitivity === 'object' ? params.sensitivity : {}) };
+    const axis = (base, step) => Array.from({ length: options.steps * 2 + 1 }, (_, i) => base + (i - options.steps) * step);
+    const exitYear = params.projectionYears;
+    
+    const base = projectLBO(params);
+    const baseLeverage = base.debtSchedule.totals.debt[0] / params.ltmEbitda;
+    const entryMultipleValues = axis(base.transaction.entryMultiple, options.entryMultipleStep);
+    const exitMultipleValues = axis(params.exitMultiple, options.exitMultipleStep);
+    const leverageValues = axis(baseLeverage, options.leverageStep);
+    const growthValues = axis(params.revenueGrowthRate, options.growthStep);
+    
+    // Sponsor returns for an exit in the final year with some inputs flexed; cells where the
+    // financing leaves a negative sponsor equity plug are left blank
+    const sponsorReturns = (overrides) => {
+        const result = projectLBO({ ...params, ...overrides });
+        if (result.sourcesAndUses.sources.sponsorEquity < 0) {
+            return null;
+        }
+        return result.returns.sponsor.find(item => item.exitYear === exitYear);
+    };
     
-    // Highlight key outputs
-    sheet.getRange("B54:B55").format.fill.color = "#E6F0FF";
-    sheet.getRange("B54:B55").format.font.bold = true;
+    // Leverage scales every tranche pro rata (or sizes the first tranche when there is no debt)
+    const withLeverage = (leverage) => params.tranches.map((tranche, i) => {
+        const amount = baseLeverage > 0 ?
+            base.debtSchedule.tranches[i].terms.amount * leverage / baseLeverage :
+            (i === 0 ? leverage * params.ltmEbitda : 0);
+        return { ...tranche, amount, ebitdaMultiple: amount / params.ltmEbitda };
+    });
+    
+    const entryVsExit = entryMultipleValues.map(entryMultiple => exitMultipleValues.map(exitMultiple =>
+        entryMultiple > 0 ? sponsorReturns({ purchasePriceMethod: 'multiple', entryMultiple, exitMultiple }) : null
+    ));
+    const leverageVsGrowth = leverageValues.map(leverage => growthValues.map(revenueGrowthRate =>
+        leverage >= 0 ? sponsorReturns({ tranches: withLeverage(leverage), revenueGrowthRate }) : null
+    ));
+    const pick = (grid, key) => grid.map(values => values.map(value => value ? value[key] : null));
+    
+    return {
+        exitYear,
+        steps: options.steps,
+        irrHurdle: options.irrHurdle,
+        momHurdle: options.momHurdle,
+        entryMultipleValues,
+        exitMultipleValues,
+        leverageValues,
+        growthValues,
+        entryVsExitIRR: pick(entryVsExit, 'irr'),
+        entryVsExitMoM: pick(entryVsExit, 'multipleOfMoney'),
+        leverageVsGrowthIRR: pick(leverageVsGrowth, 'irr'),
+        leverageVsGrowthMoM: pick(leverageVsGrowth, 'multipleOfMoney')
+    };
+}
+
+/**
+ * Internal rate of return for dated cash flows (matches Excel's XIRR, actual/365)
+ * @param {Array<number>} values - Cash flows, starting with the (negative) investment
+ * @param {Array<Date>} dates - Date of each cash flow
+ * @returns {number|null} - Annual rate, or null when there is no sign change
+ */
+function xirr(values, dates) {
+    if (!values.some(value => value < 0) || !values.some(value => value > 0)) {
+        return null;
+    }
+    
+    const days = dates.map(date => (date - dates[0]) / 86400000);
+    const npv = (rate) => values.reduce((sum, value, i) => sum + value / Math.pow(1 + rate, days[i] / 365), 0);
+    
+    // Bisection: NPV falls as the rate rises for an investment followed by returns
+    let low = -0.9999;
+    let high = 1;
+    while (npv(high) > 0 && high < 1e6) {
+        high *= 2;
+    }
+    if (npv(low) * npv(high) > 0) {
+        return null;
+    }
+    for (let iteration = 0; iteration < 200 && high - low > 1e-12; iteration++) {
+        const mid = (low + high) / 2;
+        if (npv(mid) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Adds months to a date, clamping the day to the end of the month (matches Excel's EDATE)
+ * @param {number} year - Year
+ * @param {number} month - Zero-based month
+ * @param {number} day - Day of the month
+ * @param {number} months - Months to add
+ * @returns {Date} - UTC date
+ */
+function addMonths(year, month, day, months) {
+    const lastDay = new Date(Date.UTC(year, month + months + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month + months, Math.min(day, lastDay)));
 }
 
 /**
@@ -406,5 +1566,6 @@ function getColumnLetter(column) {
 }
 
 module.exports = {
-    createLBOModel
+    createLBOModel,
+    calculateLBO
 };
\ No newline at end of file
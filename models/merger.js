@@ -1,5 +1,49 @@
 // merger.js - Merger Model Template
 
+const { ValidationError } = require('./errors');
+
+// Default parameters, shared by the Excel builder and the headless engine
+const DEFAULTS = {
+    acquirerName: "Acquirer Corp",
+    targetName: "Target Corp",
+    acquirerSharePrice: 50.0,
+    targetSharePrice: 30.0,
+    acquirerShares: 100, // in millions
+    targetShares: 50, // in millions
+    acquirerNetDebt: 500, // in millions
+    targetNetDebt: 200, // in millions
+    acquirerEPS: 3.50,
+    targetEPS: 2.00,
+    offerPremium: 0.30, // 30% premium
+    cashConsideration: 0.40, // 40% cash, 60% stock
+    synergies: 100, // run-rate, in millions
+    taxRate: 0.25,
+    transactionFees: 50, // in millions
+    targetBookEquity: 900, // in millions
+    targetExistingGoodwill: 0, // written off and replaced by the new goodwill
+    ppeWriteUp: 100, // in millions
+    ppeUsefulLife: 10, // in years
+    intangiblesWriteUp: 200, // in millions
+    intangiblesUsefulLife: 8, // in years
+    projectionYears: 3, // 3 to 5 years of pro forma accretion / dilution
+    acquirerNetIncome: null, // projected net income by year ($M); defaults to EPS x shares grown at acquirerNetIncomeGrowth
+    targetNetIncome: null, // projected net income by year ($M); defaults to EPS x shares grown at targetNetIncomeGrowth
+    acquirerNetIncomeGrowth: 0.05,
+    targetNetIncomeGrowth: 0.05,
+    synergyPhaseIn: [0.5, 0.75, 1.0], // % of run-rate synergies by year; the last value carries forward
+    integrationCosts: [50, 25, 0], // one-off pre-tax costs by year, in millions; the last value carries forward
+    acquisitionDebtRate: 0.05, // interest on new debt funding the cash consideration and fees
+    acquirerRevenue: 2500, // LTM, in millions (contribution analysis)
+    targetRevenue: 900,
+    acquirerEBITDA: 800, // LTM, in millions (contribution analysis, EV/EBITDA and credit metrics)
+    targetEBITDA: 250,
+    existingDebtRate: 0.05, // interest on the combined existing net debt
+    maxLeverage: 4.0, // pro forma net debt / EBITDA above this is flagged
+    premiumStep: 0.10, // consideration mix grid: offer premium steps either side of the base case
+    cashConsiderationValues: [0, 0.25, 0.5, 0.75, 1.0], // consideration mix grid: % cash columns
+    gridYear: 1 // projection year shown in the consideration mix grid
+};
+
 /**
  * Creates a Merger & Acquisition model in Excel
  * @param {object} context - The Excel context
@@ -7,27 +51,8 @@
  * @returns {Promise<object>} - Information about the created model
  */
 async function createMergerModel(context, params = {}) {
-    // Default parameters
-    const defaults = {
-        acquirerName: "Acquirer Corp",
-        targetName: "Target Corp",
-        acquirerSharePrice: 50.0,
-        targetSharePrice: 30.0,
-        acquirerShares: 100, // in millions
-        targetShares: 50, // in millions
-        acquirerNetDebt: 500, // in millions
-        targetNetDebt: 200, // in millions
-        acquirerEPS: 3.50,
-        targetEPS: 2.00,
-        offerPremium: 0.30, // 30% premium
-        cashConsideration: 0.40, // 40% cash, 60% stock
-        synergies: 100, // in millions
-        taxRate: 0.25,
-        transactionFees: 50 // in millions
-    };
-
     // Merge defaults with provided parameters
-    const modelParams = { ...defaults, ...params };
+    const modelParams = resolveParams(params);
     
     // Create a new worksheet for the model if it doesn't exist
     let sheet;
@@ -49,9 +74,24 @@ async function createMergerModel(context, params = {}) {
     // Create transaction details section
     await createTransactionSection(sheet, modelParams);
     
+    // Create purchase price allocation section
+    await createPurchasePriceAllocationSection(sheet, modelParams);
+    
     // Create pro forma analysis section
     await createProFormaSection(sheet, modelParams);
     
+    // Create breakeven synergies and maximum premium section
+    await createBreakevenSection(sheet, modelParams);
+    
+    // Create contribution analysis section
+    await createContributionSection(sheet, modelParams);
+    
+    // Create pro forma credit metrics section
+    await createCreditMetricsSection(sheet, modelParams);
+    
+    // Create consideration mix sensitivity grids
+    await createConsiderationMixSection(sheet, modelParams);
+    
     // Format the worksheet
     await formatWorksheet(sheet, modelParams);
     
@@ -73,7 +113,7 @@ async function setupModelStructure(sheet, params) {
     
     // Set column widths
     sheet.getRange("A:A").columnWidth = 250; // Labels
-    sheet.getRange("B:E").columnWidth = 120; // Data columns
+    sheet.getRange("B:G").columnWidth = 120; // Data columns
     
     // Set title
     sheet.getRange("A1:E1").values = [[`${params.acquirerName} / ${params.targetName} - Merger Model`, "", "", "", ""]];
@@ -121,7 +161,7 @@ async function createCompanyInfoSection(sheet, params) {
     sheet.getRange("B11").formulas = [["=B9+B10"]];
     sheet.getRange("B12").values = [[params.acquirerEPS]];
     sheet.getRange("B13").formulas = [["=B5/B12"]];
-    sheet.getRange("B14").values = [["--"]]; // Would need EBITDA input for EV/EBITDA
+    sheet.getRange("B14").formulas = [['=IF(B78>0,B11/B78,"n/a")']]; // EBITDA from the contribution analysis
     
     // Target values
     sheet.getRange("C5").values = [[params.targetSharePrice]];
@@ -133,7 +173,7 @@ async function createCompanyInfoSection(sheet, params) {
     sheet.getRange("C11").formulas = [["=C9+C10"]];
     sheet.getRange("C12").values = [[params.targetEPS]];
     sheet.getRange("C13").formulas = [["=C5/C12"]];
-    sheet.getRange("C14").values = [["--"]]; // Would need EBITDA input for EV/EBITDA
+    sheet.getRange("C14").formulas = [['=IF(C78>0,C11/C78,"n/a")']];
     
     // Pro forma values will be calculated in the pro forma section
     
@@ -145,7 +185,7 @@ async function createCompanyInfoSection(sheet, params) {
     sheet.getRange("B9:D11").numberFormat = "$#,##0.0";
     sheet.getRange("B12:D12").numberFormat = "$0.00";
     sheet.getRange("B13:D13").numberFormat = "0.0";
-    sheet.getRange("B14:D14").numberFormat = "0.0";
+    sheet.getRange("B14:D14").numberFormat = "0.0x";
 }
 
 /**
@@ -197,61 +237,418 @@ async function createTransactionSection(sheet, params) {
 }
 
 /**
- * Creates the pro forma analysis section
+ * Creates the purchase price allocation section
+ * The purchase price over the target's book equity goes to asset write-ups first, net of the
+ * deferred tax liability they create, and the remainder to goodwill
  * @param {object} sheet - The Excel worksheet
  * @param {object} params - Model parameters
  */
-async function createProFormaSection(sheet, params) {
+async function createPurchasePriceAllocationSection(sheet, params) {
     // Section header
-    sheet.getRange("A28").values = [["Pro Forma Analysis"]];
+    sheet.getRange("A28").values = [["Purchase Price Allocation"]];
     sheet.getRange("A28").format.font.bold = true;
     sheet.getRange("A28").format.font.size = 14;
     
+    // Excess purchase price over book value
+    sheet.getRange("A29:A33").values = [
+        ["Equity Purchase Price ($M)"],
+        ["Less: Target Book Value of Equity ($M)"],
+        ["Plus: Existing Target Goodwill Written Off ($M)"],
+        ["Excess Purchase Price over Book Value ($M)"],
+        ["Tax Rate (%)"]
+    ];
+    sheet.getRange("B29").formulas = [["=B18"]];
+    sheet.getRange("B30:B31").values = [[params.targetBookEquity], [params.targetExistingGoodwill]];
+    sheet.getRange("B32").formulas = [["=B29-B30+B31"]];
+    sheet.getRange("B33").values = [[params.taxRate]];
+    
+    // Asset write-ups, depreciated and amortized straight-line over their useful lives
+    sheet.getRange("A34:D34").values = [["Asset Write-Ups", "Write-Up ($M)", "Useful Life (Years)", "Annual D&A ($M)"]];
+    sheet.getRange("A34:D34").format.font.bold = true;
+    sheet.getRange("A35:C36").values = [
+        ["PP&E", params.ppeWriteUp, params.ppeUsefulLife],
+        ["Intangible Assets", params.intangiblesWriteUp, params.intangiblesUsefulLife]
+    ];
+    sheet.getRange("D35:D36").formulas = [["=IF(C35>0,B35/C35,0)"], ["=IF(C36>0,B36/C36,0)"]];
+    sheet.getRange("A37:A39").values = [
+        ["Total Write-Ups ($M)"],
+        ["Less: Deferred Tax Liability on Write-Ups ($M)"],
+        ["Goodwill ($M)"]
+    ];
+    sheet.getRange("B37").formulas = [["=B35+B36"]];
+    sheet.getRange("D37").formulas = [["=D35+D36"]];
+    sheet.getRange("B38").formulas = [["=B37*B33"]]; // Book write-ups have no tax basis in a stock deal
+    sheet.getRange("B39").formulas = [["=B32-B37+B38"]];
+    sheet.getRange("A39:B39").format.font.bold = true;
+    
+    // Inputs in blue
+    sheet.getRange("B30:B31").format.font.color = "#0000FF";
+    sheet.getRange("B33").format.font.color = "#0000FF";
+    sheet.getRange("B35:C36").format.font.color = "#0000FF";
+    
+    // Format cells
+    sheet.getRange("B29:B32").numberFormat = "$#,##0.0";
+    sheet.getRange("B33").numberFormat = "0.0%";
+    sheet.getRange("B35:B39").numberFormat = "$#,##0.0";
+    sheet.getRange("C35:C36").numberFormat = "0.0";
+    sheet.getRange("D35:D37").numberFormat = "$#,##0.0";
+}
+
+/**
+ * Creates the pro forma analysis section
+ * Accretion / (dilution) is shown for each projection year, with synergies phased in,
+ * one-off integration costs and interest on the new acquisition debt
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createProFormaSection(sheet, params) {
+    const years = params.projectionYears;
+    const lastCol = getColumnLetter(1 + years);
+    
+    // Section header
+    sheet.getRange("A41").values = [["Pro Forma Analysis"]];
+    sheet.getRange("A41").format.font.bold = true;
+    sheet.getRange("A41").format.font.size = 14;
+    
+    // Pro forma assumptions
+    sheet.getRange("A42:A46").values = [
+        ["Run-Rate Synergies ($M)"],
+        ["Acquirer Net Income Growth (%)"],
+        ["Target Net Income Growth (%)"],
+        ["New Acquisition Debt ($M)"],
+        ["Acquisition Debt Interest Rate (%)"]
+    ];
+    sheet.getRange("B42:B44").values = [[params.synergies], [params.acquirerNetIncomeGrowth], [params.targetNetIncomeGrowth]];
+    sheet.getRange("B45").formulas = [["=B21+B25"]]; // Cash consideration and fees are debt funded
+    sheet.getRange("B46").values = [[params.acquisitionDebtRate]];
+    sheet.getRange("B42:B44").format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange("B46").format.font.color = "#0000FF";
+    
     // Pro forma analysis labels
-    sheet.getRange("A29:A40").values = [
+    sheet.getRange("A49:A66").values = [
         ["Net Income - Acquirer ($M)"],
         ["Net Income - Target ($M)"],
+        ["Synergy Phase-In (%)"],
         ["Synergies ($M)"],
-        ["Tax Effect of Synergies ($M)"],
-        ["After-Tax Synergies ($M)"],
+        ["Integration Costs ($M)"],
+        ["Tax Effect of Synergies and Integration Costs ($M)"],
+        ["After-Tax Synergies net of Integration Costs ($M)"],
         ["Incremental Interest Expense ($M)"],
         ["Tax Effect of Interest ($M)"],
         ["After-Tax Interest Expense ($M)"],
+        ["Incremental D&A from Write-Ups ($M)"],
+        ["Tax Effect of D&A ($M)"],
+        ["After-Tax Incremental D&A ($M)"],
         ["Pro Forma Net Income ($M)"],
+        ["Acquirer Standalone EPS ($)"],
         ["Pro Forma EPS ($)"],
         ["Accretion / (Dilution) ($)"],
         ["Accretion / (Dilution) (%)"]
     ];
     
-    // Pro forma calculations
-    sheet.getRange("B29").formulas = [["=B12*B8"]]; // Acquirer net income
-    sheet.getRange("B30").formulas = [["=C12*C8"]]; // Target net income
-    sheet.getRange("B31").values = [[params.synergies]]; 
-    sheet.getRange("B32").formulas = [["=B31*" + params.taxRate]];
-    sheet.getRange("B33").formulas = [["=B31-B32"]]; // After-tax synergies
-    
-    // Assume incremental interest expense from new debt for cash portion
-    sheet.getRange("B34").formulas = [["=B21*0.05"]]; // Assuming 5% interest rate
-    sheet.getRange("B35").formulas = [["=B34*" + params.taxRate]];
-    sheet.getRange("B36").formulas = [["=B34-B35"]]; // After-tax interest expense
-    
-    sheet.getRange("B37").formulas = [["=B29+B30+B33-B36"]]; // Pro forma net income
-    sheet.getRange("B38").formulas = [["=B37/B26"]]; // Pro forma EPS
-    sheet.getRange("B39").formulas = [["=B38-B12"]]; // Accretion/dilution per share
-    sheet.getRange("B40").formulas = [["=B39/B12"]]; // Accretion/dilution percentage
+    for (let year = 1; year <= years; year++) {
+        const col = 1 + year; // Column B is year 1
+        const c = getColumnLetter(col);
+        const p = getColumnLetter(col - 1);
+        
+        sheet.getRange(48, col).values = [[`Year ${year}`]];
+        
+        // Projected net income, or LTM EPS x shares grown at the growth assumptions
+        if (params.acquirerNetIncome) {
+            sheet.getRange(49, col).values = [[params.acquirerNetIncome[year - 1]]];
+            sheet.getRange(49, col).format.font.color = "#0000FF";
+        } else {
+            sheet.getRange(49, col).formulas = [[year === 1 ? "=B12*B8*(1+$B$43)" : `=${p}49*(1+$B$43)`]];
+        }
+        if (params.targetNetIncome) {
+            sheet.getRange(50, col).values = [[params.targetNetIncome[year - 1]]];
+            sheet.getRange(50, col).format.font.color = "#0000FF";
+        } else {
+            sheet.getRange(50, col).formulas = [[year === 1 ? "=C12*C8*(1+$B$44)" : `=${p}50*(1+$B$44)`]];
+        }
+        
+        // Synergies phase in; integration costs are one-off pre-tax charges
+        sheet.getRange(51, col).values = [[params.synergyPhaseIn[year - 1]]];
+        sheet.getRange(52, col).formulas = [[`=$B$42*${c}51`]];
+        sheet.getRange(53, col).values = [[params.integrationCosts[year - 1]]];
+        sheet.getRange(54, col).formulas = [[`=(${c}52-${c}53)*$B$33`]];
+        sheet.getRange(55, col).formulas = [[`=${c}52-${c}53-${c}54`]];
+        
+        // Interest on the new acquisition debt
+        sheet.getRange(56, col).formulas = [[`=$B$45*$B$46`]];
+        sheet.getRange(57, col).formulas = [[`=${c}56*$B$33`]];
+        sheet.getRange(58, col).formulas = [[`=${c}56-${c}57`]];
+        
+        // D&A on the write-ups from the purchase price allocation, until each asset is fully written off
+        sheet.getRange(59, col).formulas = [[`=IF(${year}<=$C$35,$D$35,0)+IF(${year}<=$C$36,$D$36,0)`]];
+        sheet.getRange(60, col).formulas = [[`=${c}59*$B$33`]];
+        sheet.getRange(61, col).formulas = [[`=${c}59-${c}60`]];
+        
+        sheet.getRange(62, col).formulas = [[`=${c}49+${c}50+${c}55-${c}58-${c}61`]]; // Pro forma net income
+        sheet.getRange(63, col).formulas = [[`=${c}49/$B$8`]]; // Acquirer standalone EPS
+        sheet.getRange(64, col).formulas = [[`=${c}62/$B$26`]]; // Pro forma EPS
+        sheet.getRange(65, col).formulas = [[`=${c}64-${c}63`]]; // Accretion/dilution per share
+        sheet.getRange(66, col).formulas = [[`=${c}65/${c}63`]]; // Accretion/dilution percentage
+    }
+    sheet.getRange(`B48:${lastCol}48`).format.font.bold = true;
+    sheet.getRange(`B51:${lastCol}51`).format.font.color = "#0000FF";
+    sheet.getRange(`B53:${lastCol}53`).format.font.color = "#0000FF";
     
     // Update pro forma values in company information section
     sheet.getRange("D9").formulas = [["=B9+C9"]]; // Pro forma market cap
-    sheet.getRange("D10").formulas = [["=B10+C10+B21"]]; // Pro forma net debt
+    sheet.getRange("D10").formulas = [["=B10+C10+B45"]]; // Pro forma net debt
     sheet.getRange("D11").formulas = [["=D9+D10"]]; // Pro forma enterprise value
-    sheet.getRange("D12").formulas = [["=B38"]]; // Pro forma EPS
+    sheet.getRange("D12").formulas = [["=B64"]]; // Pro forma EPS (year 1)
     sheet.getRange("D13").formulas = [["=B5/D12"]]; // Pro forma P/E ratio
+    sheet.getRange("D14").formulas = [['=IF(B78+C78>0,D11/(B78+C78),"n/a")']]; // Pro forma EV/EBITDA
+    
+    // Format cells
+    sheet.getRange("B42").numberFormat = "$#,##0.0";
+    sheet.getRange("B43:B44").numberFormat = "0.0%";
+    sheet.getRange("B45").numberFormat = "$#,##0.0";
+    sheet.getRange("B46").numberFormat = "0.00%";
+    sheet.getRange(`B49:${lastCol}62`).numberFormat = "$#,##0.0";
+    sheet.getRange(`B51:${lastCol}51`).numberFormat = "0%";
+    sheet.getRange(`B63:${lastCol}65`).numberFormat = "$0.00";
+    sheet.getRange(`B66:${lastCol}66`).numberFormat = "0.0%";
+}
+
+/**
+ * Creates the breakeven analysis: the synergies needed for EPS-neutral and the highest
+ * offer premium the deal can pay without diluting EPS, for each projection year
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createBreakevenSection(sheet, params) {
+    const lastCol = getColumnLetter(1 + params.projectionYears);
+    
+    // Section header
+    sheet.getRange("A68").values = [["Breakeven Analysis"]];
+    sheet.getRange("A68").format.font.bold = true;
+    sheet.getRange("A68").format.font.size = 14;
+    
+    sheet.getRange("A70:A73").values = [
+        ["Breakeven Pre-Tax Synergies ($M)"],
+        ["Breakeven Synergies (% of Run-Rate)"],
+        ["Maximum Offer Price at Zero Dilution ($)"],
+        ["Maximum Offer Premium at Zero Dilution (%)"]
+    ];
+    
+    for (let year = 1; year <= params.projectionYears; year++) {
+        const col = 1 + year;
+        const c = getColumnLetter(col);
+        
+        sheet.getRange(69, col).formulas = [[`=${c}48`]];
+        
+        // Pre-tax synergies that take accretion / (dilution) to zero
+        sheet.getRange(70, col).formulas = [[`=${c}52-${c}65*$B$26/(1-$B$33)`]];
+        sheet.getRange(71, col).formulas = [[`=IF($B$42>0,${c}70/$B$42,"n/a")`]];
+        
+        // Solve pro forma EPS = standalone EPS for the equity purchase price: the price drives
+        // interest on the cash portion and the shares issued for the stock portion
+        const earnings = `(${c}49+${c}50+${c}55-${c}61-$B$46*(1-$B$33)*$B$25-${c}63*$B$8)`;
+        const perDollar = `($B$46*(1-$B$33)*$B$19+${c}63*$B$20/$B$5)`;
+        sheet.getRange(72, col).formulas = [[`=IF(${perDollar}>0,${earnings}/${perDollar}/$C$8,"n/a")`]];
+        sheet.getRange(73, col).formulas = [[`=IF(ISNUMBER(${c}72),${c}72/$C$5-1,"n/a")`]];
+    }
     
     // Format cells
-    sheet.getRange("B29:B37").numberFormat = "$#,##0.0";
-    sheet.getRange("B38").numberFormat = "$0.00";
-    sheet.getRange("B39").numberFormat = "$0.00";
-    sheet.getRange("B40").numberFormat = "0.0%";
+    sheet.getRange(`B69:${lastCol}69`).format.font.bold = true;
+    sheet.getRange(`B70:${lastCol}70`).numberFormat = "$#,##0.0";
+    sheet.getRange(`B71:${lastCol}71`).numberFormat = "0.0%";
+    sheet.getRange(`B72:${lastCol}72`).numberFormat = "$0.00";
+    sheet.getRange(`B73:${lastCol}73`).numberFormat = "0.0%";
+}
+
+/**
+ * Creates the contribution analysis: each side's share of revenue, EBITDA, net income and
+ * market capitalization against its pro forma ownership
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createContributionSection(sheet, params) {
+    // Section header
+    sheet.getRange("A75").values = [["Contribution Analysis"]];
+    sheet.getRange("A75").format.font.bold = true;
+    sheet.getRange("A75").format.font.size = 14;
+    
+    // Column headers
+    sheet.getRange("B76:E76").values = [["Acquirer", "Target", "Acquirer %", "Target %"]];
+    sheet.getRange("B76:E76").format.font.bold = true;
+    
+    sheet.getRange("A77:A81").values = [
+        ["Revenue ($M)"],
+        ["EBITDA ($M)"],
+        ["Net Income ($M)"],
+        ["Market Capitalization ($M)"],
+        ["Pro Forma Ownership (Shares, M)"]
+    ];
+    sheet.getRange("B77:C78").values = [
+        [params.acquirerRevenue, params.targetRevenue],
+        [params.acquirerEBITDA, params.targetEBITDA]
+    ];
+    sheet.getRange("B79:C81").formulas = [
+        ["=B12*B8", "=C12*C8"],
+        ["=B9", "=C9"],
+        ["=B8", "=B24"] // Target shareholders own the shares issued to them
+    ];
+    for (let row = 77; row <= 81; row++) {
+        sheet.getRange(`D${row}:E${row}`).formulas = [[
+            `=IF(B${row}+C${row}<>0,B${row}/(B${row}+C${row}),"n/a")`,
+            `=IF(B${row}+C${row}<>0,C${row}/(B${row}+C${row}),"n/a")`
+        ]];
+    }
+    sheet.getRange("A81:E81").format.font.bold = true;
+    sheet.getRange("B77:C78").format.font.color = "#0000FF"; // Blue for hard inputs
+    
+    // Format cells
+    sheet.getRange("B77:C80").numberFormat = "$#,##0.0";
+    sheet.getRange("B81:C81").numberFormat = "#,##0.0";
+    sheet.getRange("D77:E81").numberFormat = "0.0%";
+}
+
+/**
+ * Creates the pro forma credit metrics for the combined company and flags leverage above the maximum
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createCreditMetricsSection(sheet, params) {
+    // Section header
+    sheet.getRange("A83").values = [["Pro Forma Credit Metrics"]];
+    sheet.getRange("A83").format.font.bold = true;
+    sheet.getRange("A83").format.font.size = 14;
+    
+    sheet.getRange("A84:A91").values = [
+        ["Pro Forma Net Debt ($M)"],
+        ["Pro Forma EBITDA incl. Run-Rate Synergies ($M)"],
+        ["Interest Rate on Existing Net Debt (%)"],
+        ["Pro Forma Interest Expense ($M)"],
+        ["Net Debt / EBITDA"],
+        ["Interest Coverage (EBITDA / Interest)"],
+        ["Maximum Net Debt / EBITDA"],
+        ["Leverage Check"]
+    ];
+    sheet.getRange("B84").formulas = [["=D10"]];
+    sheet.getRange("B85").formulas = [["=B78+C78+B42"]];
+    sheet.getRange("B86").values = [[params.existingDebtRate]];
+    sheet.getRange("B87").formulas = [["=(B10+C10)*B86+B45*B46"]];
+    sheet.getRange("B88").formulas = [['=IF(B85>0,B84/B85,"n/a")']];
+    sheet.getRange("B89").formulas = [['=IF(B87>0,B85/B87,"n/a")']];
+    sheet.getRange("B90").values = [[params.maxLeverage]];
+    sheet.getRange("B91").formulas = [['=IF(AND(ISNUMBER(B88),B88<=B90),"OK","Above Maximum")']];
+    sheet.getRange("B86").format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange("B90").format.font.color = "#0000FF";
+    sheet.getRange("A91:B91").format.font.bold = true;
+    
+    const leverageFlag = sheet.getRange("B91").conditionalFormats.add("CellValue");
+    leverageFlag.cellValue.format.font.color = "#A4262C"; // Red above the maximum
+    leverageFlag.cellValue.rule = { formula1: "=\"Above Maximum\"", operator: "EqualTo" };
+    
+    // Format cells
+    sheet.getRange("B84:B85").numberFormat = "$#,##0.0";
+    sheet.getRange("B86").numberFormat = "0.00%";
+    sheet.getRange("B87").numberFormat = "$#,##0.0";
+    sheet.getRange("B88:B90").numberFormat = "0.0x";
+}
+
+/**
+ * Creates the consideration mix grids: accretion / (dilution) and pro forma leverage by offer
+ * premium vs. % cash consideration, for a selectable projection year. Mixes that push leverage
+ * above the maximum are shaded in both grids.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createConsiderationMixSection(sheet, params) {
+    const columns = params.cashConsiderationValues.length;
+    const steps = 2;
+    const size = steps * 2 + 1;
+    const lastYearCol = getColumnLetter(1 + params.projectionYears);
+    
+    // Section header and grid inputs
+    sheet.getRange("A93").values = [["Consideration Mix Sensitivity"]];
+    sheet.getRange("A93").format.font.bold = true;
+    sheet.getRange("A93").format.font.size = 14;
+    sheet.getRange("A94:B95").values = [
+        ["Offer Premium Step", params.premiumStep],
+        ["Projection Year", params.gridYear]
+    ];
+    sheet.getRange("B95").dataValidation.rule = {
+        wholeNumber: { formula1: 1, formula2: params.projectionYears, operator: "Between" }
+    };
+    sheet.getRange("B94").numberFormat = "0.0%";
+    sheet.getRange("B94:B95").format.font.color = "#0000FF"; // Blue for hard inputs
+    
+    // Selected projection year's line items
+    const yearValue = (row) => `INDEX($B$${row}:$${lastYearCol}$${row},1,$B$95)`;
+    
+    const accretionRow = 97;
+    const leverageRow = accretionRow + size + 3;
+    const tables = [
+        {
+            titleRow: accretionRow,
+            title: '="Accretion / (Dilution) (%) - Offer Premium vs. % Cash Consideration (Year "&$B$95&")"',
+            format: "0.0%",
+            formula: (premium, cash) => {
+                const price = `$C$5*(1+${premium})*$C$8`;
+                const netIncome = `(${yearValue(49)}+${yearValue(50)}+${yearValue(55)}-${yearValue(61)}-(${cash}*${price}+$B$25)*$B$46*(1-$B$33))`;
+                const shares = `($B$8+(1-${cash})*${price}/$B$5)`;
+                return `=${netIncome}/${shares}/${yearValue(63)}-1`;
+            }
+        },
+        {
+            titleRow: leverageRow,
+            title: '="Pro Forma Net Debt / EBITDA - Offer Premium vs. % Cash Consideration"',
+            format: "0.0x",
+            formula: (premium, cash) => `=($B$10+$C$10+${cash}*$C$5*(1+${premium})*$C$8+$B$25)/$B$85`
+        }
+    ];
+    
+    tables.forEach(table => {
+        const headerRow = table.titleRow + 1;
+        const firstGridRow = table.titleRow + 2;
+        
+        sheet.getRange(table.titleRow, 1).formulas = [[table.title]];
+        sheet.getRange(table.titleRow, 1).format.font.bold = true;
+        sheet.getRange(headerRow, 1).values = [["Offer Premium (down) / % Cash (across)"]];
+        sheet.getRange(headerRow, 1).format.font.italic = true;
+        
+        // % cash columns are inputs; premium rows are centred on the live offer premium
+        sheet.getRange(headerRow, 3, 1, columns).values = [params.cashConsiderationValues];
+        sheet.getRange(headerRow, 3, 1, columns).numberFormat = "0%";
+        sheet.getRange(headerRow, 3, 1, columns).format.font.bold = true;
+        sheet.getRange(headerRow, 3, 1, columns).format.font.color = "#0000FF";
+        
+        for (let i = 0; i < size; i++) {
+            const gridRow = firstGridRow + i;
+            const offset = i - steps;
+            sheet.getRange(gridRow, 2).formulas = [[offset === 0 ? "=$C$6" : `=$C$6${offset < 0 ? "-" : "+"}${Math.abs(offset)}*$B$94`]];
+            
+            for (let j = 0; j < columns; j++) {
+                const colLetter = getColumnLetter(3 + j);
+                sheet.getRange(gridRow, 3 + j).formulas = [[table.formula(`$B${gridRow}`, `${colLetter}$${headerRow}`)]];
+            }
+        }
+        sheet.getRange(firstGridRow, 2, size, 1).numberFormat = "0.0%";
+        sheet.getRange(firstGridRow, 2, size, 1).format.font.bold = true;
+        
+        const grid = sheet.getRange(firstGridRow, 3, size, columns);
+        grid.numberFormat = table.format;
+        
+        // Shade mixes that push leverage above the maximum (the matching cell in the leverage grid)
+        const leverageCell = `${getColumnLetter(3)}${leverageRow + 2}`;
+        const flag = grid.conditionalFormats.add("Custom");
+        flag.custom.rule.formula = `=${leverageCell}>$B$90`;
+        flag.custom.format.fill.color = "#F4CCCC";
+    });
+    
+    // Green for accretion, red for dilution
+    const accretionGrid = sheet.getRange(accretionRow + 2, 3, size, columns);
+    const accretive = accretionGrid.conditionalFormats.add("CellValue");
+    accretive.cellValue.format.font.color = "#107C10";
+    accretive.cellValue.rule = { formula1: "0", operator: "GreaterThan" };
+    const dilutive = accretionGrid.conditionalFormats.add("CellValue");
+    dilutive.cellValue.format.font.color = "#A4262C";
+    dilutive.cellValue.rule = { formula1: "0", operator: "LessThan" };
 }
 
 /**
@@ -264,21 +661,402 @@ async function formatWorksheet(sheet, params) {
     sheet.getRange("A3:E3").format.borders.bottom.style = "Continuous";
     sheet.getRange("A16:E16").format.borders.bottom.style = "Continuous";
     sheet.getRange("A28:E28").format.borders.bottom.style = "Continuous";
+    sheet.getRange("A41:E41").format.borders.bottom.style = "Continuous";
+    sheet.getRange("A68:E68").format.borders.bottom.style = "Continuous";
+    sheet.getRange("A75:E75").format.borders.bottom.style = "Continuous";
+    sheet.getRange("A83:E83").format.borders.bottom.style = "Continuous";
+    sheet.getRange("A93:E93").format.borders.bottom.style = "Continuous";
     
     // Highlight key outputs
-    sheet.getRange("B38:B40").format.fill.color = "#E6F0FF";
-    sheet.getRange("B38:B40").format.font.bold = true;
+    const lastCol = getColumnLetter(1 + params.projectionYears);
+    sheet.getRange(`B64:${lastCol}66`).format.fill.color = "#E6F0FF";
+    sheet.getRange(`B64:${lastCol}66`).format.font.bold = true;
     
     // Add conditional formatting for accretion/dilution
-    const conditionalFormat = sheet.getRange("B40").conditionalFormats.add("CellValue");
+    const conditionalFormat = sheet.getRange(`B66:${lastCol}66`).conditionalFormats.add("CellValue");
     conditionalFormat.cellValue.format.font.color = "#107C10"; // Green for accretion
     conditionalFormat.cellValue.rule = { formula1: "0", operator: "GreaterThan" };
     
-    const conditionalFormat2 = sheet.getRange("B40").conditionalFormats.add("CellValue");
+    const conditionalFormat2 = sheet.getRange(`B66:${lastCol}66`).conditionalFormats.add("CellValue");
     conditionalFormat2.cellValue.format.font.color = "#A4262C"; // Red for dilution
     conditionalFormat2.cellValue.rule = { formula1: "0", operator: "LessThan" };
 }
 
+/**
+ * Merges the defaults, checks the share prices, share counts and projection period and expands
+ * the per-year assumptions to one value per year
+ * @param {object} params - Parameters for the merger model
+ * @returns {object} - Resolved model parameters
+ */
+function resolveParams(params) {
+    const modelParams = { ...DEFAULTS, ...params };
+    const years = modelParams.projectionYears;
+    
+    // Share prices and counts are divisors throughout (P/E, exchange ratio, EPS)
+    ['acquirerSharePrice', 'targetSharePrice', 'acquirerShares', 'targetShares'].forEach(key => {
+        if (!(modelParams[key] > 0)) {
+            throw new ValidationError(`${key} must be a positive number`);
+        }
+    });
+    if (!Number.isInteger(years) || years < 3 || years > 5) {
+        throw new ValidationError('projectionYears must be 3, 4 or 5');
+    }
+    
+    ['acquirerNetIncome', 'targetNetIncome'].forEach(key => {
+        if (modelParams[key] && (!Array.isArray(modelParams[key]) || modelParams[key].length < years)) {
+            throw new ValidationError(`${key} must have a value for each of the ${years} projection years`);
+        }
+    });
+    
+    if (!Number.isInteger(modelParams.gridYear) || modelParams.gridYear < 1 || modelParams.gridYear > years) {
+        throw new ValidationError(`gridYear must be between 1 and ${years}`);
+    }
+    if (!Array.isArray(modelParams.cashConsiderationValues) || modelParams.cashConsiderationValues.length === 0) {
+        throw new ValidationError('cashConsiderationValues must contain at least one value');
+    }
+    
+    // Schedules shorter than the projection period carry their last value forward
+    ['synergyPhaseIn', 'integrationCosts'].forEach(key => {
+        const values = Array.isArray(modelParams[key]) ? modelParams[key] : [modelParams[key]];
+        if (values.length === 0) {
+            throw new ValidationError(`${key} must contain at least one value`);
+        }
+        modelParams[key] = Array.from({ length: years }, (_, i) => values[Math.min(i, values.length - 1)]);
+    });
+    
+    return modelParams;
+}
+
+/**
+ * Calculates the merger model without Excel, mirroring the formulas written by createMergerModel
+ * @param {object} params - Parameters for the merger model (same as createMergerModel)
+ * @returns {object} - Company information, transaction details, purchase price allocation,
+ *   pro forma accretion / (dilution) by year, breakeven and contribution analysis, credit metrics
+ *   and consideration mix grids
+ */
+function calculateMerger(params = {}) {
+    const modelParams = resolveParams(params);
+    const transaction = calculateTransaction(modelParams);
+    const purchasePriceAllocation = calculatePurchasePriceAllocation(modelParams, transaction);
+    const proForma = projectProForma(modelParams, transaction, purchasePriceAllocation);
+    const companies = calculateCompanies(modelParams);
+    
+    // Pro forma column of the company information section (year 1 EPS)
+    const proFormaNetDebt = modelParams.acquirerNetDebt + modelParams.targetNetDebt + proForma.newAcquisitionDebt;
+    companies.proForma = {
+        marketCap: companies.acquirer.marketCap + companies.target.marketCap,
+        netDebt: proFormaNetDebt,
+        enterpriseValue: companies.acquirer.marketCap + companies.target.marketCap + proFormaNetDebt,
+        eps: proForma.proFormaEPS[0],
+        peRatio: modelParams.acquirerSharePrice / proForma.proFormaEPS[0]
+    };
+    
+    // EV / EBITDA on the LTM EBITDA inputs; "n/a" in the sheet without positive EBITDA
+    const evToEbitda = (enterpriseValue, ebitda) => ebitda > 0 ? enterpriseValue / ebitda : null;
+    companies.acquirer.evToEbitda = evToEbitda(companies.acquirer.enterpriseValue, modelParams.acquirerEBITDA);
+    companies.target.evToEbitda = evToEbitda(companies.target.enterpriseValue, modelParams.targetEBITDA);
+    companies.proForma.evToEbitda = evToEbitda(companies.proForma.enterpriseValue,
+        modelParams.acquirerEBITDA + modelParams.targetEBITDA);
+    
+    const creditMetrics = calculateCreditMetrics(modelParams, companies, proForma);
+    
+    return {
+        modelType: "Merger",
+        parameters: modelParams,
+        companies,
+        transaction,
+        purchasePriceAllocation,
+        proForma,
+        breakeven: calculateBreakeven(modelParams, transaction, proForma),
+        contribution: calculateContribution(modelParams, transaction, companies),
+        creditMetrics,
+        considerationMix: calculateConsiderationMix(modelParams, proForma, creditMetrics)
+    };
+}
+
+/**
+ * Standalone market values and multiples for each side, as in the company information section
+ * @param {object} params - Resolved model parameters
+ * @returns {object} - Acquirer and target share price, market capitalization, enterprise value and P/E
+ */
+function calculateCompanies(params) {
+    const company = (sharePrice, shares, netDebt, eps) => ({
+        sharePrice,
+        sharesOutstanding: shares,
+        marketCap: sharePrice * shares,
+        netDebt,
+        enterpriseValue: sharePrice * shares + netDebt,
+        eps,
+        peRatio: sharePrice / eps
+    });
+    
+    return {
+        acquirer: company(params.acquirerSharePrice, params.acquirerShares, params.acquirerNetDebt, params.acquirerEPS),
+        target: {
+            ...company(params.targetSharePrice, params.targetShares, params.targetNetDebt, params.targetEPS),
+            offerPremium: params.offerPremium,
+            offerPrice: params.targetSharePrice * (1 + params.offerPremium)
+        }
+    };
+}
+
+/**
+ * Sizes the purchase price, its cash / stock split and the shares issued to target shareholders
+ * @param {object} params - Resolved model parameters
+ * @returns {object} - Transaction details
+ */
+function calculateTransaction(params) {
+    const offerPrice = params.targetSharePrice * (1 + params.offerPremium);
+    const equityPurchasePrice = offerPrice * params.targetShares;
+    const stockConsideration = equityPurchasePrice * (1 - params.cashConsideration);
+    const newSharesIssued = stockConsideration / params.acquirerSharePrice;
+    
+    return {
+        offerPrice,
+        equityPurchasePrice,
+        cashPercent: params.cashConsideration,
+        stockPercent: 1 - params.cashConsideration,
+        cashConsideration: equityPurchasePrice * params.cashConsideration,
+        stockConsideration,
+        exchangeRatio: newSharesIssued / params.targetShares,
+        newSharesIssued,
+        transactionFees: params.transactionFees,
+        proFormaShares: params.acquirerShares + newSharesIssued
+    };
+}
+
+/**
+ * Allocates the purchase price over the target's book equity to asset write-ups, net of the
+ * deferred tax liability they create, and goodwill
+ * @param {object} params - Resolved model parameters
+ * @param {object} transaction - Transaction details (see calculateTransaction)
+ * @returns {object} - Excess purchase price, write-ups with their annual D&A, deferred tax liability and goodwill
+ */
+function calculatePurchasePriceAllocation(params, transaction) {
+    const writeUp = (amount, usefulLife) => ({
+        writeUp: amount,
+        usefulLife,
+        annualDA: usefulLife > 0 ? amount / usefulLife : 0
+    });
+    const ppe = writeUp(params.ppeWriteUp, params.ppeUsefulLife);
+    const intangibles = writeUp(params.intangiblesWriteUp, params.intangiblesUsefulLife);
+    
+    const excessPurchasePrice = transaction.equityPurchasePrice - params.targetBookEquity + params.targetExistingGoodwill;
+    const totalWriteUps = ppe.writeUp + intangibles.writeUp;
+    const deferredTaxLiability = totalWriteUps * params.taxRate; // Book write-ups have no tax basis in a stock deal
+    
+    return {
+        equityPurchasePrice: transaction.equityPurchasePrice,
+        targetBookEquity: params.targetBookEquity,
+        existingGoodwillWrittenOff: params.targetExistingGoodwill,
+        excessPurchasePrice,
+        ppe,
+        intangibles,
+        totalWriteUps,
+        totalAnnualDA: ppe.annualDA + intangibles.annualDA,
+        deferredTaxLiability,
+        goodwill: excessPurchasePrice - totalWriteUps + deferredTaxLiability
+    };
+}
+
+/**
+ * Projects pro forma net income and EPS for each year: synergies phased in, one-off integration
+ * costs, interest on the new acquisition debt and D&A on the write-ups, all tax-effected
+ * @param {object} params - Resolved model parameters
+ * @param {object} transaction - Transaction details (see calculateTransaction)
+ * @param {object} ppa - Purchase price allocation (see calculatePurchasePriceAllocation)
+ * @returns {object} - Line items by projection year and accretion / (dilution)
+ */
+function projectProForma(params, transaction, ppa) {
+    const tax = params.taxRate;
+    const newAcquisitionDebt = transaction.cashConsideration + transaction.transactionFees; // Debt funded
+    
+    // Projected net income, or LTM EPS x shares grown at the growth assumptions
+    let acquirerNetIncome = params.acquirerEPS * params.acquirerShares;
+    let targetNetIncome = params.targetEPS * params.targetShares;
+    
+    const rows = Array.from({ length: params.projectionYears }, (_, i) => {
+        const year = i + 1;
+        acquirerNetIncome = params.acquirerNetIncome ? params.acquirerNetIncome[i] :
+            acquirerNetIncome * (1 + params.acquirerNetIncomeGrowth);
+        targetNetIncome = params.targetNetIncome ? params.targetNetIncome[i] :
+            targetNetIncome * (1 + params.targetNetIncomeGrowth);
+        
+        const synergies = params.synergies * params.synergyPhaseIn[i];
+        const integrationCosts = params.integrationCosts[i];
+        const synergyTax = (synergies - integrationCosts) * tax;
+        const interestExpense = newAcquisitionDebt * params.acquisitionDebtRate;
+        
+        // Write-up D&A runs until each asset is fully written off
+        const writeUpDA = (year <= ppa.ppe.usefulLife ? ppa.ppe.annualDA : 0) +
+            (year <= ppa.intangibles.usefulLife ? ppa.intangibles.annualDA : 0);
+        
+        const afterTaxSynergies = synergies - integrationCosts - synergyTax;
+        const afterTaxInterest = interestExpense * (1 - tax);
+        const afterTaxDA = writeUpDA * (1 - tax);
+        const proFormaNetIncome = acquirerNetIncome + targetNetIncome + afterTaxSynergies - afterTaxInterest - afterTaxDA;
+        const standaloneEPS = acquirerNetIncome / params.acquirerShares;
+        const proFormaEPS = proFormaNetIncome / transaction.proFormaShares;
+        
+        return {
+            acquirerNetIncome,
+            targetNetIncome,
+            synergyPhaseIn: params.synergyPhaseIn[i],
+            synergies,
+            integrationCosts,
+            synergyTax,
+            afterTaxSynergies,
+            interestExpense,
+            interestTax: interestExpense * tax,
+            afterTaxInterest,
+            writeUpDA,
+            writeUpDATax: writeUpDA * tax,
+            afterTaxDA,
+            proFormaNetIncome,
+            standaloneEPS,
+            proFormaEPS,
+            accretion: proFormaEPS - standaloneEPS,
+            accretionPercent: (proFormaEPS - standaloneEPS) / standaloneEPS
+        };
+    });
+    
+    // One array per line item, in projection year order
+    const proForma = {
+        years: rows.map((_, i) => `Year ${i + 1}`),
+        newAcquisitionDebt,
+        acquisitionDebtRate: params.acquisitionDebtRate
+    };
+    Object.keys(rows[0]).forEach(key => {
+        proForma[key] = rows.map(row => row[key]);
+    });
+    
+    return proForma;
+}
+
+/**
+ * Synergies needed for EPS-neutral and the highest offer price and premium the deal can pay
+ * without diluting EPS, for each projection year; null where the sheet shows "n/a"
+ * @param {object} params - Resolved model parameters
+ * @param {object} transaction - Transaction details (see calculateTransaction)
+ * @param {object} proForma - Pro forma projection (see projectProForma)
+ * @returns {object} - Breakeven synergies and maximum offer price / premium by year
+ */
+function calculateBreakeven(params, transaction, proForma) {
+    const tax = params.taxRate;
+    const breakevenSynergies = proForma.synergies.map((synergies, i) =>
+        synergies - proForma.accretion[i] * transaction.proFormaShares / (1 - tax));
+    
+    // Solve pro forma EPS = standalone EPS for the equity purchase price: the price drives
+    // interest on the cash portion and the shares issued for the stock portion
+    const maximumOfferPrice = proForma.years.map((_, i) => {
+        const earnings = proForma.acquirerNetIncome[i] + proForma.targetNetIncome[i] + proForma.afterTaxSynergies[i] -
+            proForma.afterTaxDA[i] - params.acquisitionDebtRate * (1 - tax) * params.transactionFees -
+            proForma.standaloneEPS[i] * params.acquirerShares;
+        const perDollar = params.acquisitionDebtRate * (1 - tax) * transaction.cashPercent +
+            proForma.standaloneEPS[i] * transaction.stockPercent / params.acquirerSharePrice;
+        return perDollar > 0 ? earnings / perDollar / params.targetShares : null;
+    });
+    
+    return {
+        years: proForma.years,
+        breakevenSynergies,
+        breakevenSynergiesPercent: breakevenSynergies.map(value => params.synergies > 0 ? value / params.synergies : null),
+        maximumOfferPrice,
+        maximumOfferPremium: maximumOfferPrice.map(price => price === null ? null : price / params.targetSharePrice - 1)
+    };
+}
+
+/**
+ * Each side's share of revenue, EBITDA, net income and market capitalization against its pro forma ownership
+ * @param {object} params - Resolved model parameters
+ * @param {object} transaction - Transaction details (see calculateTransaction)
+ * @param {object} companies - Company information (see calculateCompanies)
+ * @returns {object} - Acquirer and target amounts and percentages for each metric
+ */
+function calculateContribution(params, transaction, companies) {
+    const split = (acquirer, target) => {
+        const total = acquirer + target;
+        return {
+            acquirer,
+            target,
+            acquirerPercent: total !== 0 ? acquirer / total : null,
+            targetPercent: total !== 0 ? target / total : null
+        };
+    };
+    
+    return {
+        revenue: split(params.acquirerRevenue, params.targetRevenue),
+        ebitda: split(params.acquirerEBITDA, params.targetEBITDA),
+        netIncome: split(params.acquirerEPS * params.acquirerShares, params.targetEPS * params.targetShares),
+        marketCap: split(companies.acquirer.marketCap, companies.target.marketCap),
+        // Target shareholders own the shares issued to them
+        ownership: split(params.acquirerShares, transaction.newSharesIssued)
+    };
+}
+
+/**
+ * Pro forma leverage and interest coverage of the combined company, flagged against the maximum leverage
+ * @param {object} params - Resolved model parameters
+ * @param {object} companies - Company information with the pro forma column
+ * @param {object} proForma - Pro forma projection (see projectProForma)
+ * @returns {object} - Net debt, EBITDA incl. run-rate synergies, interest, ratios and the leverage check
+ */
+function calculateCreditMetrics(params, companies, proForma) {
+    const netDebt = companies.proForma.netDebt;
+    const ebitda = params.acquirerEBITDA + params.targetEBITDA + params.synergies;
+    const interestExpense = (params.acquirerNetDebt + params.targetNetDebt) * params.existingDebtRate +
+        proForma.newAcquisitionDebt * params.acquisitionDebtRate;
+    const netDebtToEbitda = ebitda > 0 ? netDebt / ebitda : null;
+    
+    return {
+        netDebt,
+        ebitda,
+        existingDebtRate: params.existingDebtRate,
+        interestExpense,
+        netDebtToEbitda,
+        interestCoverage: interestExpense > 0 ? ebitda / interestExpense : null,
+        maxLeverage: params.maxLeverage,
+        leverageCheck: netDebtToEbitda !== null && netDebtToEbitda <= params.maxLeverage ? "OK" : "Above Maximum"
+    };
+}
+
+/**
+ * Accretion / (dilution) in the grid year and pro forma leverage by offer premium (rows, two steps
+ * either side of the base case) vs. % cash consideration (columns), flagging mixes above the maximum leverage
+ * @param {object} params - Resolved model parameters
+ * @param {object} proForma - Pro forma projection (see projectProForma)
+ * @param {object} creditMetrics - Pro forma credit metrics (see calculateCreditMetrics)
+ * @returns {object} - Premiums, % cash values and the accretion, leverage and flag grids
+ */
+function calculateConsiderationMix(params, proForma, creditMetrics) {
+    const steps = 2;
+    const i = params.gridYear - 1;
+    const tax = params.taxRate;
+    const premiums = Array.from({ length: steps * 2 + 1 }, (_, row) => params.offerPremium + (row - steps) * params.premiumStep);
+    const cashValues = params.cashConsiderationValues;
+    const purchasePrice = premium => params.targetSharePrice * (1 + premium) * params.targetShares;
+    
+    const accretion = premiums.map(premium => cashValues.map(cash => {
+        const price = purchasePrice(premium);
+        const netIncome = proForma.acquirerNetIncome[i] + proForma.targetNetIncome[i] + proForma.afterTaxSynergies[i] -
+            proForma.afterTaxDA[i] - (cash * price + params.transactionFees) * params.acquisitionDebtRate * (1 - tax);
+        const shares = params.acquirerShares + (1 - cash) * price / params.acquirerSharePrice;
+        return netIncome / shares / proForma.standaloneEPS[i] - 1;
+    }));
+    const leverage = premiums.map(premium => cashValues.map(cash => creditMetrics.ebitda > 0 ?
+        (params.acquirerNetDebt + params.targetNetDebt + cash * purchasePrice(premium) + params.transactionFees) /
+            creditMetrics.ebitda : null));
+    
+    return {
+        year: params.gridYear,
+        premiums,
+        cashValues,
+        accretion,
+        leverage,
+        aboveMaxLeverage: leverage.map(row => row.map(value => value !== null && value > params.maxLeverage))
+    };
+}
+
 /**
  * Utility function to convert column index to Excel column letter
  * @param {number} column - 1-based column index
@@ -299,5 +1077,6 @@ function getColumnLetter(column) {
 }
 
 module.exports = {
-    createMergerModel
+    createMergerModel,
+    calculateMerger
 };
\ No newline at end of file
@@ -0,0 +1,572 @@
+// precedents.js - Precedent Transactions Analysis Template
+
+const { ValidationError } = require('./errors');
+
+// Default parameters: sample deals and target metrics, in millions except per-share figures
+const DEFAULTS = {
+    target: {
+        name: "Target Co",
+        revenueLTM: 2400,
+        ebitdaLTM: 480,
+        netDebt: 600,
+        sharesOutstanding: 120
+    },
+    transactions: [
+        { date: "2024-09-16", acquirer: "Acquirer A", target: "Deal Target 1", enterpriseValue: 6200, revenueLTM: 2500, ebitdaLTM: 520 },
+        { date: "2024-03-04", acquirer: "Sponsor B", target: "Deal Target 2", enterpriseValue: 3100, revenueLTM: 1400, ebitdaLTM: 255 },
+        { date: "2023-11-20", acquirer: "Acquirer C", target: "Deal Target 3", enterpriseValue: 9800, revenueLTM: 3900, ebitdaLTM: 810 },
+        { date: "2023-06-12", acquirer: "Acquirer D", target: "Deal Target 4", enterpriseValue: 1450, revenueLTM: 720, ebitdaLTM: 118 },
+        { date: "2022-10-03", acquirer: "Sponsor E", target: "Deal Target 5", enterpriseValue: 4300, revenueLTM: 2050, ebitdaLTM: 390 },
+        { date: "2022-02-28", acquirer: "Acquirer F", target: "Deal Target 6", enterpriseValue: 2650, revenueLTM: 1150, ebitdaLTM: -20 }
+    ],
+    selectedRange: { low: 'q1', high: 'q3' } // summary statistics applied to the target's metrics
+};
+
+// Summary statistics rows below the transaction table
+const STATISTICS = [
+    { key: 'max', label: "Maximum", formula: range => `MAX(${range})` },
+    { key: 'q3', label: "75th Percentile", formula: range => `QUARTILE(${range},3)` },
+    { key: 'mean', label: "Mean", formula: range => `AVERAGE(${range})` },
+    { key: 'median', label: "Median", formula: range => `MEDIAN(${range})` },
+    { key: 'q1', label: "25th Percentile", formula: range => `QUARTILE(${range},1)` },
+    { key: 'min', label: "Minimum", formula: range => `MIN(${range})` }
+];
+
+// Transaction multiples, the deal column they are calculated in and the target metric they apply to
+const MULTIPLES = [
+    { key: 'evRevenue', label: "EV / LTM Revenue", column: "G", metric: 'revenueLTM' },
+    { key: 'evEbitda', label: "EV / LTM EBITDA", column: "H", metric: 'ebitdaLTM' }
+];
+
+/**
+ * Creates a precedent transactions analysis in Excel
+ * Multiples with a zero or negative denominator show as "NM" and are left out of the statistics.
+ * The low and high ends of the selected range are dropdowns over the summary statistics.
+ * @param {object} context - The Excel context
+ * @param {object} params - Deals, target metrics and the selected range (see DEFAULTS)
+ * @returns {Promise<object>} - Information about the created model
+ */
+async function createPrecedentTransactionsModel(context, params = {}) {
+    // Merge defaults with provided parameters
+    const modelParams = resolveParams({ ...DEFAULTS, ...params });
+    const layout = getLayout(modelParams);
+    
+    // Create a new worksheet for the model if it doesn't exist
+    let sheet;
+    try {
+        sheet = context.workbook.worksheets.getItem("Precedent Transactions");
+    } catch (error) {
+        sheet = context.workbook.worksheets.add("Precedent Transactions");
+    }
+    
+    // Activate the worksheet
+    sheet.activate();
+    
+    // Setup the model structure
+    await setupModelStructure(sheet, modelParams);
+    
+    // Create transaction table and summary statistics
+    await createTransactionSection(sheet, modelParams, layout);
+    
+    // Create selected range and target metrics
+    await createSelectionSection(sheet, modelParams, layout);
+    
+    // Create implied valuation range
+    await createImpliedValuationSection(sheet, modelParams, layout);
+    
+    // Format the worksheet
+    await formatWorksheet(sheet, modelParams, layout);
+    
+    return {
+        sheetName: sheet.name,
+        modelType: "Precedent Transactions",
+        parameters: modelParams
+    };
+}
+
+/**
+ * Sets up the basic structure of the precedent transactions model
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function setupModelStructure(sheet, params) {
+    // Clear the sheet
+    sheet.getRange().clear();
+    
+    // Set column widths
+    sheet.getRange("A:A").columnWidth = 200; // Labels and dates
+    sheet.getRange("B:C").columnWidth = 150; // Acquirer and target names
+    sheet.getRange("D:H").columnWidth = 110; // Data columns
+    
+    // Set title
+    sheet.getRange("A1:E1").values = [[`${params.target.name} - Precedent Transactions`, "", "", "", ""]];
+    sheet.getRange("A1:E1").format.font.bold = true;
+    sheet.getRange("A1:E1").format.font.size = 16;
+    sheet.getRange("A1:E1").merge();
+}
+
+/**
+ * Creates the transaction table with the summary statistics of each multiple
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout
+ */
+async function createTransactionSection(sheet, params, layout) {
+    const { headerRow, firstDealRow, lastDealRow, statsRow } = layout;
+    
+    sheet.getRange(`A${headerRow - 1}`).values = [["Precedent Transactions"]];
+    sheet.getRange(`A${headerRow}:H${headerRow}`).values = [[
+        "Date",
+        "Acquirer",
+        "Target",
+        "Enterprise Value",
+        "Target LTM Revenue",
+        "Target LTM EBITDA",
+        "EV / LTM Revenue",
+        "EV / LTM EBITDA"
+    ]];
+    
+    params.transactions.forEach((deal, i) => {
+        const row = firstDealRow + i;
+        
+        if (deal.date) {
+            const [year, month, day] = deal.date.split('-').map(Number);
+            sheet.getRange(`A${row}`).formulas = [[`=DATE(${year},${month},${day})`]];
+        }
+        sheet.getRange(`B${row}:F${row}`).values = [[deal.acquirer, deal.target, deal.enterpriseValue, deal.revenueLTM, deal.ebitdaLTM]];
+        sheet.getRange(`G${row}:H${row}`).formulas = [[
+            `=IF(E${row}>0,D${row}/E${row},"NM")`,
+            `=IF(F${row}>0,D${row}/F${row},"NM")`
+        ]];
+    });
+    
+    // Statistics ignore the "NM" text cells
+    STATISTICS.forEach((statistic, i) => {
+        const row = statsRow + i;
+        sheet.getRange(`A${row}`).values = [[statistic.label]];
+        
+        MULTIPLES.forEach(({ column }) => {
+            const range = `${column}${firstDealRow}:${column}${lastDealRow}`;
+            sheet.getRange(`${column}${row}`).formulas = [[`=IF(COUNT(${range})=0,"NM",${statistic.formula(range)})`]];
+        });
+    });
+    
+    sheet.getRange(`A${firstDealRow}:A${lastDealRow}`).numberFormat = "yyyy-mm-dd";
+    sheet.getRange(`A${firstDealRow}:F${lastDealRow}`).format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange(`D${firstDealRow}:F${lastDealRow}`).numberFormat = "$#,##0.0";
+    sheet.getRange(`G${firstDealRow}:H${statsRow + STATISTICS.length - 1}`).numberFormat = "0.0x";
+    sheet.getRange(`G${firstDealRow}:H${statsRow + STATISTICS.length - 1}`).format.horizontalAlignment = "Right";
+}
+
+/**
+ * Creates the selected range dropdowns and the target metrics inputs
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout
+ */
+async function createSelectionSection(sheet, params, layout) {
+    const { selectionRow, targetRow } = layout;
+    const labels = STATISTICS.map(statistic => statistic.label);
+    const labelFor = key => STATISTICS.find(statistic => statistic.key === key).label;
+    
+    sheet.getRange(`A${selectionRow}`).values = [["Selected Range"]];
+    sheet.getRange(`A${selectionRow + 1}:B${selectionRow + 2}`).values = [
+        ["Low End", labelFor(params.selectedRange.low)],
+        ["High End", labelFor(params.selectedRange.high)]
+    ];
+    sheet.getRange(`B${selectionRow + 1}:B${selectionRow + 2}`).dataValidation.rule = {
+        list: { inCellDropDown: true, source: labels.join(",") }
+    };
+    sheet.getRange(`B${selectionRow + 1}:B${selectionRow + 2}`).format.font.color = "#0000FF";
+    
+    sheet.getRange(`A${targetRow}`).values = [["Target Company"]];
+    sheet.getRange(`A${targetRow + 1}:B${targetRow + 4}`).values = [
+        ["Target LTM Revenue", params.target.revenueLTM],
+        ["Target LTM EBITDA", params.target.ebitdaLTM],
+        ["Net Debt", params.target.netDebt],
+        ["Shares Outstanding", params.target.sharesOutstanding]
+    ];
+    sheet.getRange(`B${targetRow + 1}:B${targetRow + 4}`).format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange(`B${targetRow + 1}:B${targetRow + 3}`).numberFormat = "$#,##0.0";
+    sheet.getRange(`B${targetRow + 4}`).numberFormat = "#,##0.0";
+}
+
+/**
+ * Creates the implied valuation range for the target
+ * Each multiple's selected low and high statistics are applied to the matching target metric; the
+ * overall range runs from the lowest to the highest implied enterprise value.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout
+ */
+async function createImpliedValuationSection(sheet, params, layout) {
+    const { statsRow, selectionRow, targetRow, valuationRow } = layout;
+    const statsRange = `$A$${statsRow}:$A$${statsRow + STATISTICS.length - 1}`;
+    const firstRow = valuationRow + 2;
+    const lastRow = firstRow + MULTIPLES.length - 1;
+    const summaryRow = lastRow + 2;
+    
+    sheet.getRange(`A${valuationRow}`).values = [["Implied Valuation"]];
+    sheet.getRange(`A${valuationRow + 1}:F${valuationRow + 1}`).values = [[
+        "Multiple",
+        "Target Metric",
+        "Low Multiple",
+        "High Multiple",
+        "Implied EV (Low)",
+        "Implied EV (High)"
+    ]];
+    
+    MULTIPLES.forEach((multiple, i) => {
+        const row = firstRow + i;
+        const column = `$${multiple.column}$${statsRow}:$${multiple.column}$${statsRow + STATISTICS.length - 1}`;
+        const metricRow = targetRow + 1 + i;
+        
+        sheet.getRange(`A${row}`).values = [[multiple.label]];
+        sheet.getRange(`B${row}:F${row}`).formulas = [[
+            `=$B$${metricRow}`,
+            `=INDEX(${column},MATCH($B$${selectionRow + 1},${statsRange},0),1)`,
+            `=INDEX(${column},MATCH($B$${selectionRow + 2},${statsRange},0),1)`,
+            `=IF(AND(ISNUMBER(C${row}),$B${row}>0),$B${row}*C${row},"NM")`,
+            `=IF(AND(ISNUMBER(D${row}),$B${row}>0),$B${row}*D${row},"NM")`
+        ]];
+    });
+    
+    // Overall range, bridged to equity value and share price
+    sheet.getRange(`A${summaryRow}:C${summaryRow}`).values = [["", "Low", "High"]];
+    sheet.getRange(`A${summaryRow + 1}:A${summaryRow + 4}`).values = [
+        ["Implied Enterprise Value"],
+        ["Less: Net Debt"],
+        ["Implied Equity Value"],
+        ["Implied Share Price"]
+    ];
+    sheet.getRange(`B${summaryRow + 1}:C${summaryRow + 4}`).formulas = [
+        [
+            `=IF(COUNT(E${firstRow}:E${lastRow})=0,"NM",MIN(E${firstRow}:E${lastRow}))`,
+            `=IF(COUNT(F${firstRow}:F${lastRow})=0,"NM",MAX(F${firstRow}:F${lastRow}))`
+        ],
+        [`=$B$${targetRow + 3}`, `=$B$${targetRow + 3}`],
+        [
+            `=IF(ISNUMBER(B${summaryRow + 1}),B${summaryRow + 1}-B${summaryRow + 2},"NM")`,
+            `=IF(ISNUMBER(C${summaryRow + 1}),C${summaryRow + 1}-C${summaryRow + 2},"NM")`
+        ],
+        [
+            `=IF(ISNUMBER(B${summaryRow + 3}),B${summaryRow + 3}/$B$${targetRow + 4},"NM")`,
+            `=IF(ISNUMBER(C${summaryRow + 3}),C${summaryRow + 3}/$B$${targetRow + 4},"NM")`
+        ]
+    ];
+    
+    sheet.getRange(`B${firstRow}:B${lastRow}`).numberFormat = "$#,##0.0";
+    sheet.getRange(`C${firstRow}:D${lastRow}`).numberFormat = "0.0x";
+    sheet.getRange(`E${firstRow}:F${lastRow}`).numberFormat = "$#,##0.0";
+    sheet.getRange(`B${summaryRow + 1}:C${summaryRow + 3}`).numberFormat = "$#,##0.0";
+    sheet.getRange(`B${summaryRow + 4}:C${summaryRow + 4}`).numberFormat = "$0.00";
+    sheet.getRange(`B${firstRow}:F${summaryRow + 4}`).format.horizontalAlignment = "Right";
+}
+
+/**
+ * Applies formatting to the worksheet
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ * @param {object} layout - Row layout
+ */
+async function formatWorksheet(sheet, params, layout) {
+    const summaryRow = layout.valuationRow + MULTIPLES.length + 3;
+    
+    // Section headers
+    [layout.headerRow - 1, layout.selectionRow, layout.targetRow, layout.valuationRow].forEach(row => {
+        sheet.getRange(`A${row}`).format.font.bold = true;
+        sheet.getRange(`A${row}`).format.font.size = 14;
+    });
+    
+    // Column headers
+    sheet.getRange(`A${layout.headerRow}:H${layout.headerRow}`).format.font.bold = true;
+    sheet.getRange(`A${layout.headerRow}:H${layout.headerRow}`).format.borders.bottom.style = "Continuous";
+    sheet.getRange(`A${layout.valuationRow + 1}:F${layout.valuationRow + 1}`).format.font.bold = true;
+    sheet.getRange(`A${layout.valuationRow + 1}:F${layout.valuationRow + 1}`).format.borders.bottom.style = "Continuous";
+    sheet.getRange(`A${summaryRow}:C${summaryRow}`).format.font.bold = true;
+    
+    // Statistics block
+    sheet.getRange(`A${layout.statsRow}:H${layout.statsRow}`).format.borders.top.style = "Continuous";
+    sheet.getRange(`A${layout.statsRow}:A${layout.statsRow + STATISTICS.length - 1}`).format.font.italic = true;
+    
+    // Highlight the implied valuation range
+    sheet.getRange(`A${summaryRow + 1}:C${summaryRow + 1}`).format.font.bold = true;
+    sheet.getRange(`A${summaryRow + 4}:C${summaryRow + 4}`).format.font.bold = true;
+    sheet.getRange(`B${summaryRow + 1}:C${summaryRow + 4}`).format.fill.color = "#E6F0FF";
+}
+
+/**
+ * Works out the row layout from the number of deals
+ * @param {object} params - Model parameters
+ * @returns {object} - Header, deal, statistics, selection, target and valuation rows
+ */
+function getLayout(params) {
+    const headerRow = 4;
+    const firstDealRow = headerRow + 1;
+    const lastDealRow = firstDealRow + params.transactions.length - 1;
+    const statsRow = lastDealRow + 2;
+    const selectionRow = statsRow + STATISTICS.length + 1;
+    const targetRow = selectionRow + 4;
+    
+    return {
+        headerRow,
+        firstDealRow,
+        lastDealRow,
+        statsRow,
+        selectionRow,
+        targetRow,
+        valuationRow: targetRow + 6
+    };
+}
+
+/**
+ * Checks the deals, target metrics and selected range; deals are sorted newest first
+ * @param {object} params - Model parameters merged with the defaults
+ * @returns {object} - Resolved model parameters
+ */
+function resolveParams(params) {
+    const modelParams = { ...params, target: { ...DEFAULTS.target, ...params.target } };
+    
+    if (!Array.isArray(modelParams.transactions) || modelParams.transactions.length === 0) {
+        throw new ValidationError('transactions must contain at least one deal');
+    }
+    
+    modelParams.transactions = modelParams.transactions.map((deal, i) => {
+        if (typeof deal.enterpriseValue !== 'number') {
+            throw new ValidationError(`transactions[${i}] must have a numeric enterpriseValue`);
+        }
+        if (deal.date && !/^\d{4}-\d{2}-\d{2}$/.test(deal.date)) {
+            throw new ValidationError(`transactions[${i}].date must be in YYYY-MM-DD format`);
+        }
+        
+        return {
+            date: deal.date || null,
+            acquirer: deal.acquirer || "",
+            target: deal.target || `Transaction ${i + 1}`,
+            enterpriseValue: deal.enterpriseValue,
+            revenueLTM: typeof deal.revenueLTM === 'number' ? deal.revenueLTM : null,
+            ebitdaLTM: typeof deal.ebitdaLTM === 'number' ? deal.ebitdaLTM : null
+        };
+    }).sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+    
+    const selectedRange = { ...DEFAULTS.selectedRange, ...params.selectedRange };
+    ['low', 'high'].forEach(end => {
+        if (!STATISTICS.some(statistic => statistic.key === selectedRange[end])) {
+            throw new ValidationError(`selectedRange.${end} must be one of ${STATISTICS.map(statistic => statistic.key).join(', ')}`);
+        }
+    });
+    modelParams.selectedRange = selectedRange;
+    
+    return modelParams;
+}
+
+/**
+ * Calculates the precedent transactions analysis without Excel, mirroring the formulas written by
+ * createPrecedentTransactionsModel
+ * @param {object} params - Deals, target metrics and the selected range (see DEFAULTS)
+ * @returns {object} - Deal multiples, summary statistics and the implied valuation range
+ */
+function calculatePrecedentTransactions(params = {}) {
+    const modelParams = resolveParams({ ...DEFAULTS, ...params });
+    const { target, selectedRange } = modelParams;
+    const multiple = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+    
+    const transactions = modelParams.transactions.map(deal => ({
+        ...deal,
+        evRevenue: multiple(deal.enterpriseValue, deal.revenueLTM),
+        evEbitda: multiple(deal.enterpriseValue, deal.ebitdaLTM)
+    }));
+    
+    const statistics = {};
+    MULTIPLES.forEach(({ key }) => {
+        const values = transactions.map(deal => deal[key]).filter(value => value !== null);
+        statistics[key] = values.length === 0 ? null : {
+            max: Math.max(...values),
+            q3: quartile(values, 3),
+            mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+            median: quartile(values, 2),
+            q1: quartile(values, 1),
+            min: Math.min(...values)
+        };
+    });
+    
+    const impliedValuation = MULTIPLES.map(({ key, label, metric }) => {
+        const low = statistics[key] ? statistics[key][selectedRange.low] : null;
+        const high = statistics[key] ? statistics[key][selectedRange.high] : null;
+        const implied = value => value !== null && target[metric] > 0 ? target[metric] * value : null;
+        
+        return {
+            multiple: label,
+            metric: target[metric],
+            lowMultiple: low,
+            highMultiple: high,
+            enterpriseValue: { low: implied(low), high: implied(high) }
+        };
+    });
+    
+    const lows = impliedValuation.map(row => row.enterpriseValue.low).filter(value => value !== null);
+    const highs = impliedValuation.map(row => row.enterpriseValue.high).filter(value => value !== null);
+    const enterpriseValue = {
+        low: lows.length === 0 ? null : Math.min(...lows),
+        high: highs.length === 0 ? null : Math.max(...highs)
+    };
+    const equityValue = {
+        low: enterpriseValue.low === null ? null : enterpriseValue.low - target.netDebt,
+        high: enterpriseValue.high === null ? null : enterpriseValue.high - target.netDebt
+    };
+    
+    return {
+        modelType: "Precedent Transactions",
+        parameters: modelParams,
+        transactions,
+        statistics,
+        impliedValuation,
+        summary: {
+            enterpriseValue,
+            equityValue,
+            sharePrice: {
+                low: equityValue.low === null ? null : equityValue.low / target.sharesOutstanding,
+                high: equityValue.high === null ? null : equityValue.high / target.sharesOutstanding
+            }
+        }
+    };
+}
+
+/**
+ * Quartile of an array of numbers with linear interpolation (matches Excel's QUARTILE)
+ * @param {Array<number>} values - Numbers
+ * @param {number} quart - Quartile (1, 2 or 3)
+ * @returns {number} - Quartile value
+ */
+function quartile(values, quart) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * quart / 4;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
+
+/**
+ * Converts rows imported from a CSV or XLSX upload into deals for the `transactions` parameter
+ * The first row holds column headers, matched by name; rows without a target or a numeric
+ * enterprise value are skipped.
+ * @param {Array<Array>} rows - Sheet rows, header first
+ * @returns {object} - Parsed deals and the 1-based numbers of skipped rows
+ */
+function transactionsFromRows(rows) {
+    const [header = [], ...dataRows] = rows;
+    const patterns = {
+        ebitdaLTM: /ebitda/i,
+        revenueLTM: /revenue|sales/i,
+        enterpriseValue: /enterprise value|\bev\b|transaction value|deal value/i,
+        date: /date|announced|closed/i,
+        acquirer: /acquirer|buyer/i,
+        target: /target|company/i
+    };
+    
+    // Multiple columns (e.g. "EV / EBITDA") are recalculated, so they never stand in for a metric
+    const metrics = ['ebitdaLTM', 'revenueLTM', 'enterpriseValue'];
+    const isMultiple = text => /\/|multiple/i.test(text);
+    
+    const columns = {};
+    header.forEach((cell, index) => {
+        const text = String(cell).trim();
+        const key = Object.keys(patterns).find(name => patterns[name].test(text) && columns[name] === undefined &&
+            !(metrics.includes(name) && isMultiple(text)));
+        if (key) {
+            columns[key] = index;
+        }
+    });
+    
+    const missing = ['target', 'enterpriseValue'].filter(key => columns[key] === undefined);
+    if (missing.length > 0) {
+        throw new ValidationError(`Missing required column(s): ${missing.join(', ')}`);
+    }
+    
+    const cell = (row, key) => columns[key] === undefined ? null : row[columns[key]];
+    const transactions = [];
+    const skippedRows = [];
+    
+    dataRows.forEach((row, i) => {
+        if (!row || row.every(value => value === null || value === undefined || String(value).trim() === '')) {
+            return;
+        }
+        
+        const deal = {
+            date: parseDate(cell(row, 'date')),
+            acquirer: String(cell(row, 'acquirer') || '').trim(),
+            target: String(cell(row, 'target') || '').trim(),
+            enterpriseValue: parseAmount(cell(row, 'enterpriseValue')),
+            revenueLTM: parseAmount(cell(row, 'revenueLTM')),
+            ebitdaLTM: parseAmount(cell(row, 'ebitdaLTM'))
+        };
+        
+        if (!deal.target || deal.enterpriseValue === null) {
+            skippedRows.push(i + 2);
+        } else {
+            transactions.push(deal);
+        }
+    });
+    
+    return { transactions, skippedRows };
+}
+
+/**
+ * Parses an imported amount, allowing currency symbols, thousands separators and (negatives)
+ * Unit suffixes (k, m / mm / mn, b / bn) are scaled to millions, the unit used for deal values;
+ * plain numbers are taken as millions already.
+ * @param {*} value - Cell value
+ * @returns {number|null} - Amount, or null when blank or not a number
+ */
+function parseAmount(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    
+    const text = String(value).replace(/[$€£¥,\s]/g, '');
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const match = text.replace(/^\(|\)$|^-/g, '')
+        .match(/^(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)(k|m|mm|mn|b|bn)?$/i);
+    if (!match) {
+        return null;
+    }
+    
+    const scale = { k: 0.001, m: 1, mm: 1, mn: 1, b: 1000, bn: 1000 };
+    const amount = parseFloat(match[1]) * (match[2] ? scale[match[2].toLowerCase()] : 1);
+    return negative ? -amount : amount;
+}
+
+/**
+ * Parses an imported date into YYYY-MM-DD
+ * Accepts Date objects, Excel serial numbers and date strings.
+ * @param {*} value - Cell value
+ * @returns {string|null} - ISO date, or null when blank or not a date
+ */
+function parseDate(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    
+    let date;
+    if (value instanceof Date) {
+        date = new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+    } else if (typeof value === 'number') {
+        date = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000); // Excel serial date
+    } else if (/^\d{4}-\d{2}-\d{2}/.test(String(value).trim())) {
+        date = new Date(`${String(value).trim().slice(0, 10)}T00:00:00Z`);
+    } else {
+        const parsed = new Date(String(value).trim());
+        date = isNaN(parsed) ? null : new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+    }
+    
+    return date && !isNaN(date) ? date.toISOString().slice(0, 10) : null;
+}
+
+module.exports = {
+    createPrecedentTransactionsModel,
+    calculatePrecedentTransactions,
+    transactionsFromRows
+};
\ No newline at end of file
@@ -0,0 +1,768 @@
+// three-statement.js - Integrated Three-Statement Model Template
+
+const { ValidationError } = require('./errors');
+
+// Default model parameters
+const DEFAULTS = {
+    companyName: "Sample Company",
+    baseYear: null, // last actual fiscal year; defaults to the previous calendar year
+    projectionYears: 5,
+    revenue: 1000, // base year revenue, in millions
+    revenueGrowthRate: 0.05, // scalar or one value per projection year
+    grossMargin: 0.40,
+    sgaPercentOfRevenue: 0.20,
+    capexPercentOfRevenue: 0.05,
+    depreciationRate: 0.10, // % of beginning net PP&E
+    taxRate: 0.25,
+    daysSalesOutstanding: 45, // receivables = revenue x DSO / 365
+    daysInventoryOutstanding: 60, // inventory = COGS x DIO / 365
+    daysPayableOutstanding: 40, // payables = COGS x DPO / 365
+    dividendPayoutRatio: 0, // % of positive net income
+    openingCash: 50, // in millions
+    openingPPE: 400, // net PP&E, in millions
+    openingTermDebt: 300, // in millions
+    openingRevolver: 0, // in millions
+    minimumCash: 25, // the revolver funds any shortfall below this balance
+    termDebtAmortization: 0.10, // mandatory repayment per year, % of the opening balance
+    termDebtRate: 0.06,
+    revolverRate: 0.07,
+    cashInterestRate: 0.02 // interest income on the beginning cash balance
+};
+
+// Assumption rows: base assumption in column B, projection years link to it unless a vector is given
+const ASSUMPTION_ROWS = [
+    { row: 4, key: 'revenueGrowthRate', label: "Revenue Growth Rate", format: "0.0%" },
+    { row: 5, key: 'grossMargin', label: "Gross Margin", format: "0.0%" },
+    { row: 6, key: 'sgaPercentOfRevenue', label: "SG&A (% of Revenue)", format: "0.0%" },
+    { row: 7, key: 'capexPercentOfRevenue', label: "Capex (% of Revenue)", format: "0.0%" },
+    { row: 8, key: 'depreciationRate', label: "Depreciation (% of Beginning PP&E)", format: "0.0%" },
+    { row: 9, key: 'taxRate', label: "Tax Rate", format: "0.0%" },
+    { row: 10, key: 'daysSalesOutstanding', label: "Days Sales Outstanding (DSO)", format: "0.0" },
+    { row: 11, key: 'daysInventoryOutstanding', label: "Days Inventory Outstanding (DIO)", format: "0.0" },
+    { row: 12, key: 'daysPayableOutstanding', label: "Days Payable Outstanding (DPO)", format: "0.0" },
+    { row: 13, key: 'dividendPayoutRatio', label: "Dividend Payout Ratio", format: "0.0%" }
+];
+
+/**
+ * Creates an integrated three-statement model in Excel
+ * The balance sheet balances by construction: cash comes from the cash flow statement, which is
+ * built from balance sheet changes, and the revolver funds any shortfall below the minimum cash
+ * balance. Interest is charged on beginning balances so the model has no circular references.
+ * @param {object} context - The Excel context
+ * @param {object} params - Parameters for the three-statement model (see DEFAULTS)
+ * @returns {Promise<object>} - Information about the created model
+ */
+async function createThreeStatementModel(context, params = {}) {
+    // Merge defaults with provided parameters
+    const modelParams = resolveParams({ ...DEFAULTS, ...params });
+    
+    // Create a new worksheet for the model if it doesn't exist
+    let sheet;
+    try {
+        sheet = context.workbook.worksheets.getItem("Three-Statement Model");
+    } catch (error) {
+        sheet = context.workbook.worksheets.add("Three-Statement Model");
+    }
+    
+    // Activate the worksheet
+    sheet.activate();
+    
+    // Setup the model structure
+    await setupModelStructure(sheet, modelParams);
+    
+    // Create assumptions section
+    await createAssumptionsSection(sheet, modelParams);
+    
+    // Create income statement
+    await createIncomeStatement(sheet, modelParams);
+    
+    // Create balance sheet
+    await createBalanceSheet(sheet, modelParams);
+    
+    // Create cash flow statement
+    await createCashFlowStatement(sheet, modelParams);
+    
+    // Create supporting schedules
+    await createWorkingCapitalSchedule(sheet, modelParams);
+    await createPPESchedule(sheet, modelParams);
+    await createDebtSchedule(sheet, modelParams);
+    
+    // Format the worksheet
+    await formatWorksheet(sheet, modelParams);
+    
+    return {
+        sheetName: sheet.name,
+        modelType: "Three-Statement",
+        parameters: modelParams
+    };
+}
+
+/**
+ * Sets up the basic structure of the three-statement model
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function setupModelStructure(sheet, params) {
+    // Clear the sheet
+    sheet.getRange().clear();
+    
+    // Set column widths
+    sheet.getRange("A:A").columnWidth = 250; // Labels
+    sheet.getRange(`B:${getColumnLetter(2 + params.projectionYears)}`).columnWidth = 100; // Year columns
+    
+    // Set title
+    sheet.getRange("A1:E1").values = [[`${params.companyName} - Three-Statement Model`, "", "", "", ""]];
+    sheet.getRange("A1:E1").format.font.bold = true;
+    sheet.getRange("A1:E1").format.font.size = 16;
+    sheet.getRange("A1:E1").merge();
+}
+
+/**
+ * Creates the assumptions section with the operating and working capital drivers
+ * Column B holds the base year assumption; projection years link to it unless a per-year vector is supplied.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createAssumptionsSection(sheet, params) {
+    const years = params.projectionYears;
+    
+    sheet.getRange("A3").values = [["Assumptions"]];
+    
+    ASSUMPTION_ROWS.forEach(({ row, key, label, format }) => {
+        const value = params[key];
+        const range = sheet.getRange(row, 3, 1, years);
+        
+        sheet.getRange(`A${row}`).values = [[label]];
+        sheet.getRange(`B${row}`).values = [[Array.isArray(value) ? value[0] : value]];
+        sheet.getRange(`B${row}`).format.font.color = "#0000FF"; // Blue for hard inputs
+        
+        if (Array.isArray(value)) {
+            range.values = [getAssumptionVector(value, years)];
+            range.format.font.color = "#0000FF";
+        } else {
+            range.formulas = [new Array(years).fill(`=$B$${row}`)];
+        }
+        
+        sheet.getRange(row, 2, 1, years + 1).numberFormat = format;
+    });
+}
+
+/**
+ * Creates the income statement
+ * D&A comes from the PP&E roll-forward and interest from the debt schedule.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createIncomeStatement(sheet, params) {
+    const lastCol = getColumnLetter(2 + params.projectionYears);
+    
+    sheet.getRange("A15").values = [["Income Statement"]];
+    sheet.getRange("A16:A27").values = [
+        ["Revenue"],
+        ["Cost of Goods Sold"],
+        ["Gross Profit"],
+        ["SG&A"],
+        ["EBITDA"],
+        ["Depreciation & Amortization"],
+        ["EBIT"],
+        ["Interest Expense"],
+        ["Interest Income"],
+        ["Pre-Tax Income"],
+        ["Income Taxes"],
+        ["Net Income"]
+    ];
+    
+    // Base year through EBITDA; below-the-line items start with the first projection year
+    sheet.getRange("B16").values = [[params.revenue]];
+    sheet.getRange("B16").format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange("B17:B20").formulas = [
+        ["=B16*(1-B5)"],
+        ["=B16-B17"],
+        ["=B16*B6"],
+        ["=B18-B19"]
+    ];
+    
+    for (let year = 1; year <= params.projectionYears; year++) {
+        const col = getColumnLetter(2 + year);
+        const prevCol = getColumnLetter(1 + year);
+        
+        sheet.getRange(`${col}16:${col}27`).formulas = [
+            [`=${prevCol}16*(1+${col}4)`],
+            [`=${col}16*(1-${col}5)`],
+            [`=${col}16-${col}17`],
+            [`=${col}16*${col}6`],
+            [`=${col}18-${col}19`],
+            [`=${col}71`],
+            [`=${col}20-${col}21`],
+            [`=${col}84+${col}90`],
+            [`=${col}92`],
+            [`=${col}22-${col}23+${col}24`],
+            [`=MAX(0,${col}25*${col}9)`],
+            [`=${col}25-${col}26`]
+        ];
+    }
+    
+    sheet.getRange(`B16:${lastCol}27`).numberFormat = "#,##0.0";
+}
+
+/**
+ * Creates the balance sheet with a check row
+ * The base year column is the opening balance sheet, with equity as the balancing item.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createBalanceSheet(sheet, params) {
+    const lastCol = getColumnLetter(2 + params.projectionYears);
+    
+    sheet.getRange("A29").values = [["Balance Sheet"]];
+    sheet.getRange("A30:A42").values = [
+        ["Cash"],
+        ["Accounts Receivable"],
+        ["Inventory"],
+        ["Total Current Assets"],
+        ["Net PP&E"],
+        ["Total Assets"],
+        ["Accounts Payable"],
+        ["Revolver"],
+        ["Term Debt"],
+        ["Total Liabilities"],
+        ["Shareholders' Equity"],
+        ["Total Liabilities & Equity"],
+        ["Balance Check"]
+    ];
+    
+    // Opening balance sheet
+    sheet.getRange("B30").values = [[params.openingCash]];
+    sheet.getRange("B30").format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange("B31:B42").formulas = [
+        ["=B62"],
+        ["=B63"],
+        ["=SUM(B30:B32)"],
+        ["=B72"],
+        ["=B33+B34"],
+        ["=B64"],
+        ["=B89"],
+        ["=B83"],
+        ["=SUM(B36:B38)"],
+        ["=B35-B39"],
+        ["=B39+B40"],
+        ["=ROUND(B35-B41,6)"]
+    ];
+    
+    for (let year = 1; year <= params.projectionYears; year++) {
+        const col = getColumnLetter(2 + year);
+        const prevCol = getColumnLetter(1 + year);
+        
+        sheet.getRange(`${col}30:${col}42`).formulas = [
+            [`=${col}59`],
+            [`=${col}62`],
+            [`=${col}63`],
+            [`=SUM(${col}30:${col}32)`],
+            [`=${col}72`],
+            [`=${col}33+${col}34`],
+            [`=${col}64`],
+            [`=${col}89`],
+            [`=${col}83`],
+            [`=SUM(${col}36:${col}38)`],
+            [`=${prevCol}40+${col}27+${col}55`],
+            [`=${col}39+${col}40`],
+            [`=ROUND(${col}35-${col}41,6)`]
+        ];
+    }
+    
+    sheet.getRange(`B30:${lastCol}42`).numberFormat = "#,##0.0";
+}
+
+/**
+ * Creates the cash flow statement from balance sheet changes
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createCashFlowStatement(sheet, params) {
+    const lastCol = getColumnLetter(2 + params.projectionYears);
+    
+    sheet.getRange("A44").values = [["Cash Flow Statement"]];
+    sheet.getRange("A45:A59").values = [
+        ["Net Income"],
+        ["Depreciation & Amortization"],
+        ["(Increase) / Decrease in Accounts Receivable"],
+        ["(Increase) / Decrease in Inventory"],
+        ["Increase / (Decrease) in Accounts Payable"],
+        ["Cash Flow from Operating Activities"],
+        ["Capital Expenditures"],
+        ["Cash Flow from Investing Activities"],
+        ["Term Debt Repayment"],
+        ["Revolver Draw / (Repayment)"],
+        ["Dividends"],
+        ["Cash Flow from Financing Activities"],
+        ["Net Change in Cash"],
+        ["Beginning Cash"],
+        ["Ending Cash"]
+    ];
+    
+    for (let year = 1; year <= params.projectionYears; year++) {
+        const col = getColumnLetter(2 + year);
+        const prevCol = getColumnLetter(1 + year);
+        
+        sheet.getRange(`${col}45:${col}59`).formulas = [
+            [`=${col}27`],
+            [`=${col}21`],
+            [`=${prevCol}31-${col}31`],
+            [`=${prevCol}32-${col}32`],
+            [`=${col}36-${prevCol}36`],
+            [`=SUM(${col}45:${col}49)`],
+            [`=-${col}70`],
+            [`=${col}51`],
+            [`=-${col}82`],
+            [`=${col}88`],
+            [`=-MAX(0,${col}27*${col}13)`],
+            [`=SUM(${col}53:${col}55)`],
+            [`=${col}50+${col}52+${col}56`],
+            [`=${prevCol}30`],
+            [`=${col}58+${col}57`]
+        ];
+    }
+    
+    sheet.getRange(`C45:${lastCol}59`).numberFormat = "#,##0.0";
+}
+
+/**
+ * Creates the working capital schedule driven by DSO, DIO and DPO
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createWorkingCapitalSchedule(sheet, params) {
+    const lastCol = getColumnLetter(2 + params.projectionYears);
+    
+    sheet.getRange("A61").values = [["Working Capital Schedule"]];
+    sheet.getRange("A62:A66").values = [
+        ["Accounts Receivable"],
+        ["Inventory"],
+        ["Accounts Payable"],
+        ["Net Working Capital"],
+        ["(Increase) / Decrease in Net Working Capital"]
+    ];
+    
+    for (let year = 0; year <= params.projectionYears; year++) {
+        const col = getColumnLetter(2 + year);
+        
+        sheet.getRange(`${col}62:${col}65`).formulas = [
+            [`=${col}16*${col}10/365`],
+            [`=${col}17*${col}11/365`],
+            [`=${col}17*${col}12/365`],
+            [`=${col}62+${col}63-${col}64`]
+        ];
+        
+        if (year > 0) {
+            sheet.getRange(`${col}66`).formulas = [[`=${getColumnLetter(1 + year)}65-${col}65`]];
+        }
+    }
+    
+    sheet.getRange(`B62:${lastCol}66`).numberFormat = "#,##0.0";
+}
+
+/**
+ * Creates the PP&E roll-forward
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createPPESchedule(sheet, params) {
+    const lastCol = getColumnLetter(2 + params.projectionYears);
+    
+    sheet.getRange("A68").values = [["PP&E Roll-Forward"]];
+    sheet.getRange("A69:A72").values = [
+        ["Beginning Net PP&E"],
+        ["Plus: Capital Expenditures"],
+        ["Less: Depreciation"],
+        ["Ending Net PP&E"]
+    ];
+    
+    // Opening net PP&E
+    sheet.getRange("B72").values = [[params.openingPPE]];
+    sheet.getRange("B72").format.font.color = "#0000FF"; // Blue for hard inputs
+    
+    for (let year = 1; year <= params.projectionYears; year++) {
+        const col = getColumnLetter(2 + year);
+        const prevCol = getColumnLetter(1 + year);
+        
+        sheet.getRange(`${col}69:${col}72`).formulas = [
+            [`=${prevCol}72`],
+            [`=${col}16*${col}7`],
+            [`=${col}69*${col}8`],
+            [`=${col}69+${col}70-${col}71`]
+        ];
+    }
+    
+    sheet.getRange(`B69:${lastCol}72`).numberFormat = "#,##0.0";
+}
+
+/**
+ * Creates the debt and interest schedule
+ * The term debt amortizes on a fixed schedule and the revolver draws to keep cash at the minimum
+ * balance, repaying from any surplus. Interest is charged on beginning balances.
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function createDebtSchedule(sheet, params) {
+    const lastCol = getColumnLetter(2 + params.projectionYears);
+    
+    sheet.getRange("A74").values = [["Debt Schedule"]];
+    sheet.getRange("A75:A79").values = [
+        ["Minimum Cash Balance"],
+        ["Term Debt Amortization (% of Opening)"],
+        ["Term Debt Interest Rate"],
+        ["Revolver Interest Rate"],
+        ["Interest Income Rate on Cash"]
+    ];
+    sheet.getRange("B75:B79").values = [
+        [params.minimumCash],
+        [params.termDebtAmortization],
+        [params.termDebtRate],
+        [params.revolverRate],
+        [params.cashInterestRate]
+    ];
+    sheet.getRange("B75:B79").format.font.color = "#0000FF"; // Blue for hard inputs
+    
+    sheet.getRange("A81:A92").values = [
+        ["Term Debt - Beginning Balance"],
+        ["Term Debt - Mandatory Repayment"],
+        ["Term Debt - Ending Balance"],
+        ["Term Debt - Interest Expense"],
+        [""],
+        ["Cash Available Before Revolver"],
+        ["Revolver - Beginning Balance"],
+        ["Revolver - Draw / (Repayment)"],
+        ["Revolver - Ending Balance"],
+        ["Revolver - Interest Expense"],
+        [""],
+        ["Interest Income on Cash"]
+    ];
+    
+    // Opening debt balances
+    sheet.getRange("B83").values = [[params.openingTermDebt]];
+    sheet.getRange("B89").values = [[params.openingRevolver]];
+    sheet.getRange("B83").format.font.color = "#0000FF";
+    sheet.getRange("B89").format.font.color = "#0000FF";
+    
+    for (let year = 1; year <= params.projectionYears; year++) {
+        const col = getColumnLetter(2 + year);
+        const prevCol = getColumnLetter(1 + year);
+        
+        sheet.getRange(`${col}81:${col}84`).formulas = [
+            [`=${prevCol}83`],
+            [`=MIN(${col}81,$B$83*$B$76)`],
+            [`=${col}81-${col}82`],
+            [`=${col}81*$B$77`]
+        ];
+        
+        // Cash after operations, investing, scheduled repayments and dividends
+        sheet.getRange(`${col}86:${col}90`).formulas = [
+            [`=${col}58+${col}50+${col}52+${col}53+${col}55`],
+            [`=${prevCol}89`],
+            [`=MAX($B$75-${col}86,-${col}87)`],
+            [`=${col}87+${col}88`],
+            [`=${col}87*$B$78`]
+        ];
+        
+        sheet.getRange(`${col}92`).formulas = [[`=${prevCol}30*$B$79`]];
+    }
+    
+    sheet.getRange(`B81:${lastCol}92`).numberFormat = "#,##0.0";
+    sheet.getRange("B75").numberFormat = "#,##0.0";
+    sheet.getRange("B76:B79").numberFormat = "0.00%";
+}
+
+/**
+ * Applies formatting to the worksheet
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - Model parameters
+ */
+async function formatWorksheet(sheet, params) {
+    const lastCol = getColumnLetter(2 + params.projectionYears);
+    const yearHeaders = [`FY${params.baseYear}A`];
+    for (let year = 1; year <= params.projectionYears; year++) {
+        yearHeaders.push(`FY${params.baseYear + year}E`);
+    }
+    
+    // Section headers with year labels; the debt schedule's inputs fill column B of its header
+    // block, so its year labels go on row 80, above the balances
+    [3, 15, 29, 44, 61, 68, 74].forEach(row => {
+        sheet.getRange(`A${row}`).format.font.bold = true;
+        sheet.getRange(`A${row}`).format.font.size = 14;
+        sheet.getRange(`A${row}:${lastCol}${row}`).format.borders.bottom.style = "Continuous";
+    });
+    [3, 15, 29, 44, 61, 68, 80].forEach(row => {
+        sheet.getRange(`B${row}:${lastCol}${row}`).values = [yearHeaders];
+        sheet.getRange(`B${row}:${lastCol}${row}`).format.font.bold = true;
+    });
+    sheet.getRange(`B80:${lastCol}80`).format.borders.bottom.style = "Continuous";
+    
+    // Subtotals and totals
+    [18, 20, 22, 27, 33, 35, 39, 41, 50, 52, 56, 59, 65, 72, 83, 89].forEach(row => {
+        sheet.getRange(`A${row}:${lastCol}${row}`).format.font.bold = true;
+    });
+    [27, 59].forEach(row => {
+        sheet.getRange(`B${row}:${lastCol}${row}`).format.fill.color = "#E6F0FF";
+    });
+    
+    // Balance check is red whenever assets and liabilities plus equity differ
+    const checkRange = sheet.getRange(`B42:${lastCol}42`);
+    checkRange.format.font.italic = true;
+    const checkFormat = checkRange.conditionalFormats.add("CellValue");
+    checkFormat.cellValue.format.font.color = "#A4262C";
+    checkFormat.cellValue.format.fill.color = "#FDE7E9";
+    checkFormat.cellValue.rule = { formula1: "0", operator: "NotEqualTo" };
+}
+
+/**
+ * Calculates the three-statement model without Excel, mirroring the formulas written by
+ * createThreeStatementModel. Each line item is an array with the base year first; items the
+ * sheet leaves blank in the base year are null there.
+ * @param {object} params - Parameters for the three-statement model (see DEFAULTS)
+ * @returns {object} - Year labels, income statement, balance sheet, cash flow statement and schedules
+ */
+function calculateThreeStatement(params = {}) {
+    const modelParams = resolveParams({ ...DEFAULTS, ...params });
+    const years = modelParams.projectionYears;
+    const yearLabels = [`FY${modelParams.baseYear}A`];
+    for (let year = 1; year <= years; year++) {
+        yearLabels.push(`FY${modelParams.baseYear + year}E`);
+    }
+    
+    // Assumptions by column: base year value, then one value per projection year
+    const assumptions = {};
+    ASSUMPTION_ROWS.forEach(({ key }) => {
+        const value = modelParams[key];
+        assumptions[key] = [Array.isArray(value) ? value[0] : value, ...getAssumptionVector(value, years)];
+    });
+    
+    const series = () => new Array(years + 1).fill(null);
+    const incomeStatement = {
+        revenue: series(), cogs: series(), grossProfit: series(), sga: series(), ebitda: series(),
+        depreciation: series(), ebit: series(), interestExpense: series(), interestIncome: series(),
+        preTaxIncome: series(), taxes: series(), netIncome: series()
+    };
+    const balanceSheet = {
+        cash: series(), accountsReceivable: series(), inventory: series(), totalCurrentAssets: series(),
+        netPPE: series(), totalAssets: series(), accountsPayable: series(), revolver: series(),
+        termDebt: series(), totalLiabilities: series(), equity: series(), totalLiabilitiesAndEquity: series(),
+        balanceCheck: series()
+    };
+    const cashFlow = {
+        netIncome: series(), depreciation: series(), changeInReceivables: series(), changeInInventory: series(),
+        changeInPayables: series(), operatingCashFlow: series(), capex: series(), investingCashFlow: series(),
+        termDebtRepayment: series(), revolverDrawRepayment: series(), dividends: series(),
+        financingCashFlow: series(), netChangeInCash: series(), beginningCash: series(), endingCash: series()
+    };
+    const workingCapital = {
+        accountsReceivable: series(), inventory: series(), accountsPayable: series(),
+        netWorkingCapital: series(), changeInNetWorkingCapital: series()
+    };
+    const ppe = { beginning: series(), capex: series(), depreciation: series(), ending: series() };
+    const debt = {
+        termDebt: { beginning: series(), repayment: series(), ending: series(), interest: series() },
+        cashAvailableBeforeRevolver: series(),
+        revolver: { beginning: series(), drawRepayment: series(), ending: series(), interest: series() },
+        interestIncome: series()
+    };
+    
+    const is = incomeStatement;
+    const bs = balanceSheet;
+    const cf = cashFlow;
+    const wc = workingCapital;
+    const a = assumptions;
+    
+    // Base year operating lines and the opening balance sheet, with equity as the balancing item
+    is.revenue[0] = modelParams.revenue;
+    is.cogs[0] = is.revenue[0] * (1 - a.grossMargin[0]);
+    is.grossProfit[0] = is.revenue[0] - is.cogs[0];
+    is.sga[0] = is.revenue[0] * a.sgaPercentOfRevenue[0];
+    is.ebitda[0] = is.grossProfit[0] - is.sga[0];
+    
+    for (let year = 0; year <= years; year++) {
+        if (year > 0) {
+            is.revenue[year] = is.revenue[year - 1] * (1 + a.revenueGrowthRate[year]);
+            is.cogs[year] = is.revenue[year] * (1 - a.grossMargin[year]);
+        }
+        wc.accountsReceivable[year] = is.revenue[year] * a.daysSalesOutstanding[year] / 365;
+        wc.inventory[year] = is.cogs[year] * a.daysInventoryOutstanding[year] / 365;
+        wc.accountsPayable[year] = is.cogs[year] * a.daysPayableOutstanding[year] / 365;
+        wc.netWorkingCapital[year] = wc.accountsReceivable[year] + wc.inventory[year] - wc.accountsPayable[year];
+        if (year > 0) {
+            wc.changeInNetWorkingCapital[year] = wc.netWorkingCapital[year - 1] - wc.netWorkingCapital[year];
+        }
+    }
+    
+    ppe.ending[0] = modelParams.openingPPE;
+    debt.termDebt.ending[0] = modelParams.openingTermDebt;
+    debt.revolver.ending[0] = modelParams.openingRevolver;
+    setBalanceSheet(bs, 0, modelParams.openingCash, wc, ppe, debt, null);
+    
+    for (let year = 1; year <= years; year++) {
+        const prior = year - 1;
+        
+        // PP&E roll-forward
+        ppe.beginning[year] = ppe.ending[prior];
+        ppe.capex[year] = is.revenue[year] * a.capexPercentOfRevenue[year];
+        ppe.depreciation[year] = ppe.beginning[year] * a.depreciationRate[year];
+        ppe.ending[year] = ppe.beginning[year] + ppe.capex[year] - ppe.depreciation[year];
+        
+        // Term debt amortizes on a fixed schedule; interest on beginning balances
+        const term = debt.termDebt;
+        term.beginning[year] = term.ending[prior];
+        term.repayment[year] = Math.min(term.beginning[year], modelParams.openingTermDebt * modelParams.termDebtAmortization);
+        term.ending[year] = term.beginning[year] - term.repayment[year];
+        term.interest[year] = term.beginning[year] * modelParams.termDebtRate;
+        debt.revolver.beginning[year] = debt.revolver.ending[prior];
+        debt.revolver.interest[year] = debt.revolver.beginning[year] * modelParams.revolverRate;
+        debt.interestIncome[year] = bs.cash[prior] * modelParams.cashInterestRate;
+        
+        // Income statement
+        is.grossProfit[year] = is.revenue[year] - is.cogs[year];
+        is.sga[year] = is.revenue[year] * a.sgaPercentOfRevenue[year];
+        is.ebitda[year] = is.grossProfit[year] - is.sga[year];
+        is.depreciation[year] = ppe.depreciation[year];
+        is.ebit[year] = is.ebitda[year] - is.depreciation[year];
+        is.interestExpense[year] = term.interest[year] + debt.revolver.interest[year];
+        is.interestIncome[year] = debt.interestIncome[year];
+        is.preTaxIncome[year] = is.ebit[year] - is.interestExpense[year] + is.interestIncome[year];
+        is.taxes[year] = Math.max(0, is.preTaxIncome[year] * a.taxRate[year]);
+        is.netIncome[year] = is.preTaxIncome[year] - is.taxes[year];
+        
+        // Cash flow statement from balance sheet changes
+        cf.netIncome[year] = is.netIncome[year];
+        cf.depreciation[year] = is.depreciation[year];
+        cf.changeInReceivables[year] = wc.accountsReceivable[prior] - wc.accountsReceivable[year];
+        cf.changeInInventory[year] = wc.inventory[prior] - wc.inventory[year];
+        cf.changeInPayables[year] = wc.accountsPayable[year] - wc.accountsPayable[prior];
+        cf.operatingCashFlow[year] = cf.netIncome[year] + cf.depreciation[year] + cf.changeInReceivables[year] +
+            cf.changeInInventory[year] + cf.changeInPayables[year];
+        cf.capex[year] = -ppe.capex[year];
+        cf.investingCashFlow[year] = cf.capex[year];
+        cf.termDebtRepayment[year] = -term.repayment[year];
+        cf.dividends[year] = -Math.max(0, is.netIncome[year] * a.dividendPayoutRatio[year]);
+        cf.beginningCash[year] = bs.cash[prior];
+        
+        // The revolver draws to keep cash at the minimum balance and repays from any surplus
+        debt.cashAvailableBeforeRevolver[year] = cf.beginningCash[year] + cf.operatingCashFlow[year] +
+            cf.investingCashFlow[year] + cf.termDebtRepayment[year] + cf.dividends[year];
+        debt.revolver.drawRepayment[year] = Math.max(modelParams.minimumCash - debt.cashAvailableBeforeRevolver[year],
+            -debt.revolver.beginning[year]);
+        debt.revolver.ending[year] = debt.revolver.beginning[year] + debt.revolver.drawRepayment[year];
+        
+        cf.revolverDrawRepayment[year] = debt.revolver.drawRepayment[year];
+        cf.financingCashFlow[year] = cf.termDebtRepayment[year] + cf.revolverDrawRepayment[year] + cf.dividends[year];
+        cf.netChangeInCash[year] = cf.operatingCashFlow[year] + cf.investingCashFlow[year] + cf.financingCashFlow[year];
+        cf.endingCash[year] = cf.beginningCash[year] + cf.netChangeInCash[year];
+        
+        setBalanceSheet(bs, year, cf.endingCash[year], wc, ppe, debt,
+            bs.equity[prior] + is.netIncome[year] + cf.dividends[year]);
+    }
+    
+    return {
+        modelType: "Three-Statement",
+        parameters: modelParams,
+        years: yearLabels,
+        assumptions,
+        incomeStatement,
+        balanceSheet,
+        cashFlow,
+        workingCapital,
+        ppe,
+        debt
+    };
+}
+
+/**
+ * Fills one balance sheet column from the cash balance and the schedules
+ * @param {object} bs - Balance sheet line items
+ * @param {number} year - Column index (0 for the base year)
+ * @param {number} cash - Ending cash
+ * @param {object} wc - Working capital schedule
+ * @param {object} ppe - PP&E roll-forward
+ * @param {object} debt - Debt schedule
+ * @param {number|null} equity - Shareholders' equity, or null to make equity the balancing item
+ */
+function setBalanceSheet(bs, year, cash, wc, ppe, debt, equity) {
+    bs.cash[year] = cash;
+    bs.accountsReceivable[year] = wc.accountsReceivable[year];
+    bs.inventory[year] = wc.inventory[year];
+    bs.totalCurrentAssets[year] = cash + wc.accountsReceivable[year] + wc.inventory[year];
+    bs.netPPE[year] = ppe.ending[year];
+    bs.totalAssets[year] = bs.totalCurrentAssets[year] + bs.netPPE[year];
+    bs.accountsPayable[year] = wc.accountsPayable[year];
+    bs.revolver[year] = debt.revolver.ending[year];
+    bs.termDebt[year] = debt.termDebt.ending[year];
+    bs.totalLiabilities[year] = bs.accountsPayable[year] + bs.revolver[year] + bs.termDebt[year];
+    bs.equity[year] = equity === null ? bs.totalAssets[year] - bs.totalLiabilities[year] : equity;
+    bs.totalLiabilitiesAndEquity[year] = bs.totalLiabilities[year] + bs.equity[year];
+    // Rounded like ROUND(..., 6) in the sheet, so floating-point noise reads as zero
+    bs.balanceCheck[year] = Math.round((bs.totalAssets[year] - bs.totalLiabilitiesAndEquity[year]) * 1e6) / 1e6 || 0;
+}
+
+/**
+ * Checks the projection period and resolves the base year
+ * @param {object} params - Model parameters merged with the defaults
+ * @returns {object} - Resolved model parameters
+ */
+function resolveParams(params) {
+    const modelParams = { ...params };
+    
+    if (!Number.isInteger(modelParams.projectionYears) || modelParams.projectionYears < 1) {
+        throw new ValidationError('projectionYears must be a positive integer');
+    }
+    
+    if (modelParams.baseYear === null || modelParams.baseYear === undefined) {
+        modelParams.baseYear = new Date().getFullYear() - 1;
+    }
+    if (!Number.isInteger(modelParams.baseYear)) {
+        throw new ValidationError('baseYear must be a whole year');
+    }
+    
+    ASSUMPTION_ROWS.forEach(({ key }) => {
+        if (Array.isArray(modelParams[key]) && modelParams[key].length === 0) {
+            throw new ValidationError(`${key} must contain at least one value`);
+        }
+    });
+    
+    return modelParams;
+}
+
+/**
+ * Expands a scalar or per-year assumption into one value per projection year
+ * Short vectors hold their last value for the remaining years.
+ * @param {number|Array<number>} value - Scalar assumption or per-year values
+ * @param {number} years - Number of projection years
+ * @returns {Array<number>} - One value per projection year
+ */
+function getAssumptionVector(value, years) {
+    if (!Array.isArray(value)) {
+        return new Array(years).fill(value);
+    }
+    
+    return Array.from({ length: years }, (_, i) => value[Math.min(i, value.length - 1)]);
+}
+
+/**
+ * Utility function to convert column index to Excel column letter
+ * @param {number} column - 1-based column index
+ * @returns {string} - Excel column letter (A, B, C, ...)
+ */
+function getColumnLetter(column) {
+    let dividend = column;
+    let columnName = '';
+    let modulo;
+    
+    while (dividend > 0) {
+        modulo = (dividend - 1) % 26;
+        columnName = String.fromCharCode(65 + modulo) + columnName;
+        dividend = Math.floor((dividend - modulo) / 26);
+    }
+    
+    return columnName;
+}
+
+module.exports = {
+    createThreeStatementModel,
+    calculateThreeStatement
+};
\ No newline at end of file
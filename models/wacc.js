@@ -0,0 +1,257 @@
+// wacc.js - Weighted Average Cost of Capital (WACC) Build-Up Schedule
+
+const { ValidationError } = require('./errors');
+
+// Default WACC inputs
+const WACC_DEFAULTS = {
+    riskFreeRate: 0.04,
+    beta: 1.0,
+    equityRiskPremium: 0.055,
+    sizePremium: 0,
+    preTaxCostOfDebt: 0.06,
+    debtToCapital: 0.30, // Target debt / (debt + equity)
+    betaStatistic: 'median', // median or mean of comparable unlevered betas
+    comparables: [] // [{ name, beta, debtToEquity, taxRate }]; the DCF fills these from comparableSymbols
+};
+
+/**
+ * Creates the WACC build-up schedule in Excel
+ * @param {object} context - The Excel context
+ * @param {object} params - WACC inputs (see WACC_DEFAULTS)
+ * @param {object} options - Company name and the tax rate cell to link to
+ * @returns {Promise<object>} - Sheet name and the address of the WACC result
+ */
+async function createWACCSchedule(context, params = {}, options = {}) {
+    const waccParams = resolveWACCParams(params);
+    const sheetName = options.sheetName || "WACC";
+    
+    // Create a new worksheet for the schedule if it doesn't exist
+    let sheet;
+    try {
+        sheet = context.workbook.worksheets.getItem(sheetName);
+    } catch (error) {
+        sheet = context.workbook.worksheets.add(sheetName);
+    }
+    
+    // Clear the sheet
+    sheet.getRange().clear();
+    
+    // Set column widths
+    sheet.getRange("A:A").columnWidth = 250; // Labels
+    sheet.getRange("B:F").columnWidth = 120; // Data columns
+    
+    // Set title
+    sheet.getRange("A1:F1").values = [[`${options.companyName || "Company"} - WACC Build-Up`, "", "", "", "", ""]];
+    sheet.getRange("A1:F1").format.font.bold = true;
+    sheet.getRange("A1:F1").format.font.size = 16;
+    sheet.getRange("A1:F1").merge();
+    
+    // Cost of equity (CAPM)
+    sheet.getRange("A3").values = [["Cost of Equity (CAPM)"]];
+    sheet.getRange("A4:A8").values = [
+        ["Risk-Free Rate"],
+        ["Levered Beta"],
+        ["Equity Risk Premium"],
+        ["Size Premium"],
+        ["Cost of Equity"]
+    ];
+    sheet.getRange("B4").values = [[waccParams.riskFreeRate]];
+    sheet.getRange("B5").values = [[waccParams.beta]];
+    sheet.getRange("B6").values = [[waccParams.equityRiskPremium]];
+    sheet.getRange("B7").values = [[waccParams.sizePremium]];
+    sheet.getRange("B8").formulas = [["=B4+B5*B6+B7"]];
+    
+    // Cost of debt
+    sheet.getRange("A10").values = [["Cost of Debt"]];
+    sheet.getRange("A11:A13").values = [
+        ["Pre-Tax Cost of Debt"],
+        ["Tax Rate"],
+        ["After-Tax Cost of Debt"]
+    ];
+    sheet.getRange("B11").values = [[waccParams.preTaxCostOfDebt]];
+    if (options.taxRateCell) {
+        sheet.getRange("B12").formulas = [[`=${options.taxRateCell}`]];
+    } else {
+        sheet.getRange("B12").values = [[options.taxRate]];
+    }
+    sheet.getRange("B13").formulas = [["=B11*(1-B12)"]];
+    
+    // Target capital structure
+    sheet.getRange("A15").values = [["Target Capital Structure"]];
+    sheet.getRange("A16:A18").values = [
+        ["Debt / Total Capitalization"],
+        ["Equity / Total Capitalization"],
+        ["Debt / Equity"]
+    ];
+    sheet.getRange("B16").values = [[waccParams.debtToCapital]];
+    sheet.getRange("B17").formulas = [["=1-B16"]];
+    sheet.getRange("B18").formulas = [["=B16/B17"]];
+    
+    // WACC
+    sheet.getRange("A20").values = [["Weighted Average Cost of Capital (WACC)"]];
+    sheet.getRange("B20").formulas = [["=B17*B8+B16*B13"]];
+    
+    // Beta relevering from comparable companies
+    if (waccParams.comparables.length > 0) {
+        await createBetaRelevering(sheet, waccParams);
+    }
+    
+    // Format the schedule
+    ["A3", "A10", "A15"].forEach(address => {
+        sheet.getRange(address).format.font.bold = true;
+        sheet.getRange(address).format.font.size = 14;
+    });
+    sheet.getRange("B4:B20").numberFormat = "0.00%";
+    sheet.getRange("B5").numberFormat = "0.00";
+    sheet.getRange("B18").numberFormat = "0.00x";
+    sheet.getRange("B4:B7").format.font.color = "#0000FF"; // Blue for hard inputs
+    sheet.getRange("B11").format.font.color = "#0000FF";
+    sheet.getRange("B16").format.font.color = "#0000FF";
+    sheet.getRange("A20:B20").format.font.bold = true;
+    sheet.getRange("B20").format.fill.color = "#E6F0FF";
+    
+    return {
+        sheetName: sheet.name,
+        resultCell: `'${sheet.name}'!$B$20`,
+        wacc: calculateWACC(waccParams, options.taxRate)
+    };
+}
+
+/**
+ * Creates the comparable company beta relevering table and links the levered beta to it
+ * @param {object} sheet - The Excel worksheet
+ * @param {object} params - WACC inputs
+ */
+async function createBetaRelevering(sheet, params) {
+    const comps = params.comparables;
+    const firstRow = 24;
+    const lastRow = firstRow + comps.length - 1;
+    
+    sheet.getRange("A22").values = [["Beta Relevering (Comparable Companies)"]];
+    sheet.getRange("A22").format.font.bold = true;
+    sheet.getRange("A22").format.font.size = 14;
+    
+    sheet.getRange("A23:E23").values = [["Company", "Levered Beta", "Debt / Equity", "Tax Rate", "Unlevered Beta"]];
+    sheet.getRange("A23:E23").format.font.bold = true;
+    
+    comps.forEach((comp, i) => {
+        const row = firstRow + i;
+        sheet.getRange(`A${row}:D${row}`).values = [[comp.name || comp.symbol || `Comparable ${i + 1}`, comp.beta, comp.debtToEquity, ""]];
+        
+        // Comparables without their own tax rate use the model tax rate
+        if (typeof comp.taxRate === 'number') {
+            sheet.getRange(`D${row}`).values = [[comp.taxRate]];
+        } else {
+            sheet.getRange(`D${row}`).formulas = [["=$B$12"]];
+        }
+        
+        // Hamada unlevering: Bu = Bl / (1 + (1 - t) * D/E)
+        sheet.getRange(`E${row}`).formulas = [[`=B${row}/(1+(1-D${row})*C${row})`]];
+    });
+    
+    const statisticRow = lastRow + 2;
+    const releveredRow = lastRow + 3;
+    const statistic = params.betaStatistic === 'mean' ? 'AVERAGE' : 'MEDIAN';
+    
+    sheet.getRange(`A${statisticRow}:A${releveredRow}`).values = [
+        [`${statistic === 'AVERAGE' ? 'Mean' : 'Median'} Unlevered Beta`],
+        ["Relevered Beta at Target D/E"]
+    ];
+    sheet.getRange(`E${statisticRow}`).formulas = [[`=${statistic}(E${firstRow}:E${lastRow})`]];
+    sheet.getRange(`E${releveredRow}`).formulas = [[`=E${statisticRow}*(1+(1-$B$12)*$B$18)`]];
+    
+    // Levered beta in the CAPM build-up links to the relevered comparable beta
+    sheet.getRange("B5").formulas = [[`=E${releveredRow}`]];
+    
+    sheet.getRange(`B${firstRow}:B${lastRow}`).numberFormat = "0.00";
+    sheet.getRange(`C${firstRow}:C${lastRow}`).numberFormat = "0.00x";
+    sheet.getRange(`D${firstRow}:D${lastRow}`).numberFormat = "0.0%";
+    sheet.getRange(`E${firstRow}:E${releveredRow}`).numberFormat = "0.00";
+    sheet.getRange(`A${releveredRow}:E${releveredRow}`).format.font.bold = true;
+}
+
+/**
+ * Calculates the WACC without Excel, mirroring the formulas written by createWACCSchedule
+ * @param {object} params - WACC inputs (see WACC_DEFAULTS)
+ * @param {number} taxRate - Marginal tax rate
+ * @returns {object} - Cost of equity, cost of debt, capital structure and WACC
+ */
+function calculateWACC(params = {}, taxRate = 0.25) {
+    const waccParams = resolveWACCParams(params);
+    
+    const equityToCapital = 1 - waccParams.debtToCapital;
+    const debtToEquity = waccParams.debtToCapital / equityToCapital;
+    
+    // Relever the comparable median (or mean) unlevered beta at the target structure
+    let beta = waccParams.beta;
+    let relevering = null;
+    if (waccParams.comparables.length > 0) {
+        const unleveredBetas = waccParams.comparables.map(comp => {
+            const compTaxRate = typeof comp.taxRate === 'number' ? comp.taxRate : taxRate;
+            return comp.beta / (1 + (1 - compTaxRate) * comp.debtToEquity);
+        });
+        const unleveredBeta = waccParams.betaStatistic === 'mean' ?
+            unleveredBetas.reduce((sum, value) => sum + value, 0) / unleveredBetas.length :
+            median(unleveredBetas);
+        
+        beta = unleveredBeta * (1 + (1 - taxRate) * debtToEquity);
+        relevering = { unleveredBetas, unleveredBeta, releveredBeta: beta };
+    }
+    
+    const costOfEquity = waccParams.riskFreeRate + beta * waccParams.equityRiskPremium + waccParams.sizePremium;
+    const afterTaxCostOfDebt = waccParams.preTaxCostOfDebt * (1 - taxRate);
+    
+    return {
+        costOfEquity,
+        beta,
+        preTaxCostOfDebt: waccParams.preTaxCostOfDebt,
+        afterTaxCostOfDebt,
+        debtToCapital: waccParams.debtToCapital,
+        equityToCapital,
+        debtToEquity,
+        relevering,
+        wacc: equityToCapital * costOfEquity + waccParams.debtToCapital * afterTaxCostOfDebt
+    };
+}
+
+/**
+ * Merges the WACC defaults and checks the capital structure and comparable company inputs
+ * @param {object} params - WACC inputs (see WACC_DEFAULTS)
+ * @returns {object} - Resolved WACC inputs
+ */
+function resolveWACCParams(params) {
+    const waccParams = { ...WACC_DEFAULTS, ...params };
+    
+    if (!(waccParams.debtToCapital >= 0 && waccParams.debtToCapital < 1)) {
+        throw new ValidationError('debtToCapital must be at least 0 and less than 1');
+    }
+    
+    // Market data can omit a beta or leverage figure; relevering on it would turn the WACC into NaN
+    waccParams.comparables.forEach((comp, i) => {
+        const name = comp.name || comp.symbol || `comparables[${i}]`;
+        if (!Number.isFinite(comp.beta) || !Number.isFinite(comp.debtToEquity)) {
+            throw new ValidationError(`Comparable ${name} must have a numeric beta and debtToEquity`);
+        }
+        if (comp.taxRate !== undefined && comp.taxRate !== null && !Number.isFinite(comp.taxRate)) {
+            throw new ValidationError(`Comparable ${name} tax rate must be a number`);
+        }
+    });
+    
+    return waccParams;
+}
+
+/**
+ * Median of an array of numbers (matches Excel's MEDIAN)
+ * @param {Array<number>} values - Numbers
+ * @returns {number} - Median value
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+module.exports = {
+    createWACCSchedule,
+    calculateWACC
+};
\ No newline at end of file
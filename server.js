@@ -5,8 +5,10 @@ const bodyParser = require('body-parser');
 const { Configuration, OpenAIApi } = require('openai');
 const multer = require('multer');
 const pdfParse = require('pdf-parse');
+const XLSX = require('xlsx');
 const path = require('path');
 const dotenv = require('dotenv');
+const { ValidationError } = require('./models/errors');
 
 // Load environment variables
 dotenv.config();
@@ -246,6 +248,37 @@ app.get('/api/model-templates/:type', (req, res) => {
                 "Synergy Analysis"
             ],
         },
+        'three-statement': {
+            name: "Three-Statement Model",
+            sections: [
+                "Assumptions",
+                "Income Statement",
+                "Balance Sheet",
+                "Cash Flow Statement",
+                "Working Capital Schedule",
+                "PP&E Roll-Forward",
+                "Debt Schedule"
+            ],
+        },
+        comps: {
+            name: "Trading Comparables",
+            sections: [
+                "Comparable Companies",
+                "Summary Statistics",
+                "Target Company",
+                "Implied Valuation"
+            ],
+        },
+        precedents: {
+            name: "Precedent Transactions",
+            sections: [
+                "Precedent Transactions",
+                "Summary Statistics",
+                "Selected Range",
+                "Target Company",
+                "Implied Valuation"
+            ],
+        },
         custom: {
             name: "Custom Financial Model",
             sections: [
@@ -266,6 +299,194 @@ app.get('/api/model-templates/:type', (req, res) => {
     res.json(templates[type]);
 });
 
+// DCF Valuation Endpoint
+app.post('/api/valuation/dcf', async (req, res) => {
+    try {
+        const params = req.body || {};
+        
+        // Import the DCF model
+        const { calculateDCF, withComparableBetas, withMarketSharePrice } = require('./models/dcf');
+        
+        // Run the headless DCF engine, looking up comparable betas for the WACC build-up when only
+        // symbols are given and the current share price for the implied premium / (discount)
+        const valuation = calculateDCF(await withMarketSharePrice(await withComparableBetas(params)));
+        if (valuation.perShare.currentSharePriceSource === 'unavailable') {
+            console.error(`No current share price for ${params.ticker}:`, valuation.perShare.currentSharePriceError);
+        }
+        
+        res.json(valuation);
+    } catch (error) {
+        // Bad inputs caught by the engine are the caller's to fix
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error calculating DCF valuation:', error);
+        res.status(500).json({ error: 'Failed to calculate DCF valuation' });
+    }
+});
+
+// LBO Returns Endpoint
+app.post('/api/valuation/lbo', (req, res) => {
+    try {
+        const params = req.body || {};
+        
+        // Import the LBO model
+        const { calculateLBO } = require('./models/lbo');
+        
+        // Run the headless LBO engine; sensitivity grids are included unless turned off
+        const returns = calculateLBO({ sensitivity: true, ...params });
+        
+        res.json(returns);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error calculating LBO returns:', error);
+        res.status(500).json({ error: 'Failed to calculate LBO returns' });
+    }
+});
+
+// Merger Accretion / Dilution Endpoint
+app.post('/api/valuation/merger', (req, res) => {
+    try {
+        const params = req.body || {};
+        
+        // Import the merger model
+        const { calculateMerger } = require('./models/merger');
+        
+        // Run the headless merger engine
+        const merger = calculateMerger(params);
+        
+        res.json(merger);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error calculating merger model:', error);
+        res.status(500).json({ error: 'Failed to calculate merger model' });
+    }
+});
+
+// Three-Statement Model Endpoint
+app.post('/api/valuation/three-statement', (req, res) => {
+    try {
+        const params = req.body || {};
+        
+        // Import the three-statement model
+        const { calculateThreeStatement } = require('./models/three-statement');
+        
+        // Run the headless three-statement engine
+        const model = calculateThreeStatement(params);
+        
+        res.json(model);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error calculating three-statement model:', error);
+        res.status(500).json({ error: 'Failed to calculate three-statement model' });
+    }
+});
+
+// Trading Comparables Endpoint
+app.post('/api/valuation/comps', async (req, res) => {
+    try {
+        const params = req.body || {};
+        
+        // Import the comps model
+        const { calculateComps, companyFromMarketData } = require('./models/comps');
+        
+        // Pull market data when the target and peers are given as ticker symbols
+        let warnings = [];
+        if (params.ticker && Array.isArray(params.peers) && params.peers.every(peer => typeof peer === 'string')) {
+            if (params.peers.length === 0) {
+                return res.status(400).json({ error: 'At least one peer symbol is required' });
+            }
+            
+            const marketDataService = require('./services/market-data');
+            const [target, ...peers] = await marketDataService.getCompsData([params.ticker, ...params.peers]);
+            if (target.error) {
+                console.error(`Error fetching market data for ${target.symbol}:`, target.error);
+                return res.status(502).json({ error: `Failed to fetch market data for ${target.symbol}` });
+            }
+            
+            // Peers without market data are left out of the table and reported back as warnings
+            warnings = peers.filter(data => data.error)
+                .map(data => `Peer ${data.symbol} excluded: ${data.error}`);
+            params.target = companyFromMarketData(target.symbol, target.metrics, target);
+            params.peers = peers.filter(data => !data.error)
+                .map(data => companyFromMarketData(data.symbol, data.metrics, data));
+        }
+        
+        // Run the headless comps engine
+        const comps = calculateComps(params);
+        
+        res.json(warnings.length > 0 ? { ...comps, warnings } : comps);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error calculating trading comparables:', error);
+        res.status(500).json({ error: 'Failed to calculate trading comparables' });
+    }
+});
+
+// Precedent Transactions Endpoint
+app.post('/api/valuation/precedents', (req, res) => {
+    try {
+        const params = req.body || {};
+        
+        // Import the precedent transactions model
+        const { calculatePrecedentTransactions } = require('./models/precedents');
+        
+        // Run the headless precedent transactions engine
+        const valuation = calculatePrecedentTransactions(params);
+        
+        res.json(valuation);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error calculating precedent transactions:', error);
+        res.status(500).json({ error: 'Failed to calculate precedent transactions' });
+    }
+});
+
+// Precedent Transactions Import Endpoint (CSV or XLSX)
+app.post('/api/precedent-transactions/import', upload.single('file'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'CSV or XLSX file is required' });
+        }
+        
+        // Read the first worksheet; CSV uploads are parsed as a single-sheet workbook
+        const workbook = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true });
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null });
+        
+        const { transactionsFromRows } = require('./models/precedents');
+        
+        let imported;
+        try {
+            imported = transactionsFromRows(rows);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        if (imported.transactions.length === 0) {
+            return res.status(400).json({ error: 'No transactions found in the uploaded file', skippedRows: imported.skippedRows });
+        }
+        
+        res.json({
+            success: true,
+            ...imported
+        });
+    } catch (error) {
+        console.error('Error importing precedent transactions:', error);
+        res.status(500).json({ error: 'Failed to import precedent transactions' });
+    }
+});
+
 // Market Data API Endpoint
 app.post('/api/market-data', async (req, res) => {
     try {
@@ -346,11 +567,41 @@ app.post('/api/forecast', async (req, res) => {
         
         res.json(forecast);
     } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error generating forecast:', error);
         res.status(500).json({ error: 'Failed to generate forecast' });
     }
 });
 
+// Forecast Backtesting API Endpoint
+app.post('/api/forecast/backtest', async (req, res) => {
+    try {
+        const { historicalData, forecastPeriod, options } = req.body;
+        
+        if (!historicalData || !Array.isArray(historicalData) || historicalData.length < 4) {
+            return res.status(400).json({ error: 'Valid historical data array with at least 4 points is required' });
+        }
+        
+        const forecastingService = require('./services/forecasting');
+        
+        // Rolling-origin evaluation of every candidate method (or options.methods)
+        const backtest = forecastingService.backtest(historicalData, {
+            periods: forecastPeriod || 5,
+            ...(options || {})
+        });
+        
+        res.json(backtest);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error backtesting forecast methods:', error);
+        res.status(500).json({ error: 'Failed to backtest forecast methods' });
+    }
+});
+
 // Start the server
 app.listen(port, () => {
     console.log(`Server running on port ${port}`);
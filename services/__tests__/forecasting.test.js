@@ -0,0 +1,193 @@
+const forecastingService = require('../forecasting');
+
+// Deterministic standard normal draws (LCG + Box-Muller) for simulated series
+const normalDraws = (count, seed) => {
+    let state = seed;
+    const uniform = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return (state + 1) / 2147483649;
+    };
+    return Array.from({ length: count }, () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform()));
+};
+
+describe('linear and Holt forecasts', () => {
+    test('linear regression extends an exact line', () => {
+        const result = forecastingService.generateForecast([1, 3, 5, 7, 9], { method: 'linear', periods: 3 });
+        
+        expect(result.forecast).toEqual([11, 13, 15]);
+        expect(result.statistics.slope).toBe(2);
+        expect(result.statistics.rSquared).toBe(1);
+    });
+    
+    test('Holt linear trend continues a constant trend', () => {
+        const result = forecastingService.generateForecast([10, 12, 14, 16, 18, 20], { method: 'holt', periods: 2 });
+        
+        expect(result.forecast[0]).toBeCloseTo(22, 8);
+        expect(result.forecast[1]).toBeCloseTo(24, 8);
+        expect(result.statistics.trend).toBeCloseTo(2, 8);
+    });
+});
+
+describe('Holt-Winters', () => {
+    const additive = [10, -5, -15, 10];
+    const multiplicative = [1.2, 0.9, 0.8, 1.1];
+    
+    test('recovers additive seasonal indices', () => {
+        const data = Array.from({ length: 16 }, (_, t) => 100 + additive[t % 4]);
+        const result = forecastingService.generateForecast(data, { method: 'holt-winters', seasonality: 4, periods: 4 });
+        
+        result.statistics.seasonalIndices.forEach((index, i) => expect(index).toBeCloseTo(additive[i], 6));
+        result.forecast.forEach((value, h) => expect(value).toBeCloseTo(100 + additive[h % 4], 6));
+    });
+    
+    test('recovers multiplicative seasonal indices', () => {
+        const data = Array.from({ length: 16 }, (_, t) => 100 * multiplicative[t % 4]);
+        const result = forecastingService.generateForecast(data, {
+            method: 'holt-winters', seasonality: 4, seasonalType: 'multiplicative', periods: 4
+        });
+        
+        result.statistics.seasonalIndices.forEach((index, i) => expect(index).toBeCloseTo(multiplicative[i], 6));
+    });
+    
+    test('forecasts a trend with additive seasonality', () => {
+        const data = Array.from({ length: 24 }, (_, t) => 100 + 2 * t + additive[t % 4]);
+        const result = forecastingService.generateForecast(data, { method: 'holt-winters', seasonality: 4, periods: 4 });
+        
+        result.forecast.forEach((value, h) => expect(value).toBeCloseTo(100 + 2 * (24 + h) + additive[h % 4], 1));
+    });
+    
+    test('needs two full seasons', () => {
+        expect(() => forecastingService.generateForecast([1, 2, 3, 4, 5], { method: 'holt-winters', seasonality: 4 }))
+            .toThrow('Holt-Winters needs at least two full seasons (8 data points)');
+    });
+});
+
+describe('ARIMA', () => {
+    test('recovers the coefficient and mean of an AR(1) process', () => {
+        const shocks = normalDraws(600, 42);
+        const data = [50];
+        for (let t = 1; t < shocks.length; t++) {
+            data.push(50 + 0.6 * (data[t - 1] - 50) + shocks[t]);
+        }
+        
+        const result = forecastingService.generateForecast(data, { method: 'arima', p: 1, d: 0, q: 0, periods: 2 });
+        const { coefficients, sigma2 } = result.statistics;
+        
+        expect(Math.abs(coefficients.ar[0] - 0.6)).toBeLessThan(0.08);
+        expect(Math.abs(coefficients.mean - 50)).toBeLessThan(0.3);
+        expect(Math.abs(sigma2 - 1)).toBeLessThan(0.15);
+        // One step ahead is the mean plus phi times the last deviation
+        const last = data[data.length - 1];
+        expect(result.forecast[0]).toBeCloseTo(coefficients.mean + coefficients.ar[0] * (last - coefficients.mean), 8);
+    });
+});
+
+describe('Monte Carlo', () => {
+    test('reproduces a seeded run', () => {
+        const data = [100, 104, 103, 108, 112, 115];
+        const options = { method: 'monte-carlo', periods: 3, iterations: 500, seed: 7 };
+        
+        expect(forecastingService.generateForecast(data, options).forecast)
+            .toEqual(forecastingService.generateForecast(data, options).forecast);
+    });
+    
+    test('rejects runs larger than the simulation limits', () => {
+        const data = [100, 104, 103, 108, 112, 115];
+        const forecast = options => () => forecastingService.generateForecast(data, { method: 'monte-carlo', ...options });
+        
+        expect(forecast({ iterations: 100001 })).toThrow('iterations must be an integer between 1 and 100000');
+        expect(forecast({ periods: 1001 })).toThrow('periods must be an integer between 1 and 1000');
+        expect(forecast({ iterations: 100000, periods: 100 })).toThrow('iterations x periods must not exceed 5000000');
+        expect(forecast({ iterations: 5000, samplePaths: 1001 })).toThrow('at most 1000');
+    });
+});
+
+describe('dated series', () => {
+    test('infers quarterly frequency from a series with missing quarters', () => {
+        const series = forecastingService.prepareTimeSeries([
+            { date: '2023-03-31', value: 1 },
+            { date: '2023-09-30', value: 3 },
+            { date: '2024-03-31', value: 5 },
+            { date: '2024-06-30', value: 6 }
+        ]);
+        
+        expect(series.calendar.frequency).toBe('quarterly');
+        expect(series.values).toEqual([1, 2, 3, 4, 5, 6]);
+        expect(series.missingDays.map(day => forecastingService.formatDay(day))).toEqual(['2023-06-30', '2023-12-31']);
+    });
+    
+    test('infers weekly frequency from a series with a missing week', () => {
+        const series = forecastingService.prepareTimeSeries([
+            { date: '2024-01-05', value: 1 },
+            { date: '2024-01-12', value: 2 },
+            { date: '2024-01-26', value: 4 }
+        ]);
+        
+        expect(series.calendar.frequency).toBe('weekly');
+        expect(series.values).toEqual([1, 2, 3, 4]);
+    });
+    
+    test('rejects several points in one period unless an aggregation is given', () => {
+        const points = [
+            { date: '2024-01-31', value: 1 },
+            { date: '2024-02-29', value: 2 },
+            { date: '2024-03-15', value: 3 },
+            { date: '2024-03-31', value: 5 }
+        ];
+        
+        expect(() => forecastingService.prepareTimeSeries(points, { frequency: 'monthly' }))
+            .toThrow(/1 monthly period\(s\) with several points, the first ending 2024-03-31/);
+        expect(forecastingService.prepareTimeSeries(points, { frequency: 'monthly', aggregation: 'mean' }).values)
+            .toEqual([1, 2, 4]);
+    });
+    
+    test('dates forecast periods on the calendar', () => {
+        const points = ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']
+            .map((date, i) => ({ date, value: 10 + i }));
+        const result = forecastingService.generateForecast(points, { method: 'linear', periods: 2 });
+        
+        expect(result.timeSeries.frequency).toBe('monthly');
+        expect(result.forecastDates).toEqual(['2024-05-31', '2024-06-30']);
+        expect(result.forecast[0]).toBeCloseTo(14, 8);
+    });
+});
+
+describe('backtest', () => {
+    // A line that jumps in the last period, so the linear forecasts miss only what follows the jump
+    const data = [1, 2, 3, 4, 5, 10];
+    
+    test('scores forecasts from every rolling origin by horizon', () => {
+        const result = forecastingService.backtest(data, { methods: ['linear'], horizon: 2, initialWindow: 3, metric: 'mae' });
+        const [linear] = result.methods;
+        
+        expect(result.origins).toBe(3);
+        expect(linear.horizons.map(h => [h.count, h.mae])).toEqual([[3, 4 / 3], [2, 2]]);
+        expect(linear.overall.mae).toBeCloseTo(1.6, 10);
+    });
+    
+    test('leaves methods that fail at any origin out of the ranking', () => {
+        const result = forecastingService.backtest(data,
+            { methods: ['linear', 'holt-winters'], seasonality: 2, horizon: 2, initialWindow: 3, metric: 'mae' });
+        const holtWinters = result.methods.find(method => method.method === 'holt-winters');
+        
+        expect(holtWinters.failedOrigins).toBe(1);
+        expect(holtWinters.error).toBe('Holt-Winters needs at least two full seasons (4 data points)');
+        expect(result.ranking.map(entry => entry.method)).toEqual(['linear']);
+    });
+    
+    test('uses only the latest maxOrigins origins', () => {
+        const result = forecastingService.backtest(data, { methods: ['linear'], horizon: 1, initialWindow: 2, maxOrigins: 2 });
+        
+        expect(result.firstOrigin).toBe(4);
+        expect(result.origins).toBe(2);
+    });
+    
+    test('forecasts with the best-ranked method when the method is auto', () => {
+        const line = [2, 4, 6, 8, 10, 12, 14, 16];
+        const result = forecastingService.generateForecast(line,
+            { method: 'auto', methods: ['linear', 'moving-average'], horizon: 2, periods: 3 });
+        
+        expect(result.selection.ranking[0]).toEqual({ method: 'linear', score: 0 });
+        expect(result.forecast).toEqual(forecastingService.generateForecast(line, { method: 'linear', periods: 3 }).forecast);
+    });
+});
@@ -6,21 +6,35 @@
  */
 
 const math = require('mathjs');
+const { ValidationError } = require('../models/errors');
 
 class ForecastingService {
     constructor() {
         // Configuration options
         this.defaultOptions = {
-            method: 'linear', // linear, exponential, moving-average, arima
+            method: 'linear', // linear, exponential, holt, holt-winters, moving-average, arima, monte-carlo, auto
             periods: 5,       // number of periods to forecast
             confidence: 0.95, // confidence level for prediction intervals
             seasonality: 1,   // seasonality period (e.g., 4 for quarterly, 12 for monthly)
+            seasonalType: 'additive', // additive or multiplicative (holt-winters)
+        };
+        
+        // Candidate methods for backtesting and automatic method selection
+        this.backtestMethods = ['linear', 'exponential', 'holt', 'holt-winters', 'moving-average', 'arima', 'monte-carlo'];
+        
+        // Monte Carlo size limits; every simulated path is held in memory until the percentiles are taken
+        this.monteCarloLimits = {
+            iterations: 100000,
+            periods: 1000,
+            simulatedValues: 5000000, // iterations x periods
+            samplePaths: 1000
         };
     }
 
     /**
      * Generate a forecast based on historical data
-     * @param {Array} historicalData - Array of historical data points
+     * @param {Array} historicalData - Array of historical data points, or dated {date, value} points
+     * (see datedForecast)
      * @param {Object} options - Forecasting options
      * @returns {Object} - Forecast results including predicted values and statistics
      */
@@ -30,7 +44,11 @@ class ForecastingService {
         
         // Validate data
         if (!Array.isArray(historicalData) || historicalData.length < 2) {
-            throw new Error('Historical data must be an array with at least 2 data points');
+            throw new ValidationError('Historical data must be an array with at least 2 data points');
+        }
+        
+        if (this.isDatedSeries(historicalData)) {
+            return this.datedForecast(historicalData, forecastOptions);
         }
         
         // Select forecasting method based on options
@@ -39,13 +57,514 @@ class ForecastingService {
                 return this.linearRegression(historicalData, forecastOptions);
             case 'exponential':
                 return this.exponentialSmoothing(historicalData, forecastOptions);
+            case 'holt':
+                return this.holtLinear(historicalData, forecastOptions);
+            case 'holt-winters':
+                return this.holtWinters(historicalData, forecastOptions);
             case 'moving-average':
                 return this.movingAverage(historicalData, forecastOptions);
             case 'arima':
                 return this.arima(historicalData, forecastOptions);
+            case 'monte-carlo':
+                return this.monteCarloSimulation(historicalData, forecastOptions);
+            case 'auto':
+                return this.autoForecast(historicalData, forecastOptions);
             default:
-                throw new Error(`Forecasting method "${forecastOptions.method}" not supported`);
+                throw new ValidationError(`Forecasting method "${forecastOptions.method}" not supported`);
+        }
+    }
+
+    /**
+     * Evaluate forecasting methods by rolling-origin cross-validation
+     * Each method is refitted on the data up to every origin from `initialWindow` onward and its
+     * forecasts are compared with the values that followed, up to `horizon` periods ahead. Only
+     * methods that forecast from every origin are ranked, so all ranked scores cover the same errors.
+     * The cost is one fit per method and origin, so only the latest `maxOrigins` origins (default 50)
+     * are used; ARIMA order selection and Monte Carlo runs dominate on long series.
+     * @param {Array} historicalData - Array of historical data points, or dated {date, value} points
+     * @param {Object} options - Forecasting options plus methods, horizon, initialWindow, maxOrigins and
+     * metric ('mae', 'rmse', 'mape' or 'smape')
+     * @returns {Object} - Accuracy by method and horizon, ranking and recommended method
+     */
+    backtest(historicalData, options = {}) {
+        const forecastOptions = { ...this.defaultOptions, ...options };
+        const series = Array.isArray(historicalData) && this.isDatedSeries(historicalData) ?
+            this.prepareTimeSeries(historicalData, forecastOptions).values : historicalData;
+        const n = Array.isArray(series) ? series.length : 0;
+        const horizon = forecastOptions.horizon || forecastOptions.periods;
+        const initialWindow = forecastOptions.initialWindow || Math.max(3, Math.ceil(n / 2));
+        const maxOrigins = forecastOptions.maxOrigins || 50;
+        const metric = forecastOptions.metric || 'rmse';
+        const methods = forecastOptions.methods || this.backtestMethods.filter(method =>
+            method !== 'holt-winters' || forecastOptions.seasonality >= 2);
+        
+        if (n < 4) {
+            throw new ValidationError('Backtesting needs at least 4 historical data points');
+        }
+        if (!Number.isInteger(horizon) || horizon < 1) {
+            throw new ValidationError('horizon must be a positive integer');
+        }
+        if (!Number.isInteger(initialWindow) || initialWindow < 2 || initialWindow >= n) {
+            throw new ValidationError(`initialWindow must be an integer between 2 and ${n - 1}`);
+        }
+        if (!Number.isInteger(maxOrigins) || maxOrigins < 1 || maxOrigins > 500) {
+            throw new ValidationError('maxOrigins must be an integer between 1 and 500');
+        }
+        if (!['mae', 'rmse', 'mape', 'smape'].includes(metric)) {
+            throw new ValidationError('metric must be "mae", "rmse", "mape" or "smape"');
+        }
+        if (!Array.isArray(methods) || methods.length === 0 || methods.some(method => !this.backtestMethods.includes(method))) {
+            throw new ValidationError(`methods must be a non-empty list of: ${this.backtestMethods.join(', ')}`);
+        }
+        
+        const origins = [];
+        for (let origin = Math.max(initialWindow, n - maxOrigins); origin < n; origin++) {
+            origins.push(origin);
+        }
+        
+        const results = methods.map(method => {
+            const errorsByHorizon = Array.from({ length: horizon }, () => []);
+            let failedOrigins = 0;
+            let lastError = null;
+            
+            origins.forEach(origin => {
+                const steps = Math.min(horizon, n - origin);
+                const methodOptions = { ...forecastOptions, method, periods: steps };
+                // Fix the Monte Carlo seed so repeated backtests rank the same way
+                if (method === 'monte-carlo' && methodOptions.seed === undefined) {
+                    methodOptions.seed = 0;
+                }
+                
+                try {
+                    const { forecast } = this.generateForecast(series.slice(0, origin), methodOptions);
+                    if (forecast.some(value => !Number.isFinite(value))) {
+                        throw new Error('Forecast contains non-finite values');
+                    }
+                    
+                    forecast.forEach((predicted, h) => {
+                        errorsByHorizon[h].push({ actual: series[origin + h], predicted });
+                    });
+                } catch (error) {
+                    failedOrigins++;
+                    lastError = error.message;
+                }
+            });
+            
+            const result = {
+                method,
+                horizons: errorsByHorizon.map((pairs, h) => ({ horizon: h + 1, ...this.forecastAccuracy(pairs) })),
+                overall: this.forecastAccuracy([].concat(...errorsByHorizon)),
+                failedOrigins
+            };
+            
+            if (lastError) {
+                result.error = lastError;
+            }
+            
+            return result;
+        });
+        
+        const ranking = results
+            .filter(result => result.failedOrigins === 0 && result.overall[metric] !== null)
+            .map(result => ({ method: result.method, score: result.overall[metric] }))
+            .sort((a, b) => a.score - b.score);
+        
+        if (ranking.length === 0) {
+            throw new ValidationError('No method could be evaluated from every origin; try a larger initialWindow');
+        }
+        
+        return {
+            horizon,
+            initialWindow,
+            firstOrigin: origins[0],
+            origins: origins.length,
+            metric,
+            methods: results,
+            ranking,
+            recommendedMethod: ranking[0].method
+        };
+    }
+
+    /**
+     * Forecast with the method that scores best in a rolling-origin backtest
+     * @param {Array} historicalData - Array of historical data points
+     * @param {Object} options - Forecasting and backtest options
+     * @returns {Object} - Forecast results from the selected method, with the backtest selection
+     */
+    autoForecast(historicalData, options) {
+        const backtest = this.backtest(historicalData, options);
+        const result = this.generateForecast(historicalData, { ...options, method: backtest.recommendedMethod });
+        
+        result.selection = {
+            metric: backtest.metric,
+            horizon: backtest.horizon,
+            origins: backtest.origins,
+            ranking: backtest.ranking
+        };
+        
+        return result;
+    }
+
+    /**
+     * Calculate forecast accuracy measures from actual / predicted pairs
+     * MAPE skips zero actuals and is null when every actual is zero; MAPE and sMAPE are fractions.
+     * @param {Array} pairs - Objects with actual and predicted values
+     * @returns {Object} - count, mae, rmse, mape and smape (null when there are no pairs)
+     */
+    forecastAccuracy(pairs) {
+        if (pairs.length === 0) {
+            return { count: 0, mae: null, rmse: null, mape: null, smape: null };
+        }
+        
+        const absoluteErrors = pairs.map(({ actual, predicted }) => Math.abs(actual - predicted));
+        const mae = absoluteErrors.reduce((sum, error) => sum + error, 0) / pairs.length;
+        const rmse = Math.sqrt(absoluteErrors.reduce((sum, error) => sum + error * error, 0) / pairs.length);
+        
+        const percentageErrors = pairs.filter(({ actual }) => actual !== 0)
+            .map(({ actual, predicted }) => Math.abs((actual - predicted) / actual));
+        const mape = percentageErrors.length === 0 ? null :
+            percentageErrors.reduce((sum, error) => sum + error, 0) / percentageErrors.length;
+        
+        const smape = pairs.reduce((sum, { actual, predicted }, i) => {
+            const scale = Math.abs(actual) + Math.abs(predicted);
+            return sum + (scale === 0 ? 0 : 2 * absoluteErrors[i] / scale);
+        }, 0) / pairs.length;
+        
+        return { count: pairs.length, mae, rmse, mape, smape };
+    }
+
+    /**
+     * Check whether historical data is given as dated {date, value} points
+     * @param {Array} historicalData - Historical data
+     * @returns {boolean} - True when every point is an object with a date
+     */
+    isDatedSeries(historicalData) {
+        return historicalData.length > 0 &&
+            historicalData.every(point => point !== null && typeof point === 'object' && 'date' in point);
+    }
+
+    /**
+     * Generate a forecast from dated {date, value} points
+     * The points are aligned to a regular calendar (see prepareTimeSeries) and forecast with the
+     * requested method. Historical and forecast periods are labelled with ISO dates and Excel serial
+     * dates, which can be written to a sheet as they are.
+     * @param {Array} points - Dated points
+     * @param {Object} options - Forecasting options plus frequency, aggregation, missing and businessDays
+     * @returns {Object} - Forecast results with period dates and a summary of the calendar alignment
+     */
+    datedForecast(points, options) {
+        const series = this.prepareTimeSeries(points, options);
+        const result = this.generateForecast(series.values, options);
+        const forecastDays = result.forecast.map((_, i) => this.calendarDay(i + 1, series.calendar));
+        
+        return {
+            ...result,
+            dates: series.days.map(day => this.formatDay(day)),
+            excelDates: series.days.map(day => this.excelSerial(day)),
+            forecastDates: forecastDays.map(day => this.formatDay(day)),
+            forecastExcelDates: forecastDays.map(day => this.excelSerial(day)),
+            timeSeries: {
+                frequency: series.calendar.frequency,
+                frequencyInferred: series.frequencyInferred,
+                businessDays: series.calendar.businessDays,
+                aggregation: series.aggregation,
+                missing: series.missing,
+                missingPeriods: series.missingDays.map(day => this.formatDay(day)),
+                aggregatedPeriods: series.aggregatedPeriods
+            }
+        };
+    }
+
+    /**
+     * Align dated points to a regular series of periods
+     * The frequency (daily, weekly, monthly, quarterly or annual) is inferred unless given: it is the
+     * coarsest one that puts every observation in its own period. Periods are anchored on the last
+     * observation: daily and weekly periods end on its weekday, and quarters and years end in its month.
+     * Monthly and longer periods are dated at the month end unless every point falls on the same day of
+     * the month as the last one. Several points in one period are an error unless `aggregation`
+     * ('last', 'first', 'sum' or 'mean') says how to combine them. Periods without a value are filled
+     * by `missing`: 'interpolate' (linear), 'previous' (carry forward) or 'error'. Daily series skip
+     * weekends when no point falls on one, unless `businessDays` is given.
+     * @param {Array} points - Dated points; dates may be Date objects, ISO strings or Excel serial numbers
+     * @param {Object} options - frequency, aggregation, missing and businessDays
+     * @returns {Object} - values, period days, calendar, and details of filled and aggregated periods
+     */
+    prepareTimeSeries(points, options = {}) {
+        const aggregation = options.aggregation || null;
+        const missing = options.missing || 'interpolate';
+        const aggregators = {
+            last: values => values[values.length - 1],
+            first: values => values[0],
+            sum: values => values.reduce((sum, value) => sum + value, 0),
+            mean: values => values.reduce((sum, value) => sum + value, 0) / values.length
+        };
+        
+        if (aggregation !== null && !aggregators[aggregation]) {
+            throw new ValidationError('aggregation must be "last", "first", "sum" or "mean"');
+        }
+        if (!['interpolate', 'previous', 'error'].includes(missing)) {
+            throw new ValidationError('missing must be "interpolate", "previous" or "error"');
+        }
+        if (options.frequency && !['daily', 'weekly', 'monthly', 'quarterly', 'annual'].includes(options.frequency)) {
+            throw new ValidationError('frequency must be "daily", "weekly", "monthly", "quarterly" or "annual"');
+        }
+        
+        // Points without a value are left out and their periods treated as missing
+        const observations = [];
+        points.forEach((point, i) => {
+            const day = this.toDayNumber(point.date);
+            if (day === null) {
+                throw new ValidationError(`Point ${i + 1} has an invalid date`);
+            }
+            if (point.value === null || point.value === undefined || point.value === '') {
+                return;
+            }
+            
+            const value = Number(point.value);
+            if (!Number.isFinite(value)) {
+                throw new ValidationError(`Point ${i + 1} has a non-numeric value`);
+            }
+            observations.push({ day, value });
+        });
+        observations.sort((a, b) => a.day - b.day);
+        
+        if (observations.length < 2) {
+            throw new ValidationError('Dated historical data needs at least 2 points with values');
+        }
+        
+        const frequency = options.frequency || this.inferFrequency(observations.map(observation => observation.day));
+        const isWeekend = day => [0, 6].includes(((day + 4) % 7 + 7) % 7); // day 0 (1970-01-01) is a Thursday
+        const anchor = observations[observations.length - 1].day;
+        const calendar = {
+            frequency,
+            businessDays: frequency === 'daily' && (options.businessDays !== undefined ?
+                Boolean(options.businessDays) : !observations.some(observation => isWeekend(observation.day))),
+            anchor,
+            dayOfMonth: null
+        };
+        
+        // Keep the day of month (e.g. the 15th) when every point is on it, otherwise use month ends
+        if (!['daily', 'weekly'].includes(frequency)) {
+            const anchorDay = new Date(anchor * 86400000).getUTCDate();
+            const onAnchorDay = observations.every(({ day }) => {
+                const date = new Date(day * 86400000);
+                const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+                return date.getUTCDate() === Math.min(anchorDay, lastDay);
+            });
+            calendar.dayOfMonth = onAnchorDay && this.calendarDay(0, calendar) !== anchor ? anchorDay : null;
+        }
+        
+        // Group the observations by period, counted back from the last one (period 0)
+        const buckets = new Map();
+        observations.forEach(({ day, value }) => {
+            const period = this.calendarPeriod(day, calendar);
+            if (!buckets.has(period)) {
+                buckets.set(period, []);
+            }
+            buckets.get(period).push(value);
+        });
+        
+        const firstPeriod = this.calendarPeriod(observations[0].day, calendar);
+        if (firstPeriod === 0) {
+            throw new ValidationError(`Dated historical data must span at least 2 ${frequency} periods`);
+        }
+        
+        // Never drop observations silently: combining several in one period has to be asked for
+        const crowded = [...buckets.keys()].filter(period => buckets.get(period).length > 1).sort((a, b) => a - b);
+        if (crowded.length > 0 && aggregation === null) {
+            throw new ValidationError(`Dated historical data has ${crowded.length} ${frequency} period(s) with several points, ` +
+                `the first ending ${this.formatDay(this.calendarDay(crowded[0], calendar))}; ` +
+                'set aggregation to "last", "first", "sum" or "mean" to combine them');
+        }
+        
+        const values = [];
+        const days = [];
+        const missingDays = [];
+        let aggregatedPeriods = 0;
+        
+        for (let period = firstPeriod; period <= 0; period++) {
+            const day = this.calendarDay(period, calendar);
+            const bucket = buckets.get(period);
+            days.push(day);
+            
+            if (bucket) {
+                values.push(bucket.length > 1 ? aggregators[aggregation](bucket) : bucket[0]);
+                aggregatedPeriods += bucket.length > 1 ? 1 : 0;
+            } else {
+                values.push(null);
+                missingDays.push(day);
+            }
+        }
+        
+        if (missingDays.length > 0 && missing === 'error') {
+            throw new ValidationError(`Dated historical data is missing ${missingDays.length} ${frequency} period(s), ` +
+                `the first ending ${this.formatDay(missingDays[0])}`);
+        }
+        
+        // Fill gaps; the first and last periods always have values
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] !== null) {
+                continue;
+            }
+            
+            let next = i + 1;
+            while (values[next] === null) {
+                next++;
+            }
+            if (missing === 'previous') {
+                values[i] = values[i - 1];
+            } else {
+                values[i] = values[i - 1] + (values[next] - values[i - 1]) / (next - i + 1);
+            }
+        }
+        
+        return {
+            values,
+            days,
+            calendar,
+            frequencyInferred: !options.frequency,
+            aggregation,
+            missing,
+            missingDays,
+            aggregatedPeriods
+        };
+    }
+
+    /**
+     * Infer the frequency of a series: the coarsest one under which no two distinct dates share a
+     * period, so missing periods are filled rather than observations merged. Repeated dates fall back to
+     * daily (and then need an aggregation).
+     * @param {Array} days - Sorted day numbers
+     * @returns {string} - 'daily', 'weekly', 'monthly', 'quarterly' or 'annual'
+     */
+    inferFrequency(days) {
+        const distinct = days.filter((day, i) => i === 0 || day > days[i - 1]);
+        if (distinct.length < 2) {
+            throw new ValidationError('Dated historical data needs at least 2 distinct dates');
         }
+        
+        const anchor = distinct[distinct.length - 1];
+        const frequency = ['annual', 'quarterly', 'monthly', 'weekly'].find(candidate => {
+            const periods = distinct.map(day => this.calendarPeriod(day, { frequency: candidate, anchor }));
+            return new Set(periods).size === periods.length;
+        });
+        return frequency || 'daily';
+    }
+
+    /**
+     * Period containing a day, counted from the calendar anchor (period 0)
+     * @param {number} day - Day number (days since 1970-01-01)
+     * @param {Object} calendar - frequency, businessDays, anchor day and dayOfMonth
+     * @returns {number} - Period index (negative before the anchor)
+     */
+    calendarPeriod(day, calendar) {
+        switch (calendar.frequency) {
+            case 'daily':
+                return calendar.businessDays ?
+                    this.businessDayIndex(day) - this.businessDayIndex(calendar.anchor) :
+                    day - calendar.anchor;
+            case 'weekly':
+                return Math.ceil((day - calendar.anchor) / 7);
+            default: {
+                const step = { monthly: 1, quarterly: 3, annual: 12 }[calendar.frequency];
+                return Math.ceil((this.monthIndex(day) - this.monthIndex(calendar.anchor)) / step);
+            }
+        }
+    }
+
+    /**
+     * Label date of a period, counted from the calendar anchor
+     * Monthly, quarterly and annual periods fall on the calendar's day of month (clamped to the month
+     * length), or on the month end when it has none.
+     * @param {number} period - Period index
+     * @param {Object} calendar - frequency, businessDays, anchor day and dayOfMonth
+     * @returns {number} - Day number
+     */
+    calendarDay(period, calendar) {
+        switch (calendar.frequency) {
+            case 'daily': {
+                if (!calendar.businessDays) {
+                    return calendar.anchor + period;
+                }
+                const index = this.businessDayIndex(calendar.anchor) + period;
+                const week = Math.floor(index / 5);
+                return week * 7 + (index - week * 5) - 3;
+            }
+            case 'weekly':
+                return calendar.anchor + 7 * period;
+            default: {
+                const step = { monthly: 1, quarterly: 3, annual: 12 }[calendar.frequency];
+                const target = this.monthIndex(calendar.anchor) + period * step;
+                const year = Math.floor(target / 12);
+                const month = target - year * 12;
+                const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+                return Date.UTC(year, month, calendar.dayOfMonth ? Math.min(calendar.dayOfMonth, lastDay) : lastDay) / 86400000;
+            }
+        }
+    }
+
+    /**
+     * Count of weekdays since the Monday before 1970-01-01; weekends share the preceding Friday's index
+     * @param {number} day - Day number
+     * @returns {number} - Business day index
+     */
+    businessDayIndex(day) {
+        const shifted = day + 3; // Monday = 0
+        const week = Math.floor(shifted / 7);
+        return week * 5 + Math.min(shifted - week * 7, 4);
+    }
+
+    /**
+     * Month count (year * 12 + month) of a day
+     * @param {number} day - Day number
+     * @returns {number} - Month index
+     */
+    monthIndex(day) {
+        const date = new Date(day * 86400000);
+        return date.getUTCFullYear() * 12 + date.getUTCMonth();
+    }
+
+    /**
+     * Convert a date to a day number (days since 1970-01-01)
+     * @param {*} value - Date object, ISO date string, other date string or Excel serial number
+     * @returns {number|null} - Day number, or null when the date is invalid
+     */
+    toDayNumber(value) {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            return null;
+        }
+        
+        let time;
+        if (value instanceof Date) {
+            time = Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+        } else if (typeof value === 'number') {
+            return Number.isFinite(value) ? Math.floor(value) - 25569 : null; // Excel serial date
+        } else if (/^\d{4}-\d{2}-\d{2}/.test(String(value).trim())) {
+            time = Date.parse(`${String(value).trim().slice(0, 10)}T00:00:00Z`);
+        } else {
+            const parsed = new Date(String(value).trim());
+            time = Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+        }
+        
+        return Number.isFinite(time) ? time / 86400000 : null;
+    }
+
+    /**
+     * Format a day number as an ISO date (YYYY-MM-DD)
+     * @param {number} day - Day number
+     * @returns {string} - ISO date
+     */
+    formatDay(day) {
+        return new Date(day * 86400000).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Convert a day number to an Excel serial date (1900 date system)
+     * @param {number} day - Day number
+     * @returns {number} - Excel serial date
+     */
+    excelSerial(day) {
+        return day + 25569;
     }
 
     /**
@@ -176,6 +695,181 @@ class ForecastingService {
         };
     }
 
+    /**
+     * Generate a forecast using Holt's linear trend method
+     * @param {Array} historicalData - Array of historical data points
+     * @param {Object} options - Forecasting options (alpha and beta are optimized unless given)
+     * @returns {Object} - Forecast results
+     */
+    holtLinear(historicalData, options) {
+        return this.holtWinters(historicalData, { ...options, seasonalType: 'none' });
+    }
+
+    /**
+     * Generate a forecast using Holt-Winters seasonal exponential smoothing
+     * Level, trend and seasonal smoothing parameters are chosen to minimize the one-step-ahead squared
+     * errors unless given. Initial states come from the first two seasons, so at least two full
+     * seasons of data are needed.
+     * @param {Array} historicalData - Array of historical data points
+     * @param {Object} options - Forecasting options (seasonality, seasonalType 'additive' or
+     * 'multiplicative', and optionally fixed alpha, beta, gamma)
+     * @returns {Object} - Forecast results
+     */
+    holtWinters(historicalData, options) {
+        const seasonalType = options.seasonalType || 'additive';
+        const seasonal = seasonalType !== 'none';
+        const m = seasonal ? options.seasonality : 1;
+        
+        if (!['none', 'additive', 'multiplicative'].includes(seasonalType)) {
+            throw new ValidationError('seasonalType must be "additive" or "multiplicative"');
+        }
+        if (seasonal && (!Number.isInteger(m) || m < 2)) {
+            throw new ValidationError('Holt-Winters needs a seasonality of at least 2 (e.g., 4 for quarterly, 12 for monthly)');
+        }
+        if (seasonal && historicalData.length < 2 * m) {
+            throw new ValidationError(`Holt-Winters needs at least two full seasons (${2 * m} data points)`);
+        }
+        if (seasonalType === 'multiplicative' && historicalData.some(value => value <= 0)) {
+            throw new ValidationError('Multiplicative Holt-Winters needs strictly positive data');
+        }
+        
+        // Optimize the smoothing parameters that were not given, through a logistic transform to (0, 1)
+        const names = seasonal ? ['alpha', 'beta', 'gamma'] : ['alpha', 'beta'];
+        const free = names.filter(name => typeof options[name] !== 'number');
+        const initial = { alpha: 0.3, beta: 0.1, gamma: 0.1 };
+        const toParameters = raw => {
+            const parameters = {};
+            names.forEach(name => {
+                const index = free.indexOf(name);
+                parameters[name] = index === -1 ? options[name] : 1 / (1 + Math.exp(-raw[index]));
+            });
+            return parameters;
+        };
+        const sumOfSquares = parameters => this.runHoltWinters(historicalData, parameters, m, seasonalType).errors
+            .reduce((sum, error) => sum + error * error, 0);
+        
+        const optimum = free.length === 0 ? { point: [] } : this.nelderMead(raw => {
+            const value = sumOfSquares(toParameters(raw));
+            return Number.isFinite(value) ? value : Infinity;
+        }, free.map(name => Math.log(initial[name] / (1 - initial[name]))), { steps: free.map(() => 1) });
+        
+        const parameters = toParameters(optimum.point);
+        const { alpha, beta } = parameters;
+        const gamma = seasonal ? parameters.gamma : 0;
+        const states = this.runHoltWinters(historicalData, parameters, m, seasonalType);
+        const n = historicalData.length;
+        
+        // Forecast from the final level and trend with the matching seasonal factor
+        const forecast = [];
+        for (let h = 1; h <= options.periods; h++) {
+            const trended = states.level + h * states.trend;
+            if (!seasonal) {
+                forecast.push(trended);
+            } else {
+                const factor = states.seasonals[n - m + ((h - 1) % m)];
+                forecast.push(seasonalType === 'multiplicative' ? trended * factor : trended + factor);
+            }
+        }
+        
+        const sse = states.errors.reduce((sum, error) => sum + error * error, 0);
+        const mse = sse / states.errors.length;
+        const rmse = Math.sqrt(mse);
+        
+        // Prediction intervals from the additive state space variance (an approximation for multiplicative)
+        const zValue = this.normalQuantile(1 - (1 - options.confidence) / 2);
+        let cumulativeWeight = 1;
+        
+        const predictionIntervals = forecast.map((value, i) => {
+            if (i > 0) {
+                const weight = alpha * (1 + i * beta) + (seasonal && i % m === 0 ? gamma * (1 - alpha) : 0);
+                cumulativeWeight += weight * weight;
+            }
+            const interval = zValue * Math.sqrt(mse * cumulativeWeight);
+            return {
+                lower: value - interval,
+                upper: value + interval
+            };
+        });
+        
+        const statistics = {
+            alpha,
+            beta,
+            level: states.level,
+            trend: states.trend,
+            rmse
+        };
+        
+        if (seasonal) {
+            // Latest seasonal factor for each position in the cycle, counted from the first data point
+            const seasonalIndices = new Array(m);
+            for (let t = n - m; t < n; t++) {
+                seasonalIndices[t % m] = states.seasonals[t];
+            }
+            
+            Object.assign(statistics, { gamma, seasonality: m, seasonalType, seasonalIndices });
+        }
+        
+        return {
+            method: seasonal ? 'holt-winters' : 'holt',
+            historicalData,
+            forecast,
+            predictionIntervals,
+            statistics
+        };
+    }
+
+    /**
+     * Run the Holt / Holt-Winters recursions for given smoothing parameters
+     * @param {Array} data - Time series data
+     * @param {Object} parameters - alpha, beta and (seasonal only) gamma
+     * @param {number} m - Seasonality period
+     * @param {string} seasonalType - 'none', 'additive' or 'multiplicative'
+     * @returns {Object} - One-step-ahead errors, final level and trend, and seasonal factors by period
+     */
+    runHoltWinters(data, parameters, m, seasonalType) {
+        const { alpha, beta, gamma } = parameters;
+        const multiplicative = seasonalType === 'multiplicative';
+        const seasonals = [];
+        let level;
+        let trend;
+        let start;
+        
+        if (seasonalType === 'none') {
+            level = data[0];
+            trend = data[1] - data[0];
+            start = 1;
+        } else {
+            // Initial level and trend from the first two season means, factors from the first season
+            const firstMean = data.slice(0, m).reduce((sum, value) => sum + value, 0) / m;
+            const secondMean = data.slice(m, 2 * m).reduce((sum, value) => sum + value, 0) / m;
+            level = firstMean;
+            trend = (secondMean - firstMean) / m;
+            for (let i = 0; i < m; i++) {
+                seasonals.push(multiplicative ? data[i] / firstMean : data[i] - firstMean);
+            }
+            start = m;
+        }
+        
+        const errors = [];
+        for (let t = start; t < data.length; t++) {
+            const factor = seasonalType === 'none' ? 0 : seasonals[t - m];
+            const predicted = multiplicative ? (level + trend) * factor : level + trend + factor;
+            errors.push(data[t] - predicted);
+            
+            const deseasonalized = multiplicative ? data[t] / factor : data[t] - factor;
+            const newLevel = alpha * deseasonalized + (1 - alpha) * (level + trend);
+            trend = beta * (newLevel - level) + (1 - beta) * trend;
+            if (seasonalType !== 'none') {
+                seasonals.push(multiplicative ?
+                    gamma * (data[t] / newLevel) + (1 - gamma) * factor :
+                    gamma * (data[t] - newLevel) + (1 - gamma) * factor);
+            }
+            level = newLevel;
+        }
+        
+        return { errors, level, trend, seasonals };
+    }
+
     /**
      * Generate a forecast using moving average
      * @param {Array} historicalData - Array of historical data points
@@ -186,7 +880,7 @@ class ForecastingService {
         const windowSize = options.windowSize || 3;
         
         if (windowSize > historicalData.length) {
-            throw new Error('Window size cannot be larger than the historical data length');
+            throw new ValidationError('Window size cannot be larger than the historical data length');
         }
         
         // Calculate moving averages
@@ -241,80 +935,622 @@ class ForecastingService {
 
     /**
      * Generate a forecast using ARIMA (Auto-Regressive Integrated Moving Average)
-     * Note: This is a simplified implementation for demonstration purposes
+     * ARIMA(p, d, q) is fitted to the d-times differenced series by conditional least squares, with a
+     * mean term when d = 0. Set `auto: true` to search p and q (and d, unless given) by AIC or BIC.
      * @param {Array} historicalData - Array of historical data points
-     * @param {Object} options - Forecasting options
+     * @param {Object} options - Forecasting options (p, d, q, auto, maxP, maxD, maxQ, criterion)
      * @returns {Object} - Forecast results
      */
     arima(historicalData, options) {
-        // ARIMA parameters
-        const p = options.p || 1; // AR order
-        const d = options.d || 0; // Differencing order
-        const q = options.q || 1; // MA order
-        
-        // For a real implementation, you would use a proper ARIMA library
-        // This is a very simplified approximation
+        const fit = options.auto ?
+            this.selectArimaOrder(historicalData, options) :
+            this.fitArima(historicalData, this.arimaOrder(options));
+        const { p, d, q } = fit.order;
         
-        // Apply differencing if d > 0
-        let diffData = [...historicalData];
-        for (let i = 0; i < d; i++) {
-            diffData = this.diff(diffData);
-        }
-        
-        // Use a simple AR model for demonstration
-        // In a real implementation, you would estimate AR and MA parameters
-        const arParams = new Array(p).fill(0.7 / p);
-        const maParams = new Array(q).fill(0.3 / q);
-        
-        // Generate forecast for differenced data
+        // Forecast the differenced series with future shocks at zero
+        const w = [...fit.differenced];
+        const residuals = new Array(fit.start).fill(0).concat(fit.residuals);
+        const { mean, ar, ma } = fit.coefficients;
         const diffForecast = [];
-        for (let i = 0; i < options.periods; i++) {
-            let forecast = 0;
-            
-            // AR component
-            for (let j = 0; j < p; j++) {
-                const index = diffData.length - j - 1;
-                if (index >= 0) {
-                    forecast += arParams[j] * diffData[index];
+        for (let h = 0; h < options.periods; h++) {
+            const t = w.length;
+            let forecast = mean;
+            ar.forEach((phi, i) => {
+                forecast += phi * (w[t - i - 1] - mean);
+            });
+            ma.forEach((theta, j) => {
+                if (t - j - 1 < residuals.length) {
+                    forecast += theta * residuals[t - j - 1];
                 }
-            }
-            
-            // Add forecast value and update diffData for next iteration
+            });
             diffForecast.push(forecast);
-            diffData.push(forecast);
+            w.push(forecast);
         }
         
-        // Undo differencing to get actual forecast
-        let forecast = [...diffForecast];
-        for (let i = 0; i < d; i++) {
-            forecast = this.undiff(forecast, historicalData[historicalData.length - 1 - i]);
+        // Undo differencing one level at a time, starting from the last value of each level
+        let forecast = diffForecast;
+        for (let level = d - 1; level >= 0; level--) {
+            const series = fit.levels[level];
+            forecast = this.undiff(forecast, series[series.length - 1]);
         }
         
-        // For simplicity, use constant prediction intervals
-        const stdDev = this.standardDeviation(historicalData);
-        const tValue = 1.96; // Approximate t-value for 95% confidence
+        // Forecast error variance from the psi weights of the integrated model
+        const psi = this.arimaPsiWeights(ar, ma, d, options.periods);
+        const zValue = this.normalQuantile(1 - (1 - options.confidence) / 2);
+        let cumulativeWeight = 0;
         
-        const predictionIntervals = forecast.map((value, i) => {
-            const interval = tValue * stdDev * Math.sqrt(i + 1);
+        const predictionIntervals = forecast.map((value, h) => {
+            cumulativeWeight += psi[h] * psi[h];
+            const interval = zValue * Math.sqrt(fit.sigma2 * cumulativeWeight);
             return {
                 lower: value - interval,
                 upper: value + interval
             };
         });
         
+        const statistics = {
+            p,
+            d,
+            q,
+            coefficients: d === 0 ? fit.coefficients : { ar, ma },
+            standardErrors: fit.standardErrors,
+            sigma2: fit.sigma2,
+            logLikelihood: fit.logLikelihood,
+            aic: fit.aic,
+            bic: fit.bic,
+            rmse: Math.sqrt(fit.sigma2),
+            residualDiagnostics: this.residualDiagnostics(fit.residuals, p + q)
+        };
+        if (fit.orderSearch) {
+            statistics.orderSearch = fit.orderSearch;
+        }
+        
         return {
             method: 'arima',
             historicalData,
             forecast,
             predictionIntervals,
-            statistics: {
-                p,
-                d,
-                q
+            statistics
+        };
+    }
+
+    /**
+     * Read and check the ARIMA order from the forecasting options (defaults to ARIMA(1,0,1))
+     * @param {Object} options - Forecasting options
+     * @returns {Object} - ARIMA order ({ p, d, q })
+     */
+    arimaOrder(options) {
+        const order = {
+            p: options.p === undefined ? 1 : options.p,
+            d: options.d === undefined ? 0 : options.d,
+            q: options.q === undefined ? 1 : options.q
+        };
+        
+        Object.keys(order).forEach(key => {
+            if (!Number.isInteger(order[key]) || order[key] < 0) {
+                throw new ValidationError(`ARIMA order ${key} must be a non-negative integer`);
             }
+        });
+        
+        return order;
+    }
+
+    /**
+     * Fit an ARIMA model by conditional least squares
+     * AR and MA coefficients are optimized through partial autocorrelations in (-1, 1), which keeps
+     * the fitted model stationary and invertible.
+     * @param {Array} historicalData - Array of historical data points
+     * @param {Object} order - ARIMA order ({ p, d, q })
+     * @param {number} conditioningStart - Observations of the differenced series held back to start
+     * the recursion (defaults to p); order searches use a common start so criteria are comparable
+     * @returns {Object} - Fitted coefficients, residuals, error variance and information criteria
+     */
+    fitArima(historicalData, order, conditioningStart) {
+        const { p, d, q } = order;
+        
+        // Differenced series at each level, from the original series (level 0) to level d
+        const levels = [historicalData];
+        for (let i = 0; i < d; i++) {
+            levels.push(this.diff(levels[i]));
+        }
+        const w = levels[d];
+        
+        const includeMean = d === 0;
+        const start = conditioningStart === undefined ? p : conditioningStart;
+        const parameterCount = p + q + (includeMean ? 1 : 0);
+        const n = w.length - start;
+        
+        if (n < parameterCount + 2) {
+            throw new ValidationError(`Not enough data to fit ARIMA(${p},${d},${q})`);
+        }
+        
+        const sampleMean = w.reduce((sum, value) => sum + value, 0) / w.length;
+        const unpack = raw => ({
+            mean: includeMean ? raw[0] : 0,
+            ar: this.partialsToCoefficients(raw.slice(includeMean ? 1 : 0, (includeMean ? 1 : 0) + p).map(Math.tanh)),
+            ma: this.partialsToCoefficients(raw.slice((includeMean ? 1 : 0) + p).map(Math.tanh)).map(value => -value)
+        });
+        const sumOfSquares = coefficients => this.arimaResiduals(w, coefficients, start)
+            .reduce((sum, residual) => sum + residual * residual, 0);
+        
+        // Search from white noise around the sample mean
+        const initial = new Array(parameterCount).fill(0);
+        const steps = new Array(parameterCount).fill(0.5);
+        if (includeMean) {
+            initial[0] = sampleMean;
+            steps[0] = Math.max(this.standardDeviation(w), Math.abs(sampleMean) * 0.1, 1e-6);
+        }
+        
+        const optimum = parameterCount === 0 ? { point: [] } : this.nelderMead(raw => {
+            const value = sumOfSquares(unpack(raw));
+            return Number.isFinite(value) ? value : Infinity;
+        }, initial, { steps });
+        
+        const coefficients = unpack(optimum.point);
+        const residuals = this.arimaResiduals(w, coefficients, start);
+        const sse = residuals.reduce((sum, residual) => sum + residual * residual, 0);
+        const sigma2 = sse / n;
+        
+        // Gaussian conditional log-likelihood; the error variance counts as an estimated parameter
+        const logLikelihood = -n / 2 * (Math.log(2 * Math.PI * sigma2) + 1);
+        const k = parameterCount + 1;
+        
+        return {
+            order: { p, d, q },
+            coefficients,
+            standardErrors: this.arimaStandardErrors(w, coefficients, start, sigma2, includeMean),
+            residuals,
+            sigma2,
+            logLikelihood,
+            aic: -2 * logLikelihood + 2 * k,
+            bic: -2 * logLikelihood + k * Math.log(n),
+            levels,
+            differenced: w,
+            start
         };
     }
 
+    /**
+     * One-step-ahead residuals of an ARMA model for a (differenced) series
+     * Residuals before the conditioning start are taken as zero.
+     * @param {Array} w - Differenced series
+     * @param {Object} coefficients - Mean, AR and MA coefficients
+     * @param {number} start - Index of the first residual
+     * @returns {Array} - Residuals from the start index on
+     */
+    arimaResiduals(w, coefficients, start) {
+        const { mean, ar, ma } = coefficients;
+        const residuals = new Array(w.length).fill(0);
+        
+        for (let t = start; t < w.length; t++) {
+            let predicted = mean;
+            ar.forEach((phi, i) => {
+                predicted += phi * (w[t - i - 1] - mean);
+            });
+            ma.forEach((theta, j) => {
+                if (t - j - 1 >= start) {
+                    predicted += theta * residuals[t - j - 1];
+                }
+            });
+            residuals[t] = w[t] - predicted;
+        }
+        
+        return residuals.slice(start);
+    }
+
+    /**
+     * Standard errors of the ARIMA coefficients from the Gauss-Newton approximation sigma^2 (J'J)^-1,
+     * with the residual Jacobian J taken by finite differences
+     * @param {Array} w - Differenced series
+     * @param {Object} coefficients - Fitted mean, AR and MA coefficients
+     * @param {number} start - Index of the first residual
+     * @param {number} sigma2 - Residual variance
+     * @param {boolean} includeMean - Whether the mean was estimated
+     * @returns {Object|null} - Standard errors laid out like the coefficients, or null if J'J is singular
+     */
+    arimaStandardErrors(w, coefficients, start, sigma2, includeMean) {
+        const flat = [...(includeMean ? [coefficients.mean] : []), ...coefficients.ar, ...coefficients.ma];
+        if (flat.length === 0) {
+            return null;
+        }
+        
+        const p = coefficients.ar.length;
+        const toCoefficients = values => ({
+            mean: includeMean ? values[0] : 0,
+            ar: values.slice(includeMean ? 1 : 0, (includeMean ? 1 : 0) + p),
+            ma: values.slice((includeMean ? 1 : 0) + p)
+        });
+        const base = this.arimaResiduals(w, coefficients, start);
+        
+        const columns = flat.map((value, i) => {
+            const step = 1e-6 * Math.max(Math.abs(value), 1);
+            const shifted = [...flat];
+            shifted[i] += step;
+            return this.arimaResiduals(w, toCoefficients(shifted), start).map((residual, t) => (residual - base[t]) / step);
+        });
+        
+        try {
+            const jacobian = math.transpose(columns);
+            const covariance = math.multiply(sigma2, math.inv(math.multiply(columns, jacobian)));
+            const errors = flat.map((_, i) => Math.sqrt(covariance[i][i]));
+            if (errors.some(error => !Number.isFinite(error))) {
+                return null;
+            }
+            
+            const result = toCoefficients(errors);
+            if (!includeMean) {
+                delete result.mean;
+            }
+            return result;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Search ARIMA orders by information criterion
+     * Every p <= maxP and q <= maxQ is fitted on the same observations and the best AIC (or BIC) is
+     * refitted on the full series. Unless d is given it is chosen by repeated KPSS tests (up to maxD).
+     * @param {Array} historicalData - Array of historical data points
+     * @param {Object} options - Forecasting options (d, maxP, maxD, maxQ, criterion)
+     * @returns {Object} - Fitted model of the selected order, with the candidates searched
+     */
+    selectArimaOrder(historicalData, options) {
+        const maxP = options.maxP === undefined ? 3 : options.maxP;
+        const maxQ = options.maxQ === undefined ? 3 : options.maxQ;
+        const maxD = options.maxD === undefined ? 2 : options.maxD;
+        const criterion = options.criterion || 'aic';
+        
+        if (criterion !== 'aic' && criterion !== 'bic') {
+            throw new ValidationError('ARIMA order search criterion must be "aic" or "bic"');
+        }
+        [maxP, maxQ, maxD].forEach(value => {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new ValidationError('maxP, maxD and maxQ must be non-negative integers');
+            }
+        });
+        
+        const d = options.d === undefined ? this.selectDifferencingOrder(historicalData, maxD) : this.arimaOrder(options).d;
+        const candidates = [];
+        let best = null;
+        
+        for (let p = 0; p <= maxP; p++) {
+            for (let q = 0; q <= maxQ; q++) {
+                try {
+                    const fit = this.fitArima(historicalData, { p, d, q }, maxP);
+                    candidates.push({ p, d, q, aic: fit.aic, bic: fit.bic });
+                    if (!best || fit[criterion] < best[criterion]) {
+                        best = fit;
+                    }
+                } catch (error) {
+                    // Too few observations for this order
+                }
+            }
+        }
+        
+        if (!best) {
+            throw new ValidationError('Not enough data to fit any ARIMA order in the search');
+        }
+        
+        const fit = this.fitArima(historicalData, best.order);
+        fit.orderSearch = { criterion, maxP, maxD, maxQ, candidates };
+        return fit;
+    }
+
+    /**
+     * Pick the differencing order (up to maxD): difference until the KPSS test no longer rejects
+     * level stationarity at the 5% level
+     * @param {Array} data - Time series data
+     * @param {number} maxD - Highest differencing order to consider
+     * @returns {number} - Differencing order
+     */
+    selectDifferencingOrder(data, maxD) {
+        let series = data;
+        let d = 0;
+        
+        while (d < maxD && series.length > 3 && this.kpssStatistic(series) > 0.463) {
+            series = this.diff(series);
+            d++;
+        }
+        
+        return d;
+    }
+
+    /**
+     * KPSS level-stationarity statistic with a Newey-West long-run variance
+     * @param {Array} data - Time series data
+     * @returns {number} - KPSS statistic (5% critical value 0.463)
+     */
+    kpssStatistic(data) {
+        const n = data.length;
+        const mean = data.reduce((sum, value) => sum + value, 0) / n;
+        const deviations = data.map(value => value - mean);
+        const lags = Math.floor(4 * Math.pow(n / 100, 0.25));
+        
+        let longRunVariance = deviations.reduce((sum, value) => sum + value * value, 0) / n;
+        for (let lag = 1; lag <= lags; lag++) {
+            let covariance = 0;
+            for (let t = lag; t < n; t++) {
+                covariance += deviations[t] * deviations[t - lag];
+            }
+            longRunVariance += 2 * (1 - lag / (lags + 1)) * covariance / n;
+        }
+        
+        if (longRunVariance <= 0) {
+            return 0;
+        }
+        
+        let partialSum = 0;
+        let sumOfSquares = 0;
+        deviations.forEach(value => {
+            partialSum += value;
+            sumOfSquares += partialSum * partialSum;
+        });
+        
+        return sumOfSquares / (n * n * longRunVariance);
+    }
+
+    /**
+     * Map partial autocorrelations in (-1, 1) to stationary AR coefficients (Durbin-Levinson recursion)
+     * @param {Array} partials - Partial autocorrelations
+     * @returns {Array} - AR coefficients
+     */
+    partialsToCoefficients(partials) {
+        let coefficients = [];
+        partials.forEach((partial, k) => {
+            const next = coefficients.map((value, j) => value - partial * coefficients[k - 1 - j]);
+            next.push(partial);
+            coefficients = next;
+        });
+        return coefficients;
+    }
+
+    /**
+     * Psi (MA infinity) weights of an ARIMA model, including the unit roots from differencing
+     * @param {Array} ar - AR coefficients
+     * @param {Array} ma - MA coefficients
+     * @param {number} d - Differencing order
+     * @param {number} count - Number of weights
+     * @returns {Array} - Psi weights, starting with psi_0 = 1
+     */
+    arimaPsiWeights(ar, ma, d, count) {
+        // Expand phi(B)(1 - B)^d into a single AR polynomial
+        let polynomial = [1, ...ar.map(value => -value)];
+        for (let i = 0; i < d; i++) {
+            polynomial = polynomial.concat(0).map((value, j) => value - (j > 0 ? polynomial[j - 1] : 0));
+        }
+        const phi = polynomial.slice(1).map(value => -value);
+        
+        const psi = [1];
+        for (let j = 1; j < count; j++) {
+            let weight = j <= ma.length ? ma[j - 1] : 0;
+            for (let i = 1; i <= Math.min(j, phi.length); i++) {
+                weight += phi[i - 1] * psi[j - i];
+            }
+            psi.push(weight);
+        }
+        return psi;
+    }
+
+    /**
+     * Residual diagnostics: mean, standard deviation, autocorrelations and the Ljung-Box test
+     * @param {Array} residuals - Model residuals
+     * @param {number} fittedParameters - Number of fitted ARMA coefficients (p + q), removed from the
+     * Ljung-Box degrees of freedom
+     * @returns {Object} - Residual diagnostics
+     */
+    residualDiagnostics(residuals, fittedParameters) {
+        const n = residuals.length;
+        const mean = residuals.reduce((sum, value) => sum + value, 0) / n;
+        const lags = Math.max(1, Math.min(10, Math.floor(n / 5)));
+        const acf = [];
+        
+        for (let lag = 1; lag <= lags; lag++) {
+            acf.push(this.autocorrelation(residuals, lag));
+        }
+        
+        const statistic = n * (n + 2) * acf.reduce((sum, value, i) => sum + value * value / (n - i - 1), 0);
+        const degreesOfFreedom = lags - fittedParameters;
+        
+        return {
+            mean,
+            standardDeviation: this.standardDeviation(residuals),
+            acf,
+            ljungBox: {
+                statistic,
+                lags,
+                degreesOfFreedom,
+                pValue: degreesOfFreedom > 0 ? this.chiSquareSurvival(statistic, degreesOfFreedom) : null
+            }
+        };
+    }
+
+    /**
+     * Sample autocorrelation at a given lag
+     * @param {Array} data - Time series data
+     * @param {number} lag - Lag
+     * @returns {number} - Autocorrelation
+     */
+    autocorrelation(data, lag) {
+        const mean = data.reduce((sum, value) => sum + value, 0) / data.length;
+        const denominator = data.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0);
+        if (denominator === 0) {
+            return 0;
+        }
+        
+        let numerator = 0;
+        for (let t = lag; t < data.length; t++) {
+            numerator += (data[t] - mean) * (data[t - lag] - mean);
+        }
+        return numerator / denominator;
+    }
+
+    /**
+     * Minimize a function with the Nelder-Mead simplex method
+     * @param {Function} objective - Function of a parameter array to minimize
+     * @param {Array} start - Starting parameters
+     * @param {Object} options - steps (initial simplex size per parameter), maxIterations, tolerance,
+     * restarts (re-runs from the best point, to escape a collapsed simplex)
+     * @returns {Object} - Best parameters ({ point, value })
+     */
+    nelderMead(objective, start, options = {}) {
+        const dimension = start.length;
+        const steps = options.steps || new Array(dimension).fill(0.1);
+        const maxIterations = options.maxIterations || 500 * dimension;
+        const tolerance = options.tolerance || 1e-10;
+        const restarts = options.restarts === undefined ? 2 : options.restarts;
+        const evaluate = point => ({ point, value: objective(point) });
+        
+        let best = evaluate(start);
+        for (let run = 0; run <= restarts; run++) {
+            let simplex = [best].concat(best.point.map((_, i) => {
+                const point = [...best.point];
+                point[i] += steps[i];
+                return evaluate(point);
+            }));
+            
+            for (let iteration = 0; iteration < maxIterations; iteration++) {
+                simplex.sort((a, b) => a.value - b.value);
+                const lowest = simplex[0];
+                const worst = simplex[dimension];
+                
+                if (Math.abs(worst.value - lowest.value) <= tolerance * (Math.abs(lowest.value) + tolerance)) {
+                    break;
+                }
+                
+                const centroid = lowest.point.map((_, i) =>
+                    simplex.slice(0, dimension).reduce((sum, vertex) => sum + vertex.point[i], 0) / dimension
+                );
+                const along = coefficient => evaluate(centroid.map((value, i) => value + coefficient * (worst.point[i] - value)));
+                
+                const reflected = along(-1);
+                if (reflected.value < lowest.value) {
+                    const expanded = along(-2);
+                    simplex[dimension] = expanded.value < reflected.value ? expanded : reflected;
+                } else if (reflected.value < simplex[dimension - 1].value) {
+                    simplex[dimension] = reflected;
+                } else {
+                    const contracted = reflected.value < worst.value ? along(-0.5) : along(0.5);
+                    if (contracted.value < Math.min(worst.value, reflected.value)) {
+                        simplex[dimension] = contracted;
+                    } else {
+                        // Shrink towards the best vertex
+                        simplex = simplex.map((vertex, i) => i === 0 ? vertex :
+                            evaluate(lowest.point.map((value, j) => value + 0.5 * (vertex.point[j] - value))));
+                    }
+                }
+            }
+            
+            simplex.sort((a, b) => a.value - b.value);
+            best = simplex[0];
+        }
+        
+        return best;
+    }
+
+    /**
+     * Inverse of the standard normal cumulative distribution (Acklam's rational approximation)
+     * @param {number} probability - Probability in (0, 1)
+     * @returns {number} - Standard normal quantile
+     */
+    normalQuantile(probability) {
+        if (!(probability > 0 && probability < 1)) {
+            throw new ValidationError('Probability must be between 0 and 1');
+        }
+        
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+        const tail = x => (((((c[0] * x + c[1]) * x + c[2]) * x + c[3]) * x + c[4]) * x + c[5]) /
+            ((((d[0] * x + d[1]) * x + d[2]) * x + d[3]) * x + 1);
+        
+        if (probability < 0.02425) {
+            return tail(Math.sqrt(-2 * Math.log(probability)));
+        }
+        if (probability > 1 - 0.02425) {
+            return -tail(Math.sqrt(-2 * Math.log(1 - probability)));
+        }
+        
+        const q = probability - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Upper tail probability of the chi-square distribution
+     * @param {number} x - Test statistic
+     * @param {number} degreesOfFreedom - Degrees of freedom
+     * @returns {number} - P(X > x)
+     */
+    chiSquareSurvival(x, degreesOfFreedom) {
+        if (x <= 0) {
+            return 1;
+        }
+        
+        // Regularized incomplete gamma function: series below a + 1, continued fraction above
+        const a = degreesOfFreedom / 2;
+        const z = x / 2;
+        const logPrefactor = -z + a * Math.log(z) - this.logGamma(a);
+        
+        if (z < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+                term *= z / (a + n);
+                sum += term;
+            }
+            return 1 - sum * Math.exp(logPrefactor);
+        }
+        
+        const tiny = 1e-300;
+        let b = z + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < 1000; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            d = Math.abs(d) < tiny ? tiny : d;
+            c = b + an / c;
+            c = Math.abs(c) < tiny ? tiny : c;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) {
+                break;
+            }
+        }
+        return Math.exp(logPrefactor) * h;
+    }
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation)
+     * @param {number} x - Positive number
+     * @returns {number} - ln(Gamma(x))
+     */
+    logGamma(x) {
+        const coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+            1.5056327351493116e-7
+        ];
+        
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - this.logGamma(1 - x);
+        }
+        
+        const z = x - 1;
+        let sum = coefficients[0];
+        for (let i = 1; i < coefficients.length; i++) {
+            sum += coefficients[i] / (z + i);
+        }
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
     /**
      * Apply differencing to a time series
      * @param {Array} data - Time series data
@@ -356,14 +1592,48 @@ class ForecastingService {
 
     /**
      * Generate a Monte Carlo simulation forecast
+     * Period-on-period percent changes are drawn from a normal distribution fitted to the history,
+     * a Student-t with the same mean and standard deviation, or bootstrapped from the historical
+     * changes. Draws come from a seeded generator, and the seed is returned so a run can be reproduced.
      * @param {Array} historicalData - Historical data points
-     * @param {Object} options - Simulation options
+     * @param {Object} options - Simulation options (iterations, seed, distribution 'normal', 'student-t'
+     * or 'bootstrap', degreesOfFreedom, samplePaths), within monteCarloLimits
      * @returns {Object} - Simulation results
      */
     monteCarloSimulation(historicalData, options = {}) {
         const iterations = options.iterations || 1000;
         const periods = options.periods || 5;
         const confidenceLevel = options.confidence || 0.95;
+        const distribution = options.distribution || 'normal';
+        const degreesOfFreedom = options.degreesOfFreedom || 5;
+        const samplePaths = options.samplePaths || 0;
+        const seed = options.seed === undefined ? Math.floor(Math.random() * 4294967296) : options.seed;
+        
+        if (!['normal', 'student-t', 'bootstrap'].includes(distribution)) {
+            throw new ValidationError('distribution must be "normal", "student-t" or "bootstrap"');
+        }
+        const limits = this.monteCarloLimits;
+        if (!Number.isInteger(iterations) || iterations < 1 || iterations > limits.iterations) {
+            throw new ValidationError(`iterations must be an integer between 1 and ${limits.iterations}`);
+        }
+        if (!Number.isInteger(periods) || periods < 1 || periods > limits.periods) {
+            throw new ValidationError(`periods must be an integer between 1 and ${limits.periods}`);
+        }
+        if (iterations * periods > limits.simulatedValues) {
+            throw new ValidationError(`iterations x periods must not exceed ${limits.simulatedValues}`);
+        }
+        if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+            throw new ValidationError('seed must be an integer between 0 and 4294967295');
+        }
+        if (distribution === 'student-t' && !(degreesOfFreedom > 2)) {
+            throw new ValidationError('degreesOfFreedom must be greater than 2');
+        }
+        if (!Number.isInteger(samplePaths) || samplePaths < 0 || samplePaths > Math.min(iterations, limits.samplePaths)) {
+            throw new ValidationError(`samplePaths must be an integer between 0 and the number of iterations, at most ${limits.samplePaths}`);
+        }
+        if (historicalData.slice(0, -1).some(value => value === 0)) {
+            throw new ValidationError('Monte Carlo simulation needs non-zero historical values to compute percent changes');
+        }
         
         // Calculate mean and standard deviation of percent changes
         const percentChanges = [];
@@ -375,6 +1645,20 @@ class ForecastingService {
         const variance = percentChanges.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / percentChanges.length;
         const stdDev = Math.sqrt(variance);
         
+        // Draw one percent change; Student-t draws are scaled to unit variance before applying stdDev
+        const random = this.createRandomGenerator(seed);
+        const tScale = Math.sqrt((degreesOfFreedom - 2) / degreesOfFreedom);
+        const drawChange = () => {
+            switch (distribution) {
+                case 'bootstrap':
+                    return percentChanges[Math.floor(random() * percentChanges.length)];
+                case 'student-t':
+                    return mean + stdDev * tScale * this.studentTSample(degreesOfFreedom, random);
+                default:
+                    return mean + stdDev * this.boxMullerTransform(random);
+            }
+        };
+        
         // Run simulations
         const simulations = [];
         const lastValue = historicalData[historicalData.length - 1];
@@ -382,59 +1666,137 @@ class ForecastingService {
         for (let i = 0; i < iterations; i++) {
             const simulation = [lastValue];
             for (let j = 0; j < periods; j++) {
-                // Generate random percentage change using normal distribution
-                const rand = this.boxMullerTransform();
-                const percentChange = mean + stdDev * rand;
-                
                 // Apply percentage change to previous value
-                const newValue = simulation[j] * (1 + percentChange);
+                const newValue = simulation[j] * (1 + drawChange());
                 simulation.push(newValue);
             }
             simulations.push(simulation.slice(1)); // Remove initial value
         }
         
-        // Calculate forecast and prediction intervals
+        // Calculate forecast, prediction intervals and percentile bands
         const forecast = [];
         const predictionIntervals = [];
+        const percentileBands = [];
         
         for (let i = 0; i < periods; i++) {
             const periodValues = simulations.map(sim => sim[i]);
             periodValues.sort((a, b) => a - b);
             
             // Mean forecast
-            const mean = periodValues.reduce((sum, value) => sum + value, 0) / iterations;
-            forecast.push(mean);
+            forecast.push(periodValues.reduce((sum, value) => sum + value, 0) / iterations);
             
             // Prediction intervals
-            const lowerIndex = Math.floor(iterations * (1 - confidenceLevel) / 2);
-            const upperIndex = Math.floor(iterations * (1 - (1 - confidenceLevel) / 2));
-            
             predictionIntervals.push({
-                lower: periodValues[lowerIndex],
-                upper: periodValues[upperIndex]
+                lower: this.percentile(periodValues, (1 - confidenceLevel) / 2),
+                upper: this.percentile(periodValues, 1 - (1 - confidenceLevel) / 2)
+            });
+            
+            percentileBands.push({
+                p5: this.percentile(periodValues, 0.05),
+                p25: this.percentile(periodValues, 0.25),
+                p50: this.percentile(periodValues, 0.50),
+                p75: this.percentile(periodValues, 0.75),
+                p95: this.percentile(periodValues, 0.95)
             });
         }
         
-        return {
+        const result = {
             method: 'monte-carlo',
             historicalData,
             forecast,
             predictionIntervals,
+            percentileBands,
             statistics: {
                 iterations,
+                seed,
+                distribution,
                 mean,
                 stdDev
             }
         };
+        
+        if (distribution === 'student-t') {
+            result.statistics.degreesOfFreedom = degreesOfFreedom;
+        }
+        if (samplePaths > 0) {
+            result.samplePaths = simulations.slice(0, samplePaths);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Percentile of sorted values with linear interpolation (matches Excel's PERCENTILE.INC)
+     * @param {Array} sorted - Values sorted in ascending order
+     * @param {number} probability - Percentile as a fraction between 0 and 1
+     * @returns {number} - Percentile value
+     */
+    percentile(sorted, probability) {
+        const position = (sorted.length - 1) * probability;
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+    }
+
+    /**
+     * Create a seeded uniform random number generator (mulberry32)
+     * @param {number} seed - 32-bit unsigned integer seed
+     * @returns {Function} - Generator returning numbers in [0, 1)
+     */
+    createRandomGenerator(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Generate a Student-t distributed random number as a normal over the root of a scaled chi-square
+     * @param {number} degreesOfFreedom - Degrees of freedom (greater than 2)
+     * @param {Function} random - Uniform random number generator
+     * @returns {number} - Random number from the Student-t distribution
+     */
+    studentTSample(degreesOfFreedom, random) {
+        const chiSquare = 2 * this.gammaSample(degreesOfFreedom / 2, random);
+        return this.boxMullerTransform(random) / Math.sqrt(chiSquare / degreesOfFreedom);
+    }
+
+    /**
+     * Generate a gamma distributed random number with unit scale (Marsaglia-Tsang, shape >= 1)
+     * @param {number} shape - Shape parameter
+     * @param {Function} random - Uniform random number generator
+     * @returns {number} - Random number from the gamma distribution
+     */
+    gammaSample(shape, random) {
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        
+        for (;;) {
+            const x = this.boxMullerTransform(random);
+            const v = Math.pow(1 + c * x, 3);
+            if (v <= 0) {
+                continue;
+            }
+            
+            const u = random();
+            if (u < 1 - 0.0331 * Math.pow(x, 4) || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+                return d * v;
+            }
+        }
     }
 
     /**
      * Generate a normally distributed random number using Box-Muller transform
+     * @param {Function} random - Uniform random number generator (defaults to Math.random)
      * @returns {number} - Random number from standard normal distribution
      */
-    boxMullerTransform() {
-        const u1 = Math.random();
-        const u2 = Math.random();
+    boxMullerTransform(random = Math.random) {
+        const u1 = 1 - random(); // (0, 1], keeps the log finite
+        const u2 = random();
         
         const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
         return z0;
@@ -42,6 +42,27 @@ class MarketDataService {
         }
     }
 
+    /**
+     * Get the latest quote for a given symbol
+     * @param {string} symbol - Stock symbol (e.g., 'AAPL')
+     * @returns {Promise<Object>} - Quote data including the current price
+     */
+    async getQuote(symbol) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/stocks/quote`, {
+                params: {
+                    symbol,
+                    apiKey: this.apiKey
+                }
+            });
+
+            return response.data;
+        } catch (error) {
+            console.error(`Error fetching quote for ${symbol}:`, error);
+            throw new Error(`Failed to retrieve quote for ${symbol}`);
+        }
+    }
+
     /**
      * Get financial statement data for a company
      * @param {string} symbol - Stock symbol (e.g., 'AAPL')
@@ -88,6 +109,52 @@ class MarketDataService {
         }
     }
 
+    /**
+     * Get levered betas and leverage for comparable companies, for relevering beta in a WACC build-up
+     * @param {Array<string>} symbols - Stock symbols of the comparable companies
+     * @returns {Promise<Array>} - Comparable betas ({ name, beta, debtToEquity, taxRate })
+     */
+    async getComparableBetas(symbols) {
+        const metrics = await Promise.all(symbols.map(symbol => this.getCompanyMetrics(symbol)));
+
+        // Missing values are passed through for the WACC build-up to reject by comparable name
+        return metrics.map((data, index) => ({
+            name: symbols[index],
+            beta: data ? data.beta : null,
+            debtToEquity: data ? data.debtToEquity : null,
+            taxRate: data ? data.effectiveTaxRate : null
+        }));
+    }
+
+    /**
+     * Get key metrics and quarterly income statements and balance sheets for a comps table
+     * The latest quote is added when the metrics carry no share price. A company whose data cannot
+     * be fetched comes back with an error message instead, so one missing peer doesn't fail the rest.
+     * @param {Array<string>} symbols - Stock symbols of the target and comparable companies
+     * @returns {Promise<Array>} - Raw market data per company ({ symbol, metrics, income, balance, quote }
+     * or { symbol, error })
+     */
+    async getCompsData(symbols) {
+        return Promise.all(symbols.map(async symbol => {
+            try {
+                const [metrics, income, balance] = await Promise.all([
+                    this.getCompanyMetrics(symbol),
+                    this.getFinancialStatement(symbol, 'income', 'quarterly'),
+                    this.getFinancialStatement(symbol, 'balance', 'quarterly')
+                ]);
+
+                let quote = null;
+                if (!metrics || (typeof metrics.price !== 'number' && typeof metrics.sharePrice !== 'number')) {
+                    quote = await this.getQuote(symbol).catch(() => null);
+                }
+
+                return { symbol, metrics, income, balance, quote };
+            } catch (error) {
+                return { symbol, error: error.message };
+            }
+        }));
+    }
+
     /**
      * Search for companies by keyword
      * @param {string} query - Search query